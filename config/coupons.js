@@ -0,0 +1,39 @@
+// Discount codes accepted at checkout.
+//
+//   type                      'percentage' (percent off) or 'flat' (fixed amount off, per currency)
+//   eligiblePlans             plan IDs the discount applies to; omit to apply to every plan
+//   validFrom / validUntil    ISO dates bounding when the code can be used
+//   maxRedemptions            total completed orders allowed to use the code
+//   maxRedemptionsPerCustomer completed orders per customer email
+//   minOrderAmount            per-currency minimum order subtotal
+//   maxDiscount               per-currency cap on a percentage discount
+
+const COUPONS = {
+  WELCOME10: {
+    code: 'WELCOME10',
+    type: 'percentage',
+    percent: 10,
+    maxDiscount: { INR: 2000, USD: 25 },
+    maxRedemptionsPerCustomer: 1
+  },
+  LAUNCH500: {
+    code: 'LAUNCH500',
+    type: 'flat',
+    amounts: { INR: 500, USD: 7 },
+    eligiblePlans: ['growth', 'enterprise'],
+    minOrderAmount: { INR: 2000, USD: 30 },
+    validFrom: '2026-01-01T00:00:00.000Z',
+    validUntil: '2026-12-31T23:59:59.999Z',
+    maxRedemptions: 500,
+    maxRedemptionsPerCustomer: 1
+  },
+  HOSTING25: {
+    code: 'HOSTING25',
+    type: 'percentage',
+    percent: 25,
+    eligiblePlans: ['basic', 'business', 'premium'],
+    maxRedemptions: 1000
+  }
+};
+
+module.exports = { COUPONS };
@@ -0,0 +1,36 @@
+// Currency tables and exchange rate settings.
+//
+// Catalog prices are set in BASE_CURRENCY (plus a few hand-picked currencies, see config/plans.js);
+// any other currency is priced by converting from it at the current exchange rate. Rates come from
+//
+//   FX_RATES_URL            - a JSON endpoint answering { "base": "EUR", "rates": { "INR": 96.4, ... } };
+//                             any base works as long as BASE_CURRENCY is among the rates
+//   FX_RATES_FILE           - the same shape on disk, used when the URL is unset or unreachable
+//                             (default config/exchangeRates.json, a snapshot shipped with the app)
+//   FX_RATES_CACHE_MINUTES  - how long fetched rates are reused
+//   FX_RATES_TIMEOUT_MS     - how long to wait for FX_RATES_URL before falling back to the file
+
+const path = require('path');
+const { getConfig } = require('./env');
+
+const BASE_CURRENCY = 'INR';
+
+// ISO 4217 minor units - decimal places in an amount - for every currency that doesn't use 2
+const MINOR_UNITS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+const minorUnits = (currency) => MINOR_UNITS[String(currency).toUpperCase()] ?? 2;
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'exchangeRates.json');
+
+// { url, file, cacheMinutes, timeoutMs }
+const getExchangeRateSettings = () => {
+  const { exchangeRates } = getConfig();
+  return { ...exchangeRates, file: exchangeRates.file ? path.resolve(exchangeRates.file) : DEFAULT_RATES_FILE };
+};
+
+module.exports = { BASE_CURRENCY, MINOR_UNITS, minorUnits, getExchangeRateSettings };
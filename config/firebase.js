@@ -0,0 +1,34 @@
+const admin = require('firebase-admin');
+const { getConfig } = require('./env');
+const { logger } = require('../services/logger');
+
+// Initialize Firebase Admin SDK on first use, so stores that don't need Firestore can boot without credentials.
+// Use services/dependencies rather than these directly, so tests can swap the clients out.
+const initializeFirebase = () => {
+  if (!admin.apps.length) {
+    const { enabled, projectId, clientEmail, privateKey } = getConfig().firebase;
+    if (!enabled) {
+      throw new Error('Firebase is not configured - set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY');
+    }
+
+    admin.initializeApp({
+      credential: admin.credential.cert({ projectId, clientEmail, privateKey })
+    });
+    // Provider responses often carry undefined fields; skip them instead of failing the write
+    admin.firestore().settings({ ignoreUndefinedProperties: true });
+    logger.info('Firebase Admin SDK initialized');
+  }
+};
+
+const getFirestore = () => {
+  initializeFirebase();
+  return admin.firestore();
+};
+
+// Firebase Auth verifies the ID tokens customers sign in with
+const getAuth = () => {
+  initializeFirebase();
+  return admin.auth();
+};
+
+module.exports = { admin, getFirestore, getAuth };
@@ -0,0 +1,28 @@
+// Seller details and GST settings printed on tax invoices.
+// Catalog prices are GST-inclusive - invoices back the tax out of what the customer paid.
+
+const { getConfig } = require('./env');
+
+// { seller: { name, address, email, gstin }, gstRatePercent, sacCode, prefix, exportUnderLut }
+//   gstRatePercent  GST_RATE_PERCENT, 18 for hosting and e-commerce software services
+//   sacCode         INVOICE_SAC_CODE, 998315 (hosting and IT infrastructure provisioning services)
+//   prefix          INVOICE_PREFIX - invoice numbers look like CMS/26-27/00042, GST caps them at 16 characters
+//   exportUnderLut  GST_EXPORT_UNDER_LUT - exports of services (non-INR orders) are zero-rated
+//                   when we hold a Letter of Undertaking
+const getInvoiceSettings = () => getConfig().invoice;
+
+// 2-digit state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+module.exports = { getInvoiceSettings, GSTIN_PATTERN, STATE_CODES };
@@ -0,0 +1,37 @@
+// Outbound webhooks to our own systems (e.g. the provisioning service that sets up the
+// customer's store) when something happens to a payment.
+//
+//   MERCHANT_WEBHOOK_URL         where to POST; several endpoints can be comma-separated
+//   MERCHANT_WEBHOOK_SECRET      HMAC-SHA256 key every request is signed with (required)
+//   MERCHANT_WEBHOOK_EVENTS      events to send, comma-separated; defaults to all of EVENTS
+//   MERCHANT_WEBHOOK_TIMEOUT_MS  how long to wait for the endpoint, default 10000
+//
+// config/env.js checks these on startup - URLs must be http(s) and need the secret alongside.
+
+const crypto = require('crypto');
+const { getConfig } = require('./env');
+
+const EVENTS = ['payment.succeeded', 'payment.failed', 'payment.refunded'];
+
+// Endpoint URLs can carry credentials, so deliveries refer to them by a short hash instead
+const endpointId = (url) => crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+
+const getSecret = () => getConfig().merchantWebhooks.secret || null;
+
+// Configured endpoints as [{ id, url }]. Unsigned requests are never sent - without a
+// secret no endpoint is returned.
+const getEndpoints = () => {
+  if (!getSecret()) return [];
+  return getConfig().merchantWebhooks.urls.map((url) => ({ id: endpointId(url), url }));
+};
+
+const getEndpoint = (id) => getEndpoints().find((endpoint) => endpoint.id === id) || null;
+
+const isEventEnabled = (event) => {
+  const events = getConfig().merchantWebhooks.events || EVENTS;
+  return EVENTS.includes(event) && events.includes(event);
+};
+
+const getTimeoutMs = () => getConfig().merchantWebhooks.timeoutMs;
+
+module.exports = { EVENTS, endpointId, getSecret, getEndpoints, getEndpoint, isEventEnabled, getTimeoutMs };
@@ -0,0 +1,47 @@
+// Which channels each notification event goes to, and who receives it.
+//
+// Routes are written as "channel:recipient,recipient;channel" and can be overridden per event
+// with NOTIFY_<EVENT> - e.g. NOTIFY_PAYMENT_SUCCEEDED="email:admin,ops@example.com;slack".
+// Recipients: email takes addresses plus "admin" (ADMIN_EMAIL) and "customer" (the order's
+// email); slack and discord take webhook URLs, defaulting to SLACK_WEBHOOK_URL / DISCORD_WEBHOOK_URL;
+// console and file need none. For local development NOTIFY_PAYMENT_SUCCEEDED="console" is enough.
+
+const { getConfig } = require('./env');
+const { logger } = require('../services/logger');
+
+const DEFAULT_ROUTES = {
+  'payment.succeeded': 'email:admin;slack;discord',
+  'payment.failed': 'slack;discord',
+  'refund.issued': 'email:customer;slack;discord',
+  'checkout.abandoned': 'email:customer',
+  'invoice.issued': 'email:customer'
+};
+
+const CHANNELS = ['email', 'slack', 'discord', 'console', 'file'];
+
+// "email:admin,customer;slack" -> [{ channel: 'email', recipients: ['admin', 'customer'] }, { channel: 'slack', recipients: [] }]
+const parseRoutes = (spec) => {
+  return String(spec || '')
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [channel, recipients = ''] = part.split(/:(.*)/s);
+      return {
+        channel: channel.trim().toLowerCase(),
+        recipients: recipients.split(',').map((recipient) => recipient.trim()).filter(Boolean)
+      };
+    })
+    .filter((route) => {
+      if (CHANNELS.includes(route.channel)) return true;
+      logger.warn('Ignoring unknown notification channel', { channel: route.channel });
+      return false;
+    });
+};
+
+// Routes for an event - NOTIFY_<EVENT> when it is set (config/env.js checks its channels), else the default
+const getRoutes = (event) => {
+  return getConfig().notifications.routes[event] || parseRoutes(DEFAULT_ROUTES[event]);
+};
+
+module.exports = { DEFAULT_ROUTES, CHANNELS, getRoutes, parseRoutes };
@@ -0,0 +1,72 @@
+// Plan catalog - the single source of truth for what we sell and what it costs.
+// Prices are in major currency units per billing period. Bump CATALOG_VERSION
+// whenever prices change so stored price snapshots can be traced back.
+
+const CATALOG_VERSION = '2025-01';
+
+const BILLING_PERIODS = {
+  monthly: { id: 'monthly', name: 'Monthly', months: 1 },
+  yearly: { id: 'yearly', name: 'Yearly', months: 12 }
+};
+
+const ECOMMERCE_PLANS = {
+  starter: {
+    id: 'starter',
+    name: 'Starter Store',
+    description: 'Single storefront with up to 100 products',
+    prices: {
+      monthly: { INR: 999, USD: 15 },
+      yearly: { INR: 9999, USD: 150 }
+    }
+  },
+  growth: {
+    id: 'growth',
+    name: 'Growth Store',
+    description: 'Unlimited products, discount codes and abandoned cart recovery',
+    prices: {
+      monthly: { INR: 2499, USD: 35 },
+      yearly: { INR: 24999, USD: 350 }
+    }
+  },
+  enterprise: {
+    id: 'enterprise',
+    name: 'Enterprise Store',
+    description: 'Multi-store setup with priority support and custom integrations',
+    prices: {
+      monthly: { INR: 7999, USD: 110 },
+      yearly: { INR: 79999, USD: 1100 }
+    }
+  }
+};
+
+const HOSTING_PLANS = {
+  basic: {
+    id: 'basic',
+    name: 'Basic Hosting',
+    description: 'Shared hosting with 10 GB storage and free SSL',
+    prices: {
+      monthly: { INR: 299, USD: 5 },
+      yearly: { INR: 2999, USD: 50 }
+    }
+  },
+  business: {
+    id: 'business',
+    name: 'Business Hosting',
+    description: '50 GB storage, daily backups and CDN',
+    prices: {
+      monthly: { INR: 799, USD: 12 },
+      yearly: { INR: 7999, USD: 120 }
+    }
+  },
+  premium: {
+    id: 'premium',
+    name: 'Premium Hosting',
+    description: 'Dedicated resources, 200 GB storage and 99.99% uptime SLA',
+    prices: {
+      monthly: { INR: 1999, USD: 28 },
+      yearly: { INR: 19999, USD: 280 }
+    }
+  }
+};
+
+module.exports = { CATALOG_VERSION, BILLING_PERIODS, ECOMMERCE_PLANS, HOSTING_PLANS };
@@ -0,0 +1,36 @@
+// Limits on the checkout (initiate) endpoints, which create a real order with the gateway on
+// every call. Each is written as "<requests>/<seconds>" and can be overridden through the
+// environment - e.g. RATE_LIMIT_IP="30/600" allows 30 checkouts per IP address every 10 minutes.
+// Set a limit to "off" to disable it. config/env.js rejects malformed limits on startup.
+//
+//   RATE_LIMIT_IP        - per client IP address
+//   RATE_LIMIT_CUSTOMER  - per customer email and, separately, per phone number
+//   RATE_LIMIT_STORE     - where the counters live: memory (default, per instance) or shared
+//                          (the payment store, so every serverless instance sees the same counts)
+
+const { getConfig } = require('./env');
+
+const DEFAULT_LIMITS = {
+  ip: '30/600',
+  customer: '5/600'
+};
+
+// "30/600" -> { limit: 30, windowSeconds: 600 }; null when the limit is off
+const parseLimit = (spec) => {
+  const text = String(spec).trim().toLowerCase();
+  if (text === 'off' || text === '0') return null;
+
+  const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error('must be "<requests>/<seconds>" or "off", e.g. 30/600');
+  }
+  return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+// The configured limit, or the default when RATE_LIMIT_<NAME> isn't set
+const getLimit = (name) => {
+  const configured = getConfig().rateLimits[name];
+  return configured === undefined ? parseLimit(DEFAULT_LIMITS[name]) : configured;
+};
+
+module.exports = { DEFAULT_LIMITS, getLimit, parseLimit };
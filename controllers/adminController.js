@@ -0,0 +1,78 @@
+const adminService = require('../services/adminService');
+const { sendFieldError } = require('../middleware/validateRequest');
+const { logger } = require('../services/logger');
+
+const ADMIN_ERROR_STATUSES = {
+  NOT_FOUND: 404,
+  FULFILMENT_NOT_ALLOWED: 409
+};
+
+const sendError = (res, error, label) => {
+  // A cursor can be well-formed and still not decode - reported like any other bad field
+  if (error.code === 'INVALID_REQUEST' && error.field) {
+    return sendFieldError(res, error, 'query');
+  }
+  if (ADMIN_ERROR_STATUSES[error.code]) {
+    return res.status(ADMIN_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+  }
+  logger.error(`${label} failed`, error);
+  return res.status(500).json({
+    success: false,
+    message: `${label} failed due to a server error: ${error.message}`
+  });
+};
+
+// Search payments: ?status=&provider=&ecommPlan=&hostingPlan=&email=&from=&to=&limit=&cursor=
+exports.listPayments = async (req, res) => {
+  try {
+    const { payments, nextCursor } = await adminService.listPayments(req.query);
+
+    return res.json({ success: true, count: payments.length, payments, nextCursor });
+  } catch (error) {
+    return sendError(res, error, 'Payment search');
+  }
+};
+
+// Add email keys to older payment records, a page at a time: ?limit=&cursor=
+exports.backfillEmailKeys = async (req, res) => {
+  try {
+    const result = await adminService.backfillEmailKeys(req.query);
+
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, 'Email key backfill');
+  }
+};
+
+// One payment with its order and full timeline
+exports.getPayment = async (req, res) => {
+  try {
+    const details = await adminService.getPaymentDetails(req.params.merchantTransactionId);
+
+    return res.json({ success: true, ...details });
+  } catch (error) {
+    return sendError(res, error, 'Payment lookup');
+  }
+};
+
+exports.addNote = async (req, res) => {
+  try {
+    const { note, author } = req.body || {};
+    const event = await adminService.addNote(req.params.merchantTransactionId, { note, author });
+
+    return res.status(201).json({ success: true, note: event });
+  } catch (error) {
+    return sendError(res, error, 'Add note');
+  }
+};
+
+exports.markFulfilled = async (req, res) => {
+  try {
+    const { note, author } = req.body || {};
+    const order = await adminService.markFulfilled(req.params.merchantTransactionId, { note, author });
+
+    return res.json({ success: true, message: 'Order marked as fulfilled', fulfilment: order.fulfilment });
+  } catch (error) {
+    return sendError(res, error, 'Fulfilment');
+  }
+};
@@ -0,0 +1,41 @@
+const customerService = require('../services/customerService');
+const { logger } = require('../services/logger');
+
+// The signed-in customer's payments and invoices: ?limit=
+exports.listPayments = async (req, res) => {
+  try {
+    const { customer, payments } = await customerService.listCustomerPayments(req.customerIdentity, {
+      limit: parseInt(req.query.limit, 10) || 20
+    });
+
+    return res.json({ success: true, customer, count: payments.length, payments });
+  } catch (error) {
+    logger.error('Customer payment history failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load your payments'
+    });
+  }
+};
+
+// The invoice PDF for one of the signed-in customer's payments
+exports.getInvoice = async (req, res) => {
+  try {
+    const { filename, pdf } = await customerService.getCustomerInvoice(req.customerIdentity, req.params.merchantTransactionId);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    return res.send(pdf);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    logger.error('Customer invoice download failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice'
+    });
+  }
+};
@@ -0,0 +1,62 @@
+const merchantWebhookService = require('../services/merchantWebhookService');
+const { logger } = require('../services/logger');
+
+const WEBHOOK_ERROR_STATUSES = {
+  NOT_FOUND: 404,
+  ENDPOINT_NOT_CONFIGURED: 409
+};
+
+const sendError = (res, error, label) => {
+  if (WEBHOOK_ERROR_STATUSES[error.code]) {
+    return res.status(WEBHOOK_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+  }
+  logger.error(`${label} failed`, error);
+  return res.status(500).json({
+    success: false,
+    message: `${label} failed due to a server error: ${error.message}`
+  });
+};
+
+// Delivery log: ?merchantTransactionId=&status=&limit=
+exports.listDeliveries = async (req, res) => {
+  try {
+    const { merchantTransactionId, status, limit } = req.query;
+    const deliveries = await merchantWebhookService.listDeliveries({
+      merchantTransactionId,
+      status,
+      limit: parseInt(limit, 10) || 50
+    });
+
+    return res.json({ success: true, count: deliveries.length, deliveries });
+  } catch (error) {
+    return sendError(res, error, 'Webhook delivery search');
+  }
+};
+
+// One delivery with its payload and every attempt
+exports.getDelivery = async (req, res) => {
+  try {
+    const delivery = await merchantWebhookService.getDelivery(req.params.deliveryId);
+
+    return res.json({ success: true, delivery });
+  } catch (error) {
+    return sendError(res, error, 'Webhook delivery lookup');
+  }
+};
+
+// Send a delivery again straight away
+exports.resendDelivery = async (req, res) => {
+  try {
+    const { delivery, job } = await merchantWebhookService.resendDelivery(req.params.deliveryId);
+    const delivered = delivery.status === 'DELIVERED';
+
+    return res.json({
+      success: delivered,
+      message: delivered ? 'Webhook delivered' : 'Webhook failed again and was rescheduled',
+      delivery,
+      job
+    });
+  } catch (error) {
+    return sendError(res, error, 'Webhook resend');
+  }
+};
@@ -0,0 +1,64 @@
+const outboxService = require('../services/outboxService');
+const { logger } = require('../services/logger');
+
+const OUTBOX_ERROR_STATUSES = {
+  NOT_FOUND: 404,
+  REPLAY_NOT_ALLOWED: 409
+};
+
+const MAX_LIMIT = 100;
+
+const parseLimit = (value, fallback) => Math.min(parseInt(value, 10) || fallback, MAX_LIMIT);
+
+// Run the outbox jobs that are due - called by Vercel Cron (GET) or by hand (POST)
+exports.drainOutbox = async (req, res) => {
+  try {
+    const summary = await outboxService.drain({ limit: parseLimit(req.query.limit, 25) });
+    logger.info('Outbox drained', summary);
+
+    return res.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Outbox drain failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Outbox drain failed: ' + error.message
+    });
+  }
+};
+
+// Jobs that ran out of retries (admin only)
+exports.listDeadLetters = async (req, res) => {
+  try {
+    const jobs = await outboxService.listDeadLetters({ limit: parseLimit(req.query.limit, 50) });
+
+    return res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    logger.error('Listing dead letters failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list dead letters: ' + error.message
+    });
+  }
+};
+
+// Reset a dead job's attempts and run it again (admin only)
+exports.replayJob = async (req, res) => {
+  try {
+    const job = await outboxService.replayJob(req.params.jobId);
+
+    return res.json({
+      success: job.status === 'DONE',
+      job,
+      message: job.status === 'DONE' ? 'Job replayed' : 'Job failed again and was rescheduled'
+    });
+  } catch (error) {
+    if (OUTBOX_ERROR_STATUSES[error.code]) {
+      return res.status(OUTBOX_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+    }
+    logger.error('Outbox replay failed', { jobId: req.params.jobId, error });
+    return res.status(500).json({
+      success: false,
+      message: 'Replay failed due to a server error: ' + error.message
+    });
+  }
+};
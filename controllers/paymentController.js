@@ -1,304 +1,239 @@
-const axios = require('axios');
-const crypto = require('crypto');
-const { StandardCheckoutClient, Env, MetaInfo, StandardCheckoutPayRequest } = require('pg-sdk-node');
-const nodemailer = require('nodemailer');
-const admin = require('firebase-admin');
-const { Cashfree, CFEnvironment } = require('cashfree-pg');
-const { parse } = require('path');
-
-const DEFAULT_CURRENCY = "INR";
-const SUPPORTED_CURRENCIES = ["AFN", "ALL", "DZD", "AOA", "ARS", "AMD", "AWG", "AUD", "AZN", "BSD", "BHD", "BDT", "BBD", "BZD", "BMD", "BTN", "BOB", "BAM", "BWP", "BRL", "BND", "BGN", "BIF", "KHR", "CAD", "CVE", "KYD", "XAF", "XPF", "CLP", "COP", "KMF", "CDF", "CRC", "CZK", "DKK", "DJF", "DOP", "XCD", "EGP", "ERN", "SZL", "ETB", "EUR", "FKP", "FJD", "GMD", "GEL", "GHS", "GIP", "GTQ", "GNF", "GYD", "HTG", "HNL", "HKD", "HUF", "ISK", "INR", "IDR", "IQD", "JMD", "JPY", "JOD", "KZT", "KES", "KWD", "KGS", "LAK", "LBP", "LRD", "LYD", "MOP", "MKD", "MGA", "MWK", "MYR", "MVR", "MRU", "MUR", "MXN", "MDL", "MNT", "MAD", "MZN", "NAD", "NPR", "ILS", "TWD", "NZD", "NIO", "NGN", "NOK", "PGK", "PYG", "PEN", "PHP", "PLN", "GBP", "QAR", "CNY", "OMR", "RON", "RUB", "RWF", "SHP", "WST", "SAR", "RSD", "SCR", "SLL", "SGD", "SBD", "SOS", "ZAR", "KRW", "LKR", "SRD", "SEK", "CHF", "TJS", "TZS", "THB", "TOP", "TTD", "TND", "TRY", "TMT", "AED", "UGX", "UAH", "UYU", "USD", "UZS", "VUV", "VND", "XOF", "YER", "ZMW"];
-
-// Initialize Firebase Admin SDK (if not already initialized elsewhere)
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId: process.env.FIREBASE_PROJECT_ID,
-      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-      privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-    })
-  });
-  console.log('Firebase Admin SDK initialized successfully');
-}
-
-// Get Firestore instance
-const db = admin.firestore();
-
-// Function to store payment data in Firestore
-const storePaymentData = async (paymentData) => {
-  try {
-    // Format payment data for Firestore
-    const timestamp = new Date();
-    
-    const paymentDoc = {
-      customerInfo: {
-        name: paymentData.customerName || '',
-        email: paymentData.customerEmail || '',
-        phone: paymentData.customerPhone || ''
-      },
-      transactionInfo: {
-        id: paymentData.merchantTransactionId || '',
-        amount: paymentData.amount || 0,
-        status: paymentData.status || 'UNKNOWN',
-        paymentMethod: paymentData.paymentMethod || 'unknown',
-        createdAt: paymentData.createdAt || timestamp.toISOString(),
-        updatedAt: paymentData.updatedAt || timestamp.toISOString(),
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      },
-      planDetails: {
-        ecommPlan: paymentData.ecommPlan || '',
-        hostingPlan: paymentData.hostingPlan || ''
-      }
-    };
+const paymentRepository = require('../repositories/paymentRepository');
+const webhookRepository = require('../repositories/webhookRepository');
+const pricingService = require('../services/pricingService');
+const couponService = require('../services/couponService');
+const refundService = require('../services/refundService');
+const invoiceService = require('../services/invoiceService');
+const customerService = require('../services/customerService');
+const { applyProviderStatus } = require('../services/paymentLifecycle');
+const { logOrderEvent } = require('../services/orderTimeline');
+const { normalizeStatus } = require('../services/orderStateMachine');
+const { getProvider, getEnabledProviders, getProvidersForCurrency } = require('../providers');
+const { DEFAULT_CURRENCY } = require('../providers/PaymentProvider');
+const { sendFieldError } = require('../middleware/validateRequest');
+const { logger, setOrder } = require('../services/logger');
+const { checkoutFingerprint, findDuplicateCheckout } = require('../services/duplicateCheckout');
+
+// How canonical order statuses are reported to the payment status page
+const VERIFY_RESPONSES = {
+  SUCCEEDED: { success: true, status: 'SUCCESS', message: 'Payment successful' },
+  PENDING: { success: false, status: 'PENDING', message: 'Payment is still processing' }
+};
+
+// Errors from pricing that the customer is told about, by status
+const PRICING_ERROR_STATUSES = {
+  INVALID_PLAN: 400,
+  INVALID_COUPON: 400,
+  RATES_UNAVAILABLE: 503
+};
 
-    // Add transaction ID as document ID for easy retrieval
-    await db.collection('payments').doc(paymentData.merchantTransactionId).set(paymentDoc);
-    console.log('Payment data stored in Firestore with ID:', paymentData.merchantTransactionId);
-    return paymentData.merchantTransactionId;
+// Price the requested plans server-side and apply any discount code; responds with an error
+// and returns null when the order can't be priced. The quote - exchange rate included - is
+// stored with the order, so the price doesn't move once the order exists.
+const quoteOrder = async (req, res, currency) => {
+  const { ecommPlan, hostingPlan, billingPeriod, couponCode, customerEmail } = req.body;
+
+  try {
+    const quote = await pricingService.computeQuote({ ecommPlan, hostingPlan, billingPeriod, currency });
+    return couponCode ? await couponService.applyCoupon(quote, { couponCode, customerEmail }) : quote;
   } catch (error) {
-    console.error('Error storing payment data in Firestore:', error);
-    // Just log the error but don't throw it to prevent payment process interruption
+    const status = PRICING_ERROR_STATUSES[error.code];
+    if (!status) throw error;
+    res.status(status).json({ success: false, message: error.message });
     return null;
   }
 };
 
-// Store pending payments in memory (use database in production)
-global.pendingPayments = global.pendingPayments || {};
-
-// Configure nodemailer transporter
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: process.env.EMAIL_SECURE === 'true',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD
+// Record a refund status pushed by a provider; refunds we don't know about are logged and skipped
+const applyProviderRefundUpdate = async (merchantTransactionId, refundId, update) => {
+  try {
+    await refundService.applyRefundUpdate(merchantTransactionId, refundId, update);
+    logger.info('Refund status updated', { refundId, status: update.status });
+  } catch (error) {
+    if (error.code !== 'NOT_FOUND') throw error;
+    logger.warn('Refund update for unknown refund', { refundId });
   }
-});
+};
 
-// Function to send notification email to admin
-const sendAdminNotificationEmail = async (paymentDetails) => {
+// Plan catalog for the frontend. With ?currency= the prices include that currency and only
+// the gateways that can charge in it are listed.
+exports.getPlans = async (req, res) => {
   try {
-    // Extract payment details
-    const { customerName, customerEmail, customerPhone, amount, ecommPlan, hostingPlan, merchantTransactionId } = paymentDetails;
-    
-    // Create email content
-    const subject = `New Client Alert: ${customerName} has made a payment!`;
-    
-    // Format the plans for better readability
-    const selectedPackage = [];
-    if (ecommPlan) selectedPackage.push(`E-commerce Plan: ${ecommPlan}`);
-    if (hostingPlan) selectedPackage.push(`Hosting Plan: ${hostingPlan}`);
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
-        <h2 style="color: #4a6ee0;">🎉 Great news! You have a new client!</h2>
-        <p>A customer has just completed a payment on CraftMyStore.</p>
-        
-        <h3 style="margin-top: 20px; border-bottom: 1px solid #eee; padding-bottom: 10px;">Client Details:</h3>
-        <ul style="list-style-type: none; padding-left: 0;">
-          <li><strong>Name:</strong> ${customerName}</li>
-          <li><strong>Email:</strong> ${customerEmail}</li>
-          <li><strong>Phone:</strong> ${customerPhone || 'Not provided'}</li>
-          <li><strong>Transaction ID:</strong> ${merchantTransactionId}</li>
-        </ul>
-        
-        <h3 style="margin-top: 20px; border-bottom: 1px solid #eee; padding-bottom: 10px;">Purchase Details:</h3>
-        <ul style="list-style-type: none; padding-left: 0;">
-          <li><strong>Amount Paid:</strong> $${amount}</li>
-          <li><strong>Selected Package:</strong> ${selectedPackage.join(', ') || 'Custom package'}</li>
-        </ul>
-        
-        <div style="margin-top: 30px; padding: 15px; background-color: #f7f7f7; border-radius: 5px;">
-          <p style="margin-top: 0;"><strong>Next Steps:</strong></p>
-          <ol>
-            <li>Reach out to the client within 24 hours to welcome them</li>
-            <li>Set up their account with the purchased packages</li>
-            <li>Schedule an onboarding call if needed</li>
-          </ol>
-        </div>
-        
-        <p style="margin-top: 30px; font-size: 12px; color: #777;">
-          This is an automated message from CraftMyStore platform. Please do not reply directly to this email.
-        </p>
-      </div>
-    `;
-    
-    // Send email
-    await transporter.sendMail({
-      from: `"CraftMyStore Notifications" <${process.env.EMAIL_FROM}>`,
-      to: process.env.ADMIN_EMAIL,
-      subject,
-      html
+    const currency = req.query.currency ? String(req.query.currency).trim().toUpperCase() : undefined;
+    const catalog = await pricingService.getCatalog({ currency });
+
+    res.json({
+      success: true,
+      ...catalog,
+      providers: currency ? getProvidersForCurrency(currency) : getEnabledProviders()
     });
-    
-    console.log(`Admin notification email sent for customer: ${customerName}`);
-    return true;
   } catch (error) {
-    console.error('Error sending admin notification email:', error);
-    return false;
+    const status = PRICING_ERROR_STATUSES[error.code];
+    if (status) {
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    logger.error('Plan catalog failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load plans'
+    });
   }
 };
 
-// Initialize Cashfree client based on environment
-const getCashfreeClient = () => {
-  const environment = process.env.CASHFREE_ENVIRONMENT === 'production' 
-    ? CFEnvironment.PRODUCTION 
-    : CFEnvironment.SANDBOX;
-  
-  return new Cashfree(
-    environment,
-    process.env.CASHFREE_CLIENT_ID,
-    process.env.CASHFREE_CLIENT_SECRET
-  );
-};
-
-// PhonePe Payment Initiation using SDK
-exports.initiatePhonePePayment = async (req, res) => {
+// Preview the discounted price for a coupon - nothing is reserved until the order is paid
+exports.applyCoupon = async (req, res) => {
   try {
-    const { amount, ecommPlan, hostingPlan, customerName, customerEmail, customerPhone } = req.body;
+    const { currency = DEFAULT_CURRENCY } = req.body;
 
-    console.log('PhonePe Payment Request:', req.body);
+    const quote = await quoteOrder(req, res, currency);
+    if (!quote) return;
 
-    // Validation
-    if (!amount || !customerPhone || !customerEmail || !customerName) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: amount, customerPhone, customerEmail, customerName'
-      });
-    }
+    return res.json({
+      success: true,
+      quote,
+      message: 'Coupon applied'
+    });
+  } catch (error) {
+    logger.error('Apply coupon failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon'
+    });
+  }
+};
 
-    // Validate phone number format
-    if (!/^\d{10}$/.test(customerPhone)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone number must be exactly 10 digits'
-      });
+// Payment initiation - same flow for every provider, the provider adapter does the gateway call
+const initiatePayment = (providerName) => async (req, res) => {
+  const provider = getProvider(providerName);
+
+  try {
+    const { customerName, customerEmail, customerPhone, customerGstin, customerStateCode, currency } = req.body;
+
+    logger.info('Payment request', { provider: provider.name, body: req.body });
+
+    // The request schema has already checked and normalized the fields; what's left is what
+    // only the provider knows - which phone numbers and currencies it accepts
+    let customer;
+    let taxDetails;
+    try {
+      customer = provider.prepareCustomer({ name: customerName, email: customerEmail, phone: customerPhone });
+      // Optional - lets business customers get an invoice with their GSTIN and billing state
+      taxDetails = invoiceService.normalizeBuyerTaxDetails({ gstin: customerGstin, stateCode: customerStateCode });
+    } catch (error) {
+      if (error.code !== 'INVALID_REQUEST') throw error;
+      if (error.field) return sendFieldError(res, error);
+      return res.status(400).json({ success: false, message: error.message });
     }
 
-    // Validate amount
-    if (isNaN(amount) || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid amount'
-      });
+    // Each gateway only takes the currencies it can really settle; point the customer at one that can
+    const chargeCurrency = provider.resolveCurrency(currency);
+    if (!provider.supportsCurrency(chargeCurrency)) {
+      const alternatives = getProvidersForCurrency(chargeCurrency);
+      const hint = alternatives.length ? ` - use ${alternatives.join(' or ')}` : '';
+      return sendFieldError(res, { field: 'currency', message: `${chargeCurrency} is not supported by ${provider.name}${hint}` });
     }
 
+    const quote = await quoteOrder(req, res, chargeCurrency);
+    if (!quote) return;
+
+    const { ecommPlan, hostingPlan } = pricingService.getPlanIds(quote);
+    const { customerId } = await customerService.resolveCustomer({
+      ...customer,
+      gstin: taxDetails.customerGstin,
+      stateCode: taxDetails.customerStateCode
+    });
+
     // Generate unique transaction ID
     const merchantTransactionId = `CMS_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
 
     // Store payment info for verification
-    const paymentInfo = {
+    const order = {
       merchantTransactionId,
-      amount: parseFloat(amount),
-      customerName,
-      customerEmail,
-      customerPhone,
+      paymentMethod: provider.name,
+      amount: quote.total,
+      currency: quote.currency,
+      customerId,
+      customerName: customer.name,
+      customerEmail: customer.email,
+      customerPhone: customer.phone,
+      ...taxDetails,
       ecommPlan,
       hostingPlan,
-      status: 'PENDING',
+      billingPeriod: quote.billingPeriod,
+      priceSnapshot: quote,
+      couponCode: quote.discount ? quote.discount.code : null,
+      status: 'CREATED',
+      statusHistory: [],
       createdAt: new Date().toISOString()
     };
+    order.checkoutFingerprint = checkoutFingerprint(order);
 
-    global.pendingPayments[merchantTransactionId] = paymentInfo;
-
-    // PhonePe production or sandbox environment based on .env
-    const isProduction = process.env.PHONEPE_BASE_URL.includes('api.phonepe.com');
-
-    // Initialize PhonePe SDK client
-    const clientId = process.env.PHONEPE_MERCHANT_ID;
-    const clientSecret = process.env.PHONEPE_MERCHANT_KEY;
-    const clientVersion = 1;
-    const env = isProduction ? Env.PRODUCTION : Env.SANDBOX;
-
-    console.log(`Using PhonePe ${isProduction ? 'PRODUCTION' : 'SANDBOX'} environment`);
-
-    const client = StandardCheckoutClient.getInstance(clientId, clientSecret, clientVersion, env);
-
-    // Prepare redirectUrl with transaction details
-    const redirectUrl = `${process.env.FRONTEND_URL}/payment-status?merchantTransactionId=${merchantTransactionId}&amount=${amount}&method=phonepe&customer=${encodeURIComponent(customerName)}`;
-
-    // Build metadata
-    const metaInfo = MetaInfo.builder()
-      .udf1(customerEmail)
-      .udf2(customerPhone)
-      .udf3(ecommPlan || hostingPlan || '')
-      .build();
-
-    // Create payment request using the SDK
-    const request = StandardCheckoutPayRequest.builder()
-      .merchantOrderId(merchantTransactionId)
-      .amount(Math.round(parseFloat(amount) * 100)) // Convert to paise
-      .redirectUrl(redirectUrl)
-      .metaInfo(metaInfo)
-      .build();
-
-    console.log('PhonePe SDK Request:', request);
-
-    // Make the payment request
-    const response = await client.pay(request);
-    console.log('PhonePe SDK Response:', response);
-
-    if (response && response.redirectUrl) {
-      // Update payment info with order ID and redirect URL
-      global.pendingPayments[merchantTransactionId].phonepeOrderId = response.orderId;
-      global.pendingPayments[merchantTransactionId].redirectUrl = response.redirectUrl;
-      global.pendingPayments[merchantTransactionId].status = 'INITIATED';
-      global.pendingPayments[merchantTransactionId].expireAt = response.expireAt;
-
+    // The customer already has this exact checkout open - send them back to it
+    const duplicate = await findDuplicateCheckout(order);
+    if (duplicate) {
+      setOrder(duplicate.merchantTransactionId);
+      logger.info('Returning open checkout for duplicate order');
       return res.json({
         success: true,
-        redirectUrl: response.redirectUrl,
-        merchantTransactionId,
-        orderId: response.orderId,
-        message: 'Payment initiated successfully'
-      });
-    } else {
-      console.error('PhonePe SDK Error: Missing redirect URL');
-      return res.status(400).json({
-        success: false,
-        message: 'Payment initiation failed - missing redirect URL',
-        error: response
+        merchantTransactionId: duplicate.merchantTransactionId,
+        ...duplicate.checkoutResponse,
+        duplicate: true
       });
     }
 
-  } catch (error) {
-    console.error('PhonePe Payment Error:', error);
+    setOrder(merchantTransactionId);
+    await paymentRepository.createOrder(order);
+
+    let result;
+    try {
+      result = await provider.createOrder(order);
+    } catch (error) {
+      await paymentRepository.transitionOrder(merchantTransactionId, 'FAILED', {
+        failureReason: error.response?.data?.message || error.message,
+        failureCode: error.code === 'PROVIDER_REJECTED' ? 'PROVIDER_REJECTED' : 'CREATE_ORDER_ERROR'
+      }, provider.name);
+
+      if (error.code === 'PROVIDER_REJECTED') {
+        logger.warn('Provider rejected order', { provider: provider.name, details: error.details });
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: error.details
+        });
+      }
+      throw error;
+    }
 
+    try {
+      await paymentRepository.transitionOrder(merchantTransactionId, 'INITIATED', {
+        providerOrderId: result.providerOrderId,
+        ...result.details,
+        checkoutResponse: result.response
+      }, provider.name);
+    } catch (error) {
+      // A webhook may already have settled the order - keep its status, just store the details
+      if (error.code !== 'ILLEGAL_TRANSITION') throw error;
+      await paymentRepository.updateOrder(merchantTransactionId, { providerOrderId: result.providerOrderId, ...result.details, checkoutResponse: result.response });
+    }
+
+    return res.json({
+      success: true,
+      merchantTransactionId,
+      ...result.response
+    });
+  } catch (error) {
+    logger.error('Payment initiation failed', { provider: provider.name, error });
     return res.status(500).json({
       success: false,
-      message: error.message || 'Payment initiation failed',
-      error: error
+      message: 'Payment initiation failed: ' + (error.response?.data?.message || error.message)
     });
   }
 };
 
-// PhonePe Callback Handler
-exports.phonePeCallback = async (req, res) => {
-  try {
-    console.log('PhonePe Callback received:', {
-      body: req.body,
-      query: req.query,
-      headers: req.headers
-    });
-
-    const { merchantTransactionId, status } = req.query;
-
-    if (merchantTransactionId && global.pendingPayments[merchantTransactionId]) {
-      global.pendingPayments[merchantTransactionId].status = status || 'COMPLETED';
-      global.pendingPayments[merchantTransactionId].updatedAt = new Date().toISOString();
-      console.log('Updated payment status for:', merchantTransactionId, 'to:', status);
-    }
+// Payment verification - asks the provider for the order status and settles the order
+const verifyPayment = (providerName) => async (req, res) => {
+  const provider = getProvider(providerName);
 
-    res.status(200).json({ success: true, message: 'Callback processed' });
-  } catch (error) {
-    console.error('PhonePe Callback Error:', error);
-    res.status(500).json({ success: false, message: 'Callback failed' });
-  }
-};
-
-// Verify PhonePe Payment using SDK
-exports.verifyPhonePePayment = async (req, res) => {
   try {
     const { merchantTransactionId } = req.params;
 
@@ -309,370 +244,194 @@ exports.verifyPhonePePayment = async (req, res) => {
       });
     }
 
-    console.log('Verifying PhonePe payment for:', merchantTransactionId);
+    logger.info('Verifying payment', { provider: provider.name });
 
     // Get stored payment info
-    if (!global.pendingPayments || !global.pendingPayments[merchantTransactionId]) {
+    const order = await paymentRepository.getOrder(merchantTransactionId);
+
+    if (!order) {
       return res.status(404).json({
         success: false,
         message: 'Transaction not found'
       });
     }
 
-    const paymentInfo = global.pendingPayments[merchantTransactionId];
-
-    // PhonePe production or sandbox environment based on .env
-    const isProduction = process.env.PHONEPE_BASE_URL.includes('api.phonepe.com');
-
-    // Initialize PhonePe SDK client
-    const clientId = process.env.PHONEPE_MERCHANT_ID;
-    const clientSecret = process.env.PHONEPE_MERCHANT_KEY;
-    const clientVersion = 1;
-    const env = isProduction ? Env.PRODUCTION : Env.SANDBOX;
-
-    const client = StandardCheckoutClient.getInstance(clientId, clientSecret, clientVersion, env);
-
-    console.log('Checking payment status using merchantTransactionId:', merchantTransactionId);
-    
-    // Use getOrderStatus as per PhonePe documentation instead of checkStatus
-    const statusResponse = await client.getOrderStatus(merchantTransactionId);
-    console.log('PhonePe Status Response:', JSON.stringify(statusResponse, null, 2));
-
-    // Update payment status in memory
-    global.pendingPayments[merchantTransactionId].status = statusResponse?.state || 'UNKNOWN';
-    global.pendingPayments[merchantTransactionId].verifiedAt = new Date().toISOString();
-    global.pendingPayments[merchantTransactionId].paymentDetails = statusResponse;
-
-    // Determine the final status to send to the frontend based on PhonePe state
-    if (statusResponse && statusResponse.state === 'COMPLETED') {
-      console.log('SUCCESS DETECTED - Payment verified as successful');
-      
-      // Also check payment details if available
-      const paymentDetail = statusResponse.paymentDetails && 
-                           statusResponse.paymentDetails.length > 0 ? 
-                           statusResponse.paymentDetails[0] : null;
-      
-      if (paymentDetail && paymentDetail.state !== 'COMPLETED') {
-        console.log('WARNING: Order state is COMPLETED but payment detail state is', paymentDetail.state);
-      }
-      
-      // Send admin notification email
-      try {
-        await sendAdminNotificationEmail(paymentInfo);
-        console.log('Admin notification email sent successfully');
-      } catch (emailError) {
-        console.error('Failed to send admin notification email:', emailError);
-      }
-      
-      // Store payment data in Firestore
-      try {
-        const firestorePaymentData = {
-          ...paymentInfo,
-          paymentMethod: 'phonepe',
-          status: 'COMPLETED',
-          updatedAt: new Date().toISOString()
-        };
-        
-        await storePaymentData(firestorePaymentData);
-        console.log('PhonePe payment data stored in Firestore successfully');
-      } catch (firestoreError) {
-        console.error('Failed to store PhonePe payment data in Firestore:', firestoreError);
-        // Don't affect the payment response if Firestore storage fails
-      }
-      
-      return res.json({
-        success: true,
-        status: 'SUCCESS',
-        message: 'Payment successful',
-        data: statusResponse
-      });
-    } else if (statusResponse && statusResponse.state === 'PENDING') {
-      console.log('PENDING DETECTED - Payment is still processing');
-      return res.json({
-        success: false,
-        status: 'PENDING',
-        message: 'Payment is still processing',
-        data: statusResponse
-      });
-    } else {
-      console.log('FAILURE DETECTED - Payment verified as failed or cancelled');
-      
-      // Extract error information if available
-      const paymentDetail = statusResponse.paymentDetails && 
-                           statusResponse.paymentDetails.length > 0 ? 
-                           statusResponse.paymentDetails[0] : null;
-      
-      const errorInfo = paymentDetail ? 
-                        `Error: ${paymentDetail.errorCode || 'Unknown'} - ${paymentDetail.detailedErrorCode || ''}` : 
-                        'No detailed error information available';
-      
-      return res.json({
-        success: false,
-        status: 'FAILED',
-        message: `Payment failed or was cancelled. ${errorInfo}`,
-        data: statusResponse
-      });
-    }
+    const result = await provider.fetchStatus(order);
+
+    await paymentRepository.updateOrder(merchantTransactionId, {
+      verifiedAt: new Date().toISOString(),
+      paymentDetails: result.raw
+    });
+    const updated = await applyProviderStatus(order, provider.name, result, 'verify');
+
+    logger.info('Payment verified', { provider: provider.name, status: result.status, providerStatus: result.providerStatus });
+
+    // Paid, but another request is still completing the order - success isn't reported until the
+    // invoice and notifications are on their way, so the status page asks again
+    const status = updated.completionInProgress ? 'PENDING' : result.status;
+    const response = VERIFY_RESPONSES[status] || {
+      success: false,
+      status: 'FAILED',
+      message: `Payment failed or was cancelled. ${result.failureReason || ''}`.trim()
+    };
 
+    return res.json({ ...response, data: result.raw });
   } catch (error) {
-    console.error('PhonePe Verification Error:', error);
+    logger.error('Payment verification failed', { provider: provider.name, error });
     return res.status(500).json({
       success: false,
       status: 'FAILED',
-      message: 'Verification failed due to a server error: ' + error.message
+      message: 'Verification failed due to a server error: ' + (error.response?.data?.message || error.message)
     });
   }
 };
 
-// Initiate Cashfree Payment
-exports.initiateCashfreePayment = async (req, res) => {
+// Provider webhooks / S2S callbacks - authenticated and parsed by the provider adapter
+const handleWebhook = (providerName) => async (req, res) => {
+  const provider = getProvider(providerName);
+
   try {
-    const { amount, currency = DEFAULT_CURRENCY, ecommPlan, hostingPlan, customerName, customerEmail, customerPhone } = req.body;
+    logger.info('Webhook received', { provider: provider.name, body: req.body, headers: req.headers });
 
-    if (!amount || !customerEmail || !customerName || !customerPhone) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: amount, customerName, customerEmail, customerPhone'
+    let event;
+    try {
+      event = await provider.parseWebhook(req);
+    } catch (error) {
+      if (error.code !== 'INVALID_WEBHOOK') throw error;
+
+      logger.warn('Webhook rejected', { provider: provider.name, reason: error.message });
+      try {
+        await webhookRepository.recordRejection(provider.name, { reason: error.message, ip: req.ip });
+      } catch (recordError) {
+        logger.error('Failed to record webhook rejection', { provider: provider.name, error: recordError });
+      }
+      return res.status(401).json({ success: false, message: 'Invalid webhook' });
+    }
+
+    if (event.type === 'refund' || event.type === 'payment') {
+      setOrder(event.merchantTransactionId);
+      await logOrderEvent(event.merchantTransactionId, 'webhook', {
+        provider: provider.name,
+        kind: event.type,
+        status: event.status,
+        providerStatus: event.providerStatus || null,
+        refundId: event.refundId || null
       });
     }
-    
-    console.log('Cashfree Payment Request:', req.body);
-    
-    // Validate phone number - ensure it has at least 10 digits or use a default
-    const validatedPhone = customerPhone && customerPhone.length >= 10 
-      ? customerPhone 
-      : "9999999999"; // Default fallback number
-    
-    // Generate unique transaction ID
-    const merchantTransactionId = `CMS_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-    
-    // Create return URL with order details
-    const returnUrl = `${process.env.FRONTEND_URL}/payment-status?merchantTransactionId=${merchantTransactionId}&amount=${amount}&method=cashfree&customer=${encodeURIComponent(customerName)}`;
-    const cancelUrl = `${process.env.FRONTEND_URL}/payment-cancel?merchantTransactionId=${merchantTransactionId}`;
 
-    // Store payment info for verification
-    const paymentInfo = {
-      merchantTransactionId,
-      amount: parseFloat(amount),
-      customerName,
-      customerEmail,
-      customerPhone: validatedPhone,
-      ecommPlan,
-      hostingPlan,
-      status: 'PENDING',
-      createdAt: new Date().toISOString()
-    };
-    
-    global.pendingPayments[merchantTransactionId] = paymentInfo;
-    
-    // Initialize Cashfree client
-    const cashfree = getCashfreeClient();
-    
-    // Prepare order request
-    const orderRequest = {
-      order_id: merchantTransactionId,
-      order_amount: amount.toString(),
-      order_currency: SUPPORTED_CURRENCIES.includes(currency) ? currency : DEFAULT_CURRENCY,
-      customer_details: {
-        customer_id: `CUST_${Date.now()}`,
-        customer_name: customerName,
-        customer_email: customerEmail,
-        customer_phone: validatedPhone
-      },
-      order_meta: {
-        return_url: returnUrl + '&order_id={order_id}',
-        notify_url: process.env.BACKEND_URL + '/api/payment/cashfree-webhook',
-        cancel_url: cancelUrl
-      },
-      order_note: `CraftMyStore - ${ecommPlan} + ${hostingPlan}`
-    };
-    
-    console.log('Cashfree order request:', JSON.stringify(orderRequest, null, 2));
-    
-    // Create order in Cashfree
-    const response = await cashfree.PGCreateOrder(orderRequest);
-    console.log('Cashfree order response:', response.data);
-    
-    if (response.data && response.data.payment_session_id) {
-      // Update payment info with payment session ID
-      global.pendingPayments[merchantTransactionId].cashfreeOrderId = response.data.order_id;
-      global.pendingPayments[merchantTransactionId].paymentSessionId = response.data.payment_session_id;
-      global.pendingPayments[merchantTransactionId].status = 'INITIATED';
-      
-      // Send both snake_case and camelCase versions for compatibility
-      return res.json({
-        success: true,
-        orderId: response.data.order_id,
-        payment_session_id: response.data.payment_session_id, // Original snake_case from Cashfree
-        paymentSessionId: response.data.payment_session_id,   // Converted to camelCase for frontend
-        merchantTransactionId
+    if (event.type === 'refund') {
+      await applyProviderRefundUpdate(event.merchantTransactionId, event.refundId, {
+        status: event.status,
+        providerStatus: event.providerStatus
       });
+    } else if (event.type === 'payment') {
+      const order = await paymentRepository.getOrder(event.merchantTransactionId);
+
+      if (order) {
+        await paymentRepository.updateOrder(order.merchantTransactionId, { webhookData: event.raw });
+        const updated = await applyProviderStatus(order, provider.name, event, 'webhook');
+        logger.info('Payment status updated', { status: normalizeStatus(updated.status) });
+      } else {
+        logger.warn('Webhook for unknown transaction', { provider: provider.name });
+      }
     } else {
-      console.error('Cashfree Error: Missing payment session ID');
-      return res.status(400).json({
-        success: false,
-        message: 'Payment initiation failed',
-        error: response.data
-      });
+      logger.info('Ignoring webhook', { provider: provider.name, reason: event.reason });
     }
+
+    res.status(200).json({ success: true, message: 'Webhook processed' });
   } catch (error) {
-    console.error('Cashfree Payment Error:', error.response?.data || error.message);
+    logger.error('Webhook handling failed', { provider: provider.name, error });
+    res.status(500).json({ success: false, message: 'Webhook failed' });
+  }
+};
+
+// PhonePe routes
+exports.initiatePhonePePayment = initiatePayment('phonepe');
+exports.verifyPhonePePayment = verifyPayment('phonepe');
+exports.phonePeCallback = handleWebhook('phonepe');
+
+// Cashfree routes
+exports.initiateCashfreePayment = initiatePayment('cashfree');
+exports.verifyCashfreePayment = verifyPayment('cashfree');
+exports.cashfreeWebhook = handleWebhook('cashfree');
+
+// Stripe routes
+exports.initiateStripePayment = initiatePayment('stripe');
+exports.verifyStripePayment = verifyPayment('stripe');
+exports.stripeWebhook = handleWebhook('stripe');
+
+// Download the GST invoice for a completed order
+exports.getInvoice = async (req, res) => {
+  try {
+    const { merchantTransactionId } = req.params;
+    const { filename, pdf } = await invoiceService.getInvoicePdf(merchantTransactionId);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    return res.send(pdf);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    logger.error('Invoice download failed', error);
     return res.status(500).json({
       success: false,
-      message: 'Payment initiation failed: ' + (error.response?.data?.message || error.message)
+      message: 'Failed to generate invoice'
     });
   }
 };
 
-// Verify Cashfree Payment
-exports.verifyCashfreePayment = async (req, res) => {
+// Map refund service errors onto HTTP responses
+const REFUND_ERROR_STATUSES = { NOT_FOUND: 404, REFUND_NOT_ALLOWED: 400, REFUND_IN_PROGRESS: 409 };
+
+// Refund a completed payment (admin only) - full refund when no amount is given
+exports.refundPayment = async (req, res) => {
   try {
     const { merchantTransactionId } = req.params;
-    
-    if (!merchantTransactionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing transaction ID'
-      });
+    const { amount, reason } = req.body;
+
+    logger.info('Refund requested', { amount: amount ?? 'full' });
+
+    const refund = await refundService.initiateRefund(merchantTransactionId, { amount, reason });
+
+    return res.status(refund.status === 'FAILED' ? 502 : 200).json({
+      success: refund.status !== 'FAILED',
+      refund,
+      message: refund.status === 'FAILED' ? 'Refund failed' : 'Refund initiated'
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST' && error.field) {
+      return sendFieldError(res, error);
     }
-    
-    console.log('Verifying Cashfree payment for:', merchantTransactionId);
-    
-    // Get stored payment info
-    if (!global.pendingPayments || !global.pendingPayments[merchantTransactionId]) {
-      return res.status(404).json({
-        success: false,
-        message: 'Transaction not found'
-      });
+    if (REFUND_ERROR_STATUSES[error.code]) {
+      return res.status(REFUND_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
     }
-    
-    const paymentInfo = global.pendingPayments[merchantTransactionId];
-    
-    // Initialize Cashfree client
-    const cashfree = getCashfreeClient();
-    
-    // Fetch order details from Cashfree
-    const response = await cashfree.PGFetchOrder(merchantTransactionId);
-    console.log('Cashfree order status response:', JSON.stringify(response.data, null, 2));
-    
-    const orderStatus = response.data.order_status;
-    
-    // Update payment status in memory
-    global.pendingPayments[merchantTransactionId].status = orderStatus;
-    global.pendingPayments[merchantTransactionId].verifiedAt = new Date().toISOString();
-    global.pendingPayments[merchantTransactionId].paymentDetails = response.data;
-    
-    if (orderStatus === 'PAID') {
-      console.log('SUCCESS DETECTED - Cashfree payment verified as successful');
-      
-      // Send admin notification email
-      try {
-        await sendAdminNotificationEmail(paymentInfo);
-        console.log('Admin notification email sent successfully');
-      } catch (emailError) {
-        console.error('Failed to send admin notification email:', emailError);
-      }
-      
-      // Store payment data in Firestore
-      try {
-        const firestorePaymentData = {
-          ...paymentInfo,
-          paymentMethod: 'cashfree',
-          status: 'COMPLETED',
-          updatedAt: new Date().toISOString()
-        };
-        
-        await storePaymentData(firestorePaymentData);
-        console.log('Cashfree payment data stored in Firestore successfully');
-      } catch (firestoreError) {
-        console.error('Failed to store Cashfree payment data in Firestore:', firestoreError);
-        // Don't affect the payment response if Firestore storage fails
-      }
-      
-      return res.json({
-        success: true,
-        status: 'SUCCESS',
-        message: 'Payment successful',
-        data: response.data
-      });
-    } else if (orderStatus === 'ACTIVE') {
-      console.log('PENDING DETECTED - Payment is still processing');
-      return res.json({
-        success: false,
-        status: 'PENDING',
-        message: 'Payment is still processing',
-        data: response.data
-      });
-    } else {
-      console.log('FAILURE DETECTED - Payment verified as failed or cancelled');
-      
-      return res.json({
-        success: false,
-        status: 'FAILED',
-        message: `Payment failed or was cancelled. Status: ${orderStatus}`,
-        data: response.data
-      });
-    }
-  } catch (error) {
-    console.error('Cashfree Verification Error:', error.response?.data || error.message);
+    logger.error('Refund failed', error);
     return res.status(500).json({
       success: false,
-      status: 'FAILED',
-      message: 'Verification failed due to a server error: ' + (error.response?.data?.message || error.message)
+      message: 'Refund failed due to a server error: ' + error.message
     });
   }
 };
 
-// Cashfree Webhook Handler
-exports.cashfreeWebhook = async (req, res) => {
+// Check on a pending refund with the provider (admin only)
+exports.getRefundStatus = async (req, res) => {
   try {
-    console.log('Cashfree Webhook received:', {
-      body: req.body,
-      headers: req.headers
-    });
-    
-    const eventData = req.body;
-    const orderId = eventData.data?.order?.order_id;
-    const orderStatus = eventData.data?.order?.order_status;
-    
-    if (orderId && global.pendingPayments[orderId]) {
-      global.pendingPayments[orderId].status = orderStatus === 'PAID' ? 'COMPLETED' : orderStatus;
-      global.pendingPayments[orderId].updatedAt = new Date().toISOString();
-      global.pendingPayments[orderId].webhookData = eventData;
-      console.log('Updated payment status for:', orderId, 'to:', orderStatus);
-      
-      // If payment is successful, send notification and store in Firestore
-      if (orderStatus === 'PAID') {
-        const paymentInfo = global.pendingPayments[orderId];
-        
-        // Send admin notification email
-        try {
-          await sendAdminNotificationEmail(paymentInfo);
-          console.log('Admin notification email sent successfully from webhook');
-        } catch (emailError) {
-          console.error('Failed to send admin notification email from webhook:', emailError);
-        }
-        
-        // Store payment data in Firestore
-        try {
-          const firestorePaymentData = {
-            ...paymentInfo,
-            paymentMethod: 'cashfree',
-            status: 'COMPLETED',
-            updatedAt: new Date().toISOString()
-          };
-          
-          await storePaymentData(firestorePaymentData);
-          console.log('Cashfree payment data stored in Firestore successfully from webhook');
-        } catch (firestoreError) {
-          console.error('Failed to store Cashfree payment data in Firestore from webhook:', firestoreError);
-        }
-      }
-    }
-    
-    res.status(200).json({ success: true, message: 'Webhook processed' });
+    const { merchantTransactionId, refundId } = req.params;
+
+    const refund = await refundService.refreshRefundStatus(merchantTransactionId, refundId);
+
+    return res.json({ success: true, refund });
   } catch (error) {
-    console.error('Cashfree Webhook Error:', error);
-    res.status(500).json({ success: false, message: 'Webhook failed' });
+    if (REFUND_ERROR_STATUSES[error.code]) {
+      return res.status(REFUND_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+    }
+    logger.error('Refund status check failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Refund status check failed: ' + (error.response?.data?.message || error.message)
+    });
   }
 };
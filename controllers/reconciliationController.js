@@ -0,0 +1,52 @@
+const reconciliationService = require('../services/reconciliationService');
+const { logger } = require('../services/logger');
+
+const RECONCILIATION_ERROR_STATUSES = {
+  NOT_FOUND: 404,
+  ALREADY_RUNNING: 409
+};
+
+const sendError = (res, error, label) => {
+  if (RECONCILIATION_ERROR_STATUSES[error.code]) {
+    return res.status(RECONCILIATION_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+  }
+  logger.error(`${label} failed`, error);
+  return res.status(500).json({
+    success: false,
+    message: `${label} failed due to a server error: ${error.message}`
+  });
+};
+
+// Check stale orders against their providers - called by Vercel Cron (GET) or by hand (POST)
+exports.runReconciliation = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const trigger = /vercel-cron/i.test(req.get('user-agent') || '') ? 'cron' : 'manual';
+    const run = await reconciliationService.runReconciliation({ limit, trigger });
+
+    return res.json({ success: true, run });
+  } catch (error) {
+    return sendError(res, error, 'Reconciliation');
+  }
+};
+
+// Recent run reports (admin only)
+exports.listRuns = async (req, res) => {
+  try {
+    const runs = await reconciliationService.listRuns({ limit: Number(req.query.limit) || 20 });
+
+    return res.json({ success: true, count: runs.length, runs });
+  } catch (error) {
+    return sendError(res, error, 'Reconciliation runs');
+  }
+};
+
+exports.getRun = async (req, res) => {
+  try {
+    const run = await reconciliationService.getRun(req.params.runId);
+
+    return res.json({ success: true, run });
+  } catch (error) {
+    return sendError(res, error, 'Reconciliation run');
+  }
+};
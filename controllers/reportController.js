@@ -0,0 +1,41 @@
+const reportService = require('../services/reportService');
+const { toCsv } = require('../services/csv');
+const { sendFieldError } = require('../middleware/validateRequest');
+const { logger } = require('../services/logger');
+
+// Send a report as JSON, or as a CSV download of its rows with ?format=csv
+const sendReport = (res, name, report, format) => {
+  if (format === 'csv') {
+    const filename = `${name}-report-${report.from.slice(0, 10)}-to-${report.to.slice(0, 10)}.csv`;
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    return res.send(toCsv(reportService.CSV_COLUMNS[name], report.rows));
+  }
+
+  return res.json({ success: true, report });
+};
+
+const reportHandler = (name, buildReport) => async (req, res) => {
+  try {
+    const report = await buildReport(req.query);
+    return sendReport(res, name, report, req.query.format);
+  } catch (error) {
+    if (error.code === 'INVALID_REQUEST') {
+      return sendFieldError(res, error, 'query');
+    }
+    logger.error('Report failed', { report: name, error });
+    return res.status(500).json({
+      success: false,
+      message: 'Report failed due to a server error: ' + error.message
+    });
+  }
+};
+
+// ?from=&to=&interval=day|week|month&format=csv
+exports.getRevenueReport = reportHandler('revenue', reportService.revenueReport);
+exports.getConversionReport = reportHandler('conversion', reportService.conversionReport);
+
+// ?from=&to=&format=csv
+exports.getFailureReport = reportHandler('failures', reportService.failureReport);
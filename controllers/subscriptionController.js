@@ -0,0 +1,144 @@
+const pricingService = require('../services/pricingService');
+const subscriptionService = require('../services/subscriptionService');
+const customerService = require('../services/customerService');
+const webhookRepository = require('../repositories/webhookRepository');
+const { getProvider } = require('../providers');
+const { DEFAULT_CURRENCY } = require('../providers/PaymentProvider');
+const { sendFieldError } = require('../middleware/validateRequest');
+const { isAdminRequest } = require('../middleware/adminAuth');
+const { logger } = require('../services/logger');
+
+// Map subscription service errors onto HTTP responses
+const SUBSCRIPTION_ERROR_STATUSES = { NOT_FOUND: 404, CANCEL_NOT_ALLOWED: 400 };
+
+// Subscription setup - hosting plans renew automatically through a mandate with the gateway
+const initiateSubscription = (providerName) => async (req, res) => {
+  const provider = getProvider(providerName);
+
+  try {
+    const { customerName, customerEmail, customerPhone, hostingPlan, billingPeriod } = req.body;
+
+    logger.info('Subscription request', { provider: provider.name, body: req.body });
+
+    let customer;
+    let quote;
+    try {
+      customer = provider.prepareCustomer({ name: customerName, email: customerEmail, phone: customerPhone });
+      // Mandates (UPI Autopay, e-NACH) are INR only
+      quote = await pricingService.computeQuote({ hostingPlan, billingPeriod, currency: DEFAULT_CURRENCY });
+    } catch (error) {
+      if (error.code !== 'INVALID_REQUEST' && error.code !== 'INVALID_PLAN') throw error;
+      if (error.field) return sendFieldError(res, error);
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const { customerId } = await customerService.resolveCustomer(customer);
+    const { subscription, response } = await subscriptionService.startSubscription(provider, { customer, customerId, quote });
+
+    return res.json({
+      success: true,
+      subscriptionId: subscription.subscriptionId,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      billingPeriod: subscription.billingPeriod,
+      ...response
+    });
+  } catch (error) {
+    if (error.code === 'PROVIDER_REJECTED') {
+      logger.warn('Provider rejected subscription', { provider: provider.name, details: error.details });
+      return res.status(400).json({ success: false, message: error.message, error: error.details });
+    }
+    logger.error('Subscription setup failed', { provider: provider.name, error });
+    return res.status(500).json({
+      success: false,
+      message: 'Subscription setup failed: ' + (error.response?.data?.message || error.message)
+    });
+  }
+};
+
+// Subscription status. Admins get the full record, refreshed from the gateway while the
+// subscription is still live; anyone else - the status page after mandate setup - gets the stored
+// status without customer details, so a guessed ID leaks nothing and costs no gateway call.
+exports.getSubscription = async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    const subscription = isAdminRequest(req)
+      ? await subscriptionService.refreshSubscription(subscriptionId)
+      : await subscriptionService.getPublicSubscription(subscriptionId);
+    return res.json({ success: true, subscription });
+  } catch (error) {
+    if (SUBSCRIPTION_ERROR_STATUSES[error.code]) {
+      return res.status(SUBSCRIPTION_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+    }
+    logger.error('Subscription status check failed', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Subscription status check failed: ' + (error.response?.data?.message || error.message)
+    });
+  }
+};
+
+// Cancel a subscription (admin only) - no further renewals are charged
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { reason } = req.body || {};
+
+    logger.info('Subscription cancellation requested', { subscriptionId });
+
+    const subscription = await subscriptionService.cancelSubscription(subscriptionId, { reason });
+
+    return res.json({ success: true, subscription, message: 'Subscription cancelled' });
+  } catch (error) {
+    if (SUBSCRIPTION_ERROR_STATUSES[error.code]) {
+      return res.status(SUBSCRIPTION_ERROR_STATUSES[error.code]).json({ success: false, message: error.message });
+    }
+    logger.error('Subscription cancellation failed', { subscriptionId: req.params.subscriptionId, error });
+    return res.status(500).json({
+      success: false,
+      message: 'Subscription cancellation failed: ' + (error.response?.data?.message || error.message)
+    });
+  }
+};
+
+// Subscription webhooks - mandate status changes, renewal charges and failed charges
+const handleSubscriptionWebhook = (providerName) => async (req, res) => {
+  const provider = getProvider(providerName);
+
+  try {
+    logger.info('Subscription webhook received', { provider: provider.name, body: req.body });
+
+    let event;
+    try {
+      event = await provider.parseSubscriptionWebhook(req);
+    } catch (error) {
+      if (error.code !== 'INVALID_WEBHOOK') throw error;
+
+      logger.warn('Subscription webhook rejected', { provider: provider.name, reason: error.message });
+      try {
+        await webhookRepository.recordRejection(provider.name, { reason: error.message, ip: req.ip });
+      } catch (recordError) {
+        logger.error('Failed to record webhook rejection', { provider: provider.name, error: recordError });
+      }
+      return res.status(401).json({ success: false, message: 'Invalid webhook' });
+    }
+
+    if (event.type === 'ignored') {
+      logger.info('Ignoring subscription webhook', { provider: provider.name, reason: event.reason });
+    } else {
+      const subscription = await subscriptionService.applySubscriptionEvent(provider.name, event);
+      if (subscription) {
+        logger.info('Subscription updated', { subscriptionId: subscription.subscriptionId, status: subscription.status });
+      }
+    }
+
+    res.status(200).json({ success: true, message: 'Webhook processed' });
+  } catch (error) {
+    logger.error('Subscription webhook handling failed', { provider: provider.name, error });
+    res.status(500).json({ success: false, message: 'Webhook failed' });
+  }
+};
+
+// Cashfree Subscriptions
+exports.initiateCashfreeSubscription = initiateSubscription('cashfree');
+exports.cashfreeSubscriptionWebhook = handleSubscriptionWebhook('cashfree');
@@ -5,34 +5,52 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+// Refuse to start with a missing or malformed setting - the error lists every one of them
+const { validateConfig } = require('./config/env');
+const config = validateConfig();
+
 const paymentRoutes = require('./routes/paymentRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const requestContext = require('./middleware/requestContext');
+const { logger } = require('./services/logger');
 const app = express();
 
+// Vercel sits in front of the app; trust its X-Forwarded-For so req.ip (used by the rate
+// limits) is the client's address. TRUST_PROXY takes a hop count, true/false or a list of addresses.
+app.set('trust proxy', config.trustProxy);
+
+// Correlation ID and structured request log - first, so every later log line carries the ID
+app.use(requestContext);
+
 // CORS with appropriate origin handling
 app.use(cors({
   origin: [
-    process.env.FRONTEND_URL,
+    config.frontendUrl,
     'https://craftmystore.com', // Add specific origins
     /\.vercel\.app$/, // Allow all Vercel preview deployments
     /\.cashfree\.com$/
-  ],
+  ].filter(Boolean),
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-VERIFY', 'X-MERCHANT-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-VERIFY', 'X-MERCHANT-ID', 'X-Request-Id', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed', 'Retry-After']
 }));
 
 // Request parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around - webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
-
 // API routes
 app.use('/api/payment', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/customer', customerRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -46,11 +64,11 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Server Error:', err);
+  logger.error('Server error', err);
   res.status(500).json({
     success: false,
     message: 'Internal server error',
-    error: process.env.NODE_ENV === 'production' ? 'Something went wrong' : err.message
+    error: config.production ? 'Something went wrong' : err.message
   });
 });
 
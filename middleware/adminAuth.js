@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config/env');
+const { logger } = require('../services/logger');
+
+const keysMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Whether the request carries the ADMIN_API_KEY - for routes that show admins more than the public
+const isAdminRequest = (req) => {
+  const { apiKey } = getConfig().admin;
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return Boolean(apiKey && scheme === 'Bearer' && token && keysMatch(apiKey, token));
+};
+
+// Protect admin routes with the shared ADMIN_API_KEY sent as `Authorization: Bearer <key>`
+const adminAuth = (req, res, next) => {
+  if (!getConfig().admin.apiKey) {
+    logger.error('ADMIN_API_KEY is not configured - admin routes are disabled');
+    return res.status(503).json({ success: false, message: 'Admin API is not configured' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+
+  next();
+};
+
+adminAuth.keysMatch = keysMatch;
+adminAuth.isAdminRequest = isAdminRequest;
+
+module.exports = adminAuth;
@@ -0,0 +1,17 @@
+const adminAuth = require('./adminAuth');
+const { getConfig } = require('../config/env');
+
+// Protect scheduled-job routes. Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`;
+// anything else has to pass admin auth, so the jobs can also be triggered by hand.
+const cronAuth = (req, res, next) => {
+  const { cronSecret } = getConfig().admin;
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+  if (cronSecret && scheme === 'Bearer' && token && adminAuth.keysMatch(cronSecret, token)) {
+    return next();
+  }
+
+  return adminAuth(req, res, next);
+};
+
+module.exports = cronAuth;
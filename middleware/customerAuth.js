@@ -0,0 +1,41 @@
+const { getConfig } = require('../config/env');
+const { getDependency } = require('../services/dependencies');
+const { logger } = require('../services/logger');
+
+// Protect customer routes with a Firebase Auth ID token sent as `Authorization: Bearer <token>`.
+// Customers are matched on verified details only - an unverified email address could belong to
+// anyone - so req.customerIdentity is { uid, email }, and a token without a verified email is refused.
+const customerAuth = async (req, res, next) => {
+  if (!getConfig().firebase.enabled) {
+    return res.status(503).json({ success: false, message: 'Customer accounts are not available' });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Sign in to continue' });
+  }
+
+  let decoded;
+  try {
+    decoded = await getDependency('firebaseAuth').verifyIdToken(token);
+  } catch (error) {
+    if (!String(error.code || '').startsWith('auth/')) throw error;
+    logger.warn('Rejected customer ID token', { reason: error.code });
+    return res.status(401).json({ success: false, message: 'Your session has expired, please sign in again' });
+  }
+
+  const identity = {
+    uid: decoded.uid,
+    email: decoded.email && decoded.email_verified ? decoded.email : null
+  };
+
+  if (!identity.email) {
+    return res.status(403).json({ success: false, message: 'Verify your email address to see your payments' });
+  }
+
+  req.customerIdentity = identity;
+  next();
+};
+
+module.exports = customerAuth;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const idempotencyRepository = require('../repositories/idempotencyRepository');
+const { sendValidationErrors } = require('./validateRequest');
+const { getConfig } = require('../config/env');
+const { logger } = require('../services/logger');
+
+// Idempotency-Key support for routes that create something, so a double-clicked checkout
+// button or a retried request doesn't create a second order:
+//   - the first request with a key runs normally and its response is stored with the key
+//   - a repeat with the same key and body gets the stored response back (Idempotent-Replayed: true)
+//   - a repeat with the same key and a different body gets 409
+//   - a repeat while the first is still running gets 409 with Retry-After
+// Server errors and rate limit responses aren't stored, so the key can be retried.
+// Keys are kept for IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// A request that crashed mid-flight gives its key up after this long
+const LOCK_SECONDS = 60;
+
+const ttlHours = () => getConfig().idempotency.ttlHours;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Responses worth repeating: everything except server errors and "slow down"
+const isFinalResponse = (statusCode) => statusCode < 500 && statusCode !== 429;
+
+// Capture what the handler sends and store it with the key once the response is out
+const recordResponse = (res, id) => {
+  const json = res.json.bind(res);
+  let body;
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on('finish', () => {
+    const store = isFinalResponse(res.statusCode) && body !== undefined
+      ? idempotencyRepository.saveResponse(id, { statusCode: res.statusCode, body })
+      : idempotencyRepository.releaseKey(id);
+
+    store.catch((error) => {
+      logger.error('Failed to store idempotent response', { reason: error.message });
+    });
+  });
+};
+
+// `scope` keeps keys for different routes apart. Runs after validateRequest, so requests that
+// differ only in formatting (" 98765 43210" vs "9876543210") count as the same body.
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return sendValidationErrors(res, [{ field: 'Idempotency-Key', in: 'header', message: 'must be 1 to 255 printable characters' }]);
+  }
+
+  const id = hash(`${scope}:${key}`);
+  const requestHash = hash(JSON.stringify(req.body || {}));
+
+  try {
+    let existing = null;
+
+    // A second pass is only needed when the key holder vanished between our claim and read
+    for (let attempt = 0; attempt < 2 && !existing; attempt += 1) {
+      const now = Date.now();
+      const claimed = await idempotencyRepository.claimKey(id, {
+        scope,
+        requestHash,
+        status: 'IN_PROGRESS',
+        createdAt: new Date(now).toISOString(),
+        lockedUntil: new Date(now + LOCK_SECONDS * 1000).toISOString(),
+        expireAt: new Date(now + ttlHours() * 60 * 60 * 1000).toISOString()
+      });
+
+      if (claimed) {
+        recordResponse(res, id);
+        return next();
+      }
+
+      existing = await idempotencyRepository.getKey(id);
+
+      // The request holding the key died without answering - free it and claim it for this one
+      if (existing && existing.status === 'IN_PROGRESS' && new Date(existing.lockedUntil).getTime() <= now) {
+        await idempotencyRepository.releaseKey(id);
+        existing = null;
+      }
+    }
+
+    if (!existing) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'This Idempotency-Key was already used with a different request'
+      });
+    }
+    if (existing.status !== 'COMPLETED') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    logger.info('Replaying idempotent response', { scope });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.statusCode).json(existing.response.body);
+  } catch (error) {
+    logger.error('Idempotency check failed', { scope, error });
+    return res.status(500).json({ success: false, message: 'Could not process the Idempotency-Key' });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,47 @@
+const { getLimit } = require('../config/rateLimits');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { logger } = require('../services/logger');
+
+// Rate limit a route. `name` picks the limit from config/rateLimits.js and `keysOf(req)` lists what
+// to count the request against - every key is counted, and the request is refused with 429 and a
+// Retry-After header when any of them is over the limit. If the counter store is down the
+// request goes through: a checkout lost to an outage costs more than one that slips past a limit.
+const rateLimit = (name, keysOf) => async (req, res, next) => {
+  const config = getLimit(name);
+  if (!config) return next();
+
+  const keys = keysOf(req).filter(Boolean);
+  let resetAt = 0;
+
+  try {
+    const results = await Promise.all(keys.map((key) => getRateLimitStore().hit(`${name}:${key}`, config.windowSeconds)));
+    results
+      .filter((result) => result.count > config.limit)
+      .forEach((result) => { resetAt = Math.max(resetAt, result.resetAt); });
+  } catch (error) {
+    logger.error('Rate limit store failed, letting request through', { limit: name, error });
+    return next();
+  }
+
+  if (!resetAt) return next();
+
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  logger.warn('Rate limit exceeded', { limit: name, ip: req.ip, retryAfter });
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many checkout attempts - please try again in ${retryAfter} seconds`,
+    retryAfter
+  });
+};
+
+// The limits the initiate routes use. Customer keys come from the validated body, so
+// "+91 98765 43210" and "9876543210" count as the same customer.
+const byIp = rateLimit('ip', (req) => [req.ip]);
+const byCustomer = rateLimit('customer', (req) => [
+  req.body?.customerEmail && `email:${String(req.body.customerEmail).toLowerCase()}`,
+  req.body?.customerPhone && `phone:${req.body.customerPhone}`
+]);
+
+module.exports = { rateLimit, byIp, byCustomer };
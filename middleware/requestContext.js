@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { logger, runWithContext, currentContext, setOrder } = require('../services/logger');
+
+// Callers (the frontend, a load balancer) may pass their own ID to follow a request across systems
+const INCOMING_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+// Give every request a correlation ID, returned in the X-Request-Id response header and attached
+// to every log line written while handling it. Logs one line per request when the response is sent.
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    // Kept so the summary line also carries the order the handler tagged the request with
+    const store = currentContext();
+
+    res.on('finish', () => runWithContext(store, () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n)
+      };
+      if (res.statusCode >= 500) {
+        logger.error('Request failed', fields);
+      } else {
+        logger.info('Request handled', fields);
+      }
+    }));
+    next();
+  });
+};
+
+// router.param handler: routes with a :merchantTransactionId log it on every line
+requestContext.tagOrder = (req, res, next, merchantTransactionId) => {
+  setOrder(merchantTransactionId);
+  next();
+};
+
+module.exports = requestContext;
@@ -0,0 +1,14 @@
+const { isProviderEnabled } = require('../providers');
+
+const LABELS = { phonepe: 'PhonePe', cashfree: 'Cashfree', stripe: 'Stripe' };
+
+// Turn away requests for a gateway that isn't configured in this deployment, before anything
+// tries to reach it with missing credentials
+const requireProvider = (name) => (req, res, next) => {
+  if (!isProviderEnabled(name)) {
+    return res.status(503).json({ success: false, message: `${LABELS[name] || name} payments are not available` });
+  }
+  next();
+};
+
+module.exports = requireProvider;
@@ -0,0 +1,80 @@
+// Validate a request against a schema from validation/schemas before the handler runs.
+// Every bad field is reported at once, as
+//   422 { success: false, message: 'Validation failed', errors: [{ field, in, message }] }
+// Valid values replace the raw ones in req.body and req.params, so handlers see normalized
+// input (E.164 phone numbers, upper-case currencies). req.query is read-only in Express 5,
+// so query fields are only checked.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const sendValidationErrors = (res, errors) => {
+  return res.status(422).json({ success: false, message: 'Validation failed', errors });
+};
+
+// A location's schema is either a map of field rules or a single rule for the whole value
+const validateLocation = (rules, source, location, errors) => {
+  if (typeof rules === 'function') {
+    if (isMissing(source)) {
+      if (rules.required) errors.push({ field: location, in: location, message: 'is required' });
+      return source;
+    }
+    try {
+      return rules(source);
+    } catch (error) {
+      if (error.code !== 'INVALID_FIELD') throw error;
+      errors.push({ field: location, in: location, message: error.message });
+      return source;
+    }
+  }
+
+  const values = { ...(source || {}) };
+  Object.entries(rules).forEach(([field, rule]) => {
+    if (isMissing(values[field])) {
+      if (rule.required) errors.push({ field, in: location, message: 'is required' });
+      delete values[field];
+      return;
+    }
+    try {
+      values[field] = rule(values[field]);
+    } catch (error) {
+      if (error.code !== 'INVALID_FIELD') throw error;
+      errors.push({ field, in: location, message: error.message });
+    }
+  });
+  return values;
+};
+
+const validateRequest = (schema) => (req, res, next) => {
+  const errors = [];
+  const values = {};
+
+  LOCATIONS.forEach((location) => {
+    if (schema[location]) {
+      values[location] = validateLocation(schema[location], req[location], location, errors);
+    }
+  });
+
+  if (!errors.length && schema.check) {
+    errors.push(...schema.check(values.body || {}, values));
+  }
+  if (errors.length) {
+    return sendValidationErrors(res, errors);
+  }
+
+  if (values.body !== undefined) req.body = values.body;
+  if (values.params) req.params = values.params;
+  next();
+};
+
+// Controllers use this for errors only the service can detect (e.g. a refund amount finer than the
+// order's currency allows): an INVALID_REQUEST error with a `field` becomes the same 422 response
+const sendFieldError = (res, error, location = 'body') => {
+  return sendValidationErrors(res, [{ field: error.field, in: location, message: error.message }]);
+};
+
+validateRequest.sendValidationErrors = sendValidationErrors;
+validateRequest.sendFieldError = sendFieldError;
+
+module.exports = validateRequest;
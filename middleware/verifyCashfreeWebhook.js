@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { signaturesMatch, webhookGuard } = require('./webhookGuard');
+const { getConfig } = require('../config/env');
+const { logger } = require('../services/logger');
+
+// How far x-webhook-timestamp may be from our clock, either way
+const toleranceSeconds = () => getConfig().providers.cashfree.webhookToleranceSeconds;
+
+// Cashfree sends the timestamp in milliseconds; accept seconds too just in case
+const parseTimestamp = (value) => {
+  const timestamp = Number(value);
+  if (!Number.isFinite(timestamp) || timestamp <= 0) return null;
+  return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+};
+
+// Signature is base64(HMAC-SHA256(timestamp + rawBody)) keyed with the client secret
+const computeSignature = (timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', getConfig().providers.cashfree.clientSecret)
+    .update(timestamp + rawBody)
+    .digest('base64');
+};
+
+const { reject, acceptOnce } = webhookGuard('cashfree', (req) => ({
+  signature: req.get('x-webhook-signature') || null,
+  timestamp: req.get('x-webhook-timestamp') || null,
+  orderId: req.body?.data?.order?.order_id || null
+}));
+
+// Verify the Cashfree webhook signature against the raw request body and drop stale or replayed events
+const verifyCashfreeWebhook = async (req, res, next) => {
+  try {
+    const signature = req.get('x-webhook-signature');
+    const timestampHeader = req.get('x-webhook-timestamp');
+
+    if (!signature || !timestampHeader) {
+      return reject(req, res, 401, 'missing signature headers');
+    }
+
+    if (typeof req.rawBody !== 'string') {
+      return reject(req, res, 400, 'missing request body');
+    }
+
+    const timestamp = parseTimestamp(timestampHeader);
+    if (!timestamp || Math.abs(Date.now() - timestamp) > toleranceSeconds() * 1000) {
+      return reject(req, res, 401, 'stale or invalid timestamp');
+    }
+
+    if (!signaturesMatch(computeSignature(timestampHeader, req.rawBody), signature)) {
+      return reject(req, res, 401, 'invalid signature');
+    }
+
+    // Cashfree signs the timestamp with the body, so the signature identifies the delivery
+    return acceptOnce(req, res, next, signature, toleranceSeconds());
+  } catch (error) {
+    logger.error('Webhook verification failed', { provider: 'cashfree', error });
+    res.status(500).json({ success: false, message: 'Webhook verification failed' });
+  }
+};
+
+module.exports = verifyCashfreeWebhook;
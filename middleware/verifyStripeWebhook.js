@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { signaturesMatch, webhookGuard } = require('./webhookGuard');
+const { getConfig } = require('../config/env');
+const { logger } = require('../services/logger');
+
+// How far the t= timestamp in Stripe-Signature may be from our clock, either way
+const toleranceSeconds = () => getConfig().providers.stripe.webhookToleranceSeconds;
+
+// Stripe-Signature looks like "t=1700000000,v1=<hex>,v1=<hex>" - several v1 entries while a secret is being rolled
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+  header.split(',').forEach((part) => {
+    const [key, value] = part.split('=');
+    if (key === 't') parsed.timestamp = value;
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  });
+  return parsed;
+};
+
+// Signature is hex(HMAC-SHA256(timestamp + '.' + rawBody)) keyed with the endpoint's signing secret
+const computeSignature = (timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', getConfig().providers.stripe.webhookSecret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+const { reject, acceptOnce } = webhookGuard('stripe', (req) => ({
+  signature: req.get('stripe-signature') || null,
+  eventId: req.body?.id || null,
+  eventType: req.body?.type || null
+}));
+
+// Verify the Stripe-Signature header against the raw request body and drop stale or replayed events
+const verifyStripeWebhook = async (req, res, next) => {
+  try {
+    const header = req.get('stripe-signature');
+    if (!header) {
+      return reject(req, res, 401, 'missing signature header');
+    }
+
+    if (typeof req.rawBody !== 'string') {
+      return reject(req, res, 400, 'missing request body');
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds()) {
+      return reject(req, res, 401, 'stale or invalid timestamp');
+    }
+
+    const expected = computeSignature(timestamp, req.rawBody);
+    const signature = signatures.find((candidate) => signaturesMatch(expected, candidate));
+    if (!signature) {
+      return reject(req, res, 401, 'invalid signature');
+    }
+
+    // Stripe re-signs each retry with a fresh timestamp, so a matching v1 signature is a replay
+    return acceptOnce(req, res, next, signature, toleranceSeconds());
+  } catch (error) {
+    logger.error('Webhook verification failed', { provider: 'stripe', error });
+    res.status(500).json({ success: false, message: 'Webhook verification failed' });
+  }
+};
+
+module.exports = verifyStripeWebhook;
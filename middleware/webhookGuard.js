@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const webhookRepository = require('../repositories/webhookRepository');
+const { logger } = require('../services/logger');
+
+// The part of webhook verification every gateway shares. Each gateway middleware checks its own
+// signature scheme, then uses the guard to turn requests away and to let each delivery in once.
+//
+// `describe(req)` returns the fields worth keeping about a rejected request for that gateway.
+
+// Compare signatures in constant time, so response timing doesn't reveal how much of a forgery matched
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const webhookGuard = (provider, describe) => {
+  const reject = async (req, res, status, reason) => {
+    logger.warn('Webhook rejected', { provider, reason });
+
+    try {
+      await webhookRepository.recordRejection(provider, { reason, ip: req.ip, ...describe(req) });
+    } catch (error) {
+      logger.error('Failed to record webhook rejection', { provider, error });
+    }
+
+    return res.status(status).json({ success: false, message: `Webhook rejected: ${reason}` });
+  };
+
+  // Let a verified delivery through once. `toleranceSeconds` is how stale a delivery may be; the
+  // receipt outlives it, so a replay arriving right at the edge of the window is still caught.
+  // The receipt is dropped again if the event isn't handled, because the gateway's retry of a
+  // failed delivery carries the same signature and must not be refused as a replay.
+  const acceptOnce = async (req, res, next, deliveryKey, toleranceSeconds) => {
+    const firstDelivery = await webhookRepository.recordReceipt(provider, deliveryKey, toleranceSeconds * 2);
+    if (!firstDelivery) {
+      return reject(req, res, 409, 'duplicate delivery');
+    }
+
+    res.on('close', () => {
+      if (res.writableFinished && res.statusCode < 500) return;
+      webhookRepository.forgetReceipt(provider, deliveryKey).catch((error) => {
+        logger.error('Failed to forget webhook receipt', { provider, error });
+      });
+    });
+
+    next();
+  };
+
+  return { reject, acceptOnce };
+};
+
+module.exports = { signaturesMatch, webhookGuard };
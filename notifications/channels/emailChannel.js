@@ -0,0 +1,31 @@
+const { getConfig } = require('../../config/env');
+const { getDependency } = require('../../services/dependencies');
+
+// "admin" and "customer" stand for ADMIN_EMAIL and the order's email; anything else is used as is.
+// Nobody gets email while EMAIL_HOST isn't set.
+const resolveRecipients = (recipients, view) => {
+  const { enabled, adminEmail } = getConfig().email;
+  if (!enabled) return [];
+
+  return (recipients.length ? recipients : ['admin'])
+    .map((recipient) => {
+      if (recipient === 'admin') return adminEmail;
+      if (recipient === 'customer') return view.customerEmail;
+      return recipient;
+    })
+    .filter(Boolean);
+};
+
+const send = async (message, to, { attachments } = {}) => {
+  const { fromName, from } = getConfig().email;
+  await getDependency('mailTransport').sendMail({
+    from: `"${fromName}" <${from}>`,
+    to,
+    subject: message.subject,
+    html: message.html || undefined,
+    text: message.text || undefined,
+    attachments
+  });
+};
+
+module.exports = { name: 'email', resolveRecipients, send };
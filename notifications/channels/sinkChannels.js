@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../../config/env');
+const { logger } = require('../../services/logger');
+
+// Local development sinks - nothing leaves the machine
+
+const consoleChannel = {
+  name: 'console',
+  resolveRecipients: () => ['console'],
+  send: async (message) => {
+    logger.info('Notification', { event: message.event, subject: message.subject, text: message.text || '' });
+  }
+};
+
+// Appends one JSON line per notification, NOTIFICATIONS_FILE defaults to .data/notifications.log
+const fileChannel = {
+  name: 'file',
+  resolveRecipients: (recipients) => (recipients.length ? recipients : [getConfig().notifications.file]),
+  send: async (message, filePath) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+  }
+};
+
+module.exports = { consoleChannel, fileChannel };
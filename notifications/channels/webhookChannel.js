@@ -0,0 +1,41 @@
+const axios = require('axios');
+const { getConfig } = require('../../config/env');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Slack treats &, < and > as control characters in message text
+const escapeSlack = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Chat webhooks (Slack, Discord and anything else that takes a JSON POST).
+// Recipients are webhook URLs; with none configured the channel falls back to `defaultUrl()`.
+const createWebhookChannel = (name, { defaultUrl, buildPayload }) => ({
+  name,
+
+  resolveRecipients: (recipients) => {
+    const urls = recipients.filter((recipient) => recipient !== 'default');
+    if (urls.length && urls.length === recipients.length) return urls;
+    const fallback = defaultUrl();
+    return fallback ? [...urls, fallback] : urls;
+  },
+
+  // Webhook URLs are secrets - never log them
+  describe: () => `${name} webhook`,
+
+  send: async (message, url) => {
+    const text = message.text || message.subject;
+    await axios.post(url, buildPayload(text, message), { timeout: WEBHOOK_TIMEOUT_MS });
+  }
+});
+
+const slack = createWebhookChannel('slack', {
+  defaultUrl: () => getConfig().notifications.slackWebhookUrl,
+  buildPayload: (text) => ({ text: escapeSlack(text) })
+});
+
+// Discord caps messages at 2000 characters; customer input must never ping @everyone
+const discord = createWebhookChannel('discord', {
+  defaultUrl: () => getConfig().notifications.discordWebhookUrl,
+  buildPayload: (text) => ({ content: text.slice(0, 2000), allowed_mentions: { parse: [] } })
+});
+
+module.exports = { createWebhookChannel, slack, discord };
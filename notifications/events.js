@@ -0,0 +1,66 @@
+const { formatAmount, formatDate } = require('./format');
+const { BILLING_PERIODS } = require('../config/plans');
+const { getConfig } = require('../config/env');
+
+// Fields every order-based notification can use in its templates
+const orderView = (order) => {
+  const items = order.priceSnapshot?.items || [];
+  const period = BILLING_PERIODS[order.billingPeriod];
+
+  return {
+    merchantTransactionId: order.merchantTransactionId,
+    customerName: order.customerName || '',
+    customerEmail: order.customerEmail || '',
+    customerPhone: order.customerPhone || '',
+    paymentMethod: order.paymentMethod || '',
+    currency: order.currency || 'INR',
+    amount: formatAmount(order.amount, order.currency),
+    billingPeriod: period ? period.name : '',
+    items: items.map((item) => ({ name: item.name, amount: formatAmount(item.amount, order.currency) })),
+    discount: order.priceSnapshot?.discount
+      ? { code: order.priceSnapshot.discount.code, amount: formatAmount(order.priceSnapshot.discount.amount, order.currency) }
+      : null,
+    createdAt: formatDate(order.createdAt),
+    frontendUrl: getConfig().frontendUrl || ''
+  };
+};
+
+// Notification events and how their template view is built from the data passed to notify()
+const EVENTS = {
+  // data: { order }
+  'payment.succeeded': ({ order }) => ({
+    ...orderView(order),
+    completedAt: formatDate(order.completedAt)
+  }),
+
+  // data: { order, reason }
+  'payment.failed': ({ order, reason }) => ({
+    ...orderView(order),
+    reason: reason || order.failureReason || 'Unknown'
+  }),
+
+  // data: { order, refund }
+  'refund.issued': ({ order, refund }) => ({
+    ...orderView(order),
+    refundId: refund.refundId,
+    refundAmount: formatAmount(refund.amount, order.currency),
+    refundReason: refund.reason || '',
+    fullRefund: refund.amount >= order.amount
+  }),
+
+  // data: { order } - an order that expired before it was paid
+  'checkout.abandoned': ({ order }) => ({
+    ...orderView(order),
+    retryUrl: getConfig().frontendUrl ? `${getConfig().frontendUrl}/checkout` : ''
+  }),
+
+  // data: { order, invoice } - the customer's receipt, sent with the invoice PDF attached
+  'invoice.issued': ({ order, invoice }) => ({
+    ...orderView(order),
+    invoiceNumber: invoice.invoiceNumber,
+    amount: formatAmount(invoice.total, invoice.currency),
+    lines: invoice.lines.map((line) => ({ description: line.description, amount: formatAmount(line.netAmount, invoice.currency) }))
+  })
+};
+
+module.exports = { EVENTS };
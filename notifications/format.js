@@ -0,0 +1,25 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Format an amount in the order's currency (e.g. ₹2,499.00, $35.00, ¥3,500)
+const formatAmount = (amount, currency = 'INR') => {
+  try {
+    return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount}`;
+  }
+};
+
+const formatDate = (iso) => {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+};
+
+module.exports = { escapeHtml, formatAmount, formatDate };
@@ -0,0 +1,78 @@
+const { EVENTS } = require('./events');
+const { renderNotification } = require('./templates');
+const { getRoutes } = require('../config/notifications');
+const emailChannel = require('./channels/emailChannel');
+const { slack, discord } = require('./channels/webhookChannel');
+const { consoleChannel, fileChannel } = require('./channels/sinkChannels');
+const { logger } = require('../services/logger');
+
+// Delivery channels, keyed by the name used in notification routes (config/notifications.js)
+const channels = new Map();
+
+const registerChannel = (channel) => {
+  channels.set(channel.name, channel);
+};
+
+[emailChannel, slack, discord, consoleChannel, fileChannel].forEach(registerChannel);
+
+const describeRecipient = (channel, recipient) => (channel.describe ? channel.describe(recipient) : recipient);
+
+// Channels an event is routed to, e.g. ['email', 'slack']
+const routedChannels = (event) => [...new Set(getRoutes(event).map((route) => route.channel))];
+
+// Render an event's templates and deliver them on every channel routed for the event, or only
+// on `options.channels` when given. Never throws - a failed notification must not break the
+// payment flow. Resolves to { event, deliveries: [{ channel, recipient, success, error }],
+// delivered, error }, where `error` is set when the message couldn't be rendered at all.
+const notify = async (event, data, { attachments, channels: only } = {}) => {
+  const deliveries = [];
+  let failure = null;
+
+  try {
+    const buildView = EVENTS[event];
+    if (!buildView) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const view = buildView(data);
+    const message = { event, ...renderNotification(event, view) };
+
+    for (const route of getRoutes(event)) {
+      if (only && !only.includes(route.channel)) continue;
+
+      const channel = channels.get(route.channel);
+      const recipients = [...new Set(channel.resolveRecipients(route.recipients, view))];
+
+      if (!recipients.length) {
+        logger.info('No notification recipients configured, skipping', { event, channel: route.channel });
+        continue;
+      }
+
+      for (const recipient of recipients) {
+        const delivery = { channel: route.channel, recipient: describeRecipient(channel, recipient), success: true };
+        try {
+          await channel.send(message, recipient, { attachments });
+        } catch (error) {
+          logger.error('Notification delivery failed', { event, channel: route.channel, reason: error.message });
+          Object.assign(delivery, { success: false, error: error.message });
+        }
+        deliveries.push(delivery);
+      }
+    }
+  } catch (error) {
+    logger.error('Preparing notification failed', { event, error });
+    failure = error.message;
+  }
+
+  const delivered = deliveries.some((delivery) => delivery.success);
+  if (delivered) {
+    logger.info('Notification sent', {
+      event,
+      deliveries: deliveries.filter((delivery) => delivery.success).map((delivery) => `${delivery.channel} -> ${delivery.recipient}`)
+    });
+  }
+
+  return { event, deliveries, delivered, error: failure };
+};
+
+module.exports = { notify, registerChannel, routedChannels };
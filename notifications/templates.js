@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./format');
+const { getConfig } = require('../config/env');
+
+// NOTIFICATION_TEMPLATES_DIR replaces the bundled templates
+const templatesDir = () => getConfig().notifications.templatesDir || path.join(__dirname, 'templates');
+
+// Templates are read once and kept for the life of the process
+const cache = new Map();
+
+// Read notifications/templates/<event>.<part> (e.g. payment.succeeded.html); null when the file doesn't exist
+const loadTemplate = (event, part) => {
+  const file = path.join(templatesDir(), `${event}.${part}`);
+  if (!cache.has(file)) {
+    cache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n') : null);
+  }
+  return cache.get(file);
+};
+
+const lookup = (scopes, name) => {
+  if (name === '.') return scopes[0];
+  for (const scope of scopes) {
+    const value = name.split('.').reduce((current, key) => (current == null ? undefined : current[key]), scope);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+};
+
+const SECTION = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const TAG = /\{\{(\{)?\s*([\w.]+)\s*\}?\}\}/g;
+
+// A small mustache subset:
+//   {{name}}          value, HTML-escaped when `escape` is set
+//   {{{name}}}        value, never escaped
+//   {{#list}}..{{/list}}  repeat for each item of an array, or render once when truthy
+//   {{^name}}..{{/name}}  render when missing, false or an empty array
+// Dotted names (order.customerName) and {{.}} for the current array item work too.
+const render = (template, view, { escape = false } = {}, scopes = [view]) => {
+  const expanded = template.replace(SECTION, (match, type, name, body) => {
+    const value = lookup(scopes, name);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+
+    if (type === '^') return empty ? render(body, view, { escape }, scopes) : '';
+    if (empty) return '';
+    if (Array.isArray(value)) return value.map((item) => render(body, view, { escape }, [item, ...scopes])).join('');
+    return render(body, view, { escape }, typeof value === 'object' ? [value, ...scopes] : scopes);
+  });
+
+  return expanded.replace(TAG, (match, raw, name) => {
+    const value = lookup(scopes, name);
+    if (value === undefined || value === null) return '';
+    return escape && !raw ? escapeHtml(value) : String(value);
+  });
+};
+
+// Render every part an event has a template for: subject, html and text
+const renderNotification = (event, view) => {
+  const parts = {
+    subject: loadTemplate(event, 'subject.txt'),
+    html: loadTemplate(event, 'html'),
+    text: loadTemplate(event, 'txt')
+  };
+
+  if (!parts.subject && !parts.html && !parts.text) {
+    throw new Error(`No templates found for notification event: ${event}`);
+  }
+
+  return {
+    subject: parts.subject ? render(parts.subject, view).trim() : event,
+    html: parts.html ? render(parts.html, view, { escape: true }) : null,
+    text: parts.text ? render(parts.text, view).trim() : null
+  };
+};
+
+module.exports = { render, renderNotification };
@@ -0,0 +1,102 @@
+const DEFAULT_CURRENCY = 'INR';
+
+const notImplemented = (provider, method) => new Error(`${provider} provider does not implement ${method}()`);
+
+// Base class for payment gateway adapters. Controllers only talk to providers through
+// this interface, and every status a provider reports is translated into the canonical
+// lifecycle from services/orderStateMachine (SUCCEEDED, FAILED, PENDING, ...).
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Currency the order is charged in, given the one the customer asked for (if any)
+  resolveCurrency(requested) {
+    return requested || DEFAULT_CURRENCY;
+  }
+
+  // Currencies the gateway can charge in - checkouts in any other currency are turned away
+  supportedCurrencies() {
+    return [DEFAULT_CURRENCY];
+  }
+
+  supportsCurrency(currency) {
+    return this.supportedCurrencies().includes(currency);
+  }
+
+  // Validate and normalize customer details before an order is created.
+  // Throw an error with code INVALID_REQUEST to reject the checkout.
+  prepareCustomer(customer) {
+    return customer;
+  }
+
+  // Create the order with the gateway.
+  // Resolves to { providerOrderId, details, response }: `details` is stored on the order,
+  // `response` is merged into the JSON returned to the frontend.
+  async createOrder() {
+    throw notImplemented(this.name, 'createOrder');
+  }
+
+  // Ask the gateway where an order stands.
+  // Resolves to { status, providerStatus, paidAmount, failureReason, failureCode, failureDetail, raw } -
+  // paidAmount is what the gateway says the order is for, in major units (null when unknown); the
+  // failure fields are only set for FAILED/EXPIRED; failureCode/failureDetail are the gateway's own
+  // codes (e.g. PhonePe errorCode/detailedErrorCode) and are grouped on in failure reports.
+  async fetchStatus() {
+    throw notImplemented(this.name, 'fetchStatus');
+  }
+
+  // Turn an incoming webhook request into an event:
+  //   { type: 'payment', merchantTransactionId, status, providerStatus, failureReason, failureCode, failureDetail, raw }
+  //   { type: 'refund', merchantTransactionId, refundId, status, providerStatus, raw }
+  //   { type: 'ignored', reason }
+  // Throw an error with code INVALID_WEBHOOK when the request can't be authenticated.
+  async parseWebhook() {
+    throw notImplemented(this.name, 'parseWebhook');
+  }
+
+  // Refund part or all of a paid order. Resolves to { status, providerRefundId, providerStatus }.
+  async refund() {
+    throw notImplemented(this.name, 'refund');
+  }
+
+  // Resolves to { status, providerStatus } for a refund created earlier
+  async fetchRefundStatus() {
+    throw notImplemented(this.name, 'fetchRefundStatus');
+  }
+
+  // Recurring billing is optional - providers without it leave these unimplemented.
+
+  // Set up a subscription (mandate) with the gateway.
+  // Resolves to { providerSubscriptionId, status, providerStatus, details, response } like createOrder.
+  async createSubscription() {
+    throw notImplemented(this.name, 'createSubscription');
+  }
+
+  // Resolves to { status, providerStatus, raw } for a subscription created earlier
+  async fetchSubscription() {
+    throw notImplemented(this.name, 'fetchSubscription');
+  }
+
+  // Stop all future charges. Resolves to { status, providerStatus }.
+  async cancelSubscription() {
+    throw notImplemented(this.name, 'cancelSubscription');
+  }
+
+  // Turn an incoming subscription webhook into an event:
+  //   { type: 'status', subscriptionId, status, providerStatus, raw }
+  //   { type: 'charge', subscriptionId, status: 'SUCCEEDED' | 'FAILED', providerPaymentId, amount, failureReason, raw }
+  //   { type: 'ignored', reason }
+  async parseSubscriptionWebhook() {
+    throw notImplemented(this.name, 'parseSubscriptionWebhook');
+  }
+}
+
+const providerError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) error.details = details;
+  return error;
+};
+
+module.exports = { PaymentProvider, DEFAULT_CURRENCY, providerError };
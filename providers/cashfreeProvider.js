@@ -0,0 +1,316 @@
+const { PaymentProvider, providerError } = require('./PaymentProvider');
+const { getCashfreeClient } = require('../services/gatewayClients');
+const { formatAmount } = require('../services/money');
+const { indianNationalNumber } = require('../validation/rules');
+const { getConfig } = require('../config/env');
+const { logger } = require('../services/logger');
+
+const SUPPORTED_CURRENCIES = ["AFN", "ALL", "DZD", "AOA", "ARS", "AMD", "AWG", "AUD", "AZN", "BSD", "BHD", "BDT", "BBD", "BZD", "BMD", "BTN", "BOB", "BAM", "BWP", "BRL", "BND", "BGN", "BIF", "KHR", "CAD", "CVE", "KYD", "XAF", "XPF", "CLP", "COP", "KMF", "CDF", "CRC", "CZK", "DKK", "DJF", "DOP", "XCD", "EGP", "ERN", "SZL", "ETB", "EUR", "FKP", "FJD", "GMD", "GEL", "GHS", "GIP", "GTQ", "GNF", "GYD", "HTG", "HNL", "HKD", "HUF", "ISK", "INR", "IDR", "IQD", "JMD", "JPY", "JOD", "KZT", "KES", "KWD", "KGS", "LAK", "LBP", "LRD", "LYD", "MOP", "MKD", "MGA", "MWK", "MYR", "MVR", "MRU", "MUR", "MXN", "MDL", "MNT", "MAD", "MZN", "NAD", "NPR", "ILS", "TWD", "NZD", "NIO", "NGN", "NOK", "PGK", "PYG", "PEN", "PHP", "PLN", "GBP", "QAR", "CNY", "OMR", "RON", "RUB", "RWF", "SHP", "WST", "SAR", "RSD", "SCR", "SLL", "SGD", "SBD", "SOS", "ZAR", "KRW", "LKR", "SRD", "SEK", "CHF", "TJS", "TZS", "THB", "TOP", "TTD", "TND", "TRY", "TMT", "AED", "UGX", "UAH", "UYU", "USD", "UZS", "VUV", "VND", "XOF", "YER", "ZMW"];
+
+// Cashfree order statuses mapped to the canonical lifecycle
+const ORDER_STATUSES = {
+  ACTIVE: 'PENDING',
+  PAID: 'SUCCEEDED',
+  EXPIRED: 'EXPIRED',
+  TERMINATED: 'FAILED',
+  TERMINATION_REQUESTED: 'FAILED'
+};
+
+// Payment webhooks report the payment attempt rather than the order
+const PAYMENT_STATUSES = {
+  SUCCESS: 'SUCCEEDED',
+  PENDING: 'PENDING',
+  FAILED: 'FAILED',
+  USER_DROPPED: 'FAILED',
+  CANCELLED: 'FAILED'
+};
+
+const REFUND_STATUSES = {
+  SUCCESS: 'SUCCEEDED',
+  CANCELLED: 'FAILED'
+};
+
+// Cashfree subscription statuses mapped to the ones we store on subscriptions
+const SUBSCRIPTION_STATUSES = {
+  INITIALIZED: 'PENDING',
+  BANK_APPROVAL_PENDING: 'PENDING',
+  ACTIVE: 'ACTIVE',
+  ON_HOLD: 'ON_HOLD',
+  PAUSED: 'PAUSED',
+  CUSTOMER_PAUSED: 'PAUSED',
+  CANCELLED: 'CANCELLED',
+  CUSTOMER_CANCELLED: 'CANCELLED',
+  COMPLETED: 'COMPLETED',
+  EXPIRED: 'EXPIRED',
+  LINK_EXPIRED: 'EXPIRED',
+  CARD_EXPIRED: 'EXPIRED'
+};
+
+// Subscription payment webhooks; only CHARGE payments are renewals (AUTH is the mandate setup)
+const SUBSCRIPTION_PAYMENT_EVENTS = {
+  SUBSCRIPTION_PAYMENT_SUCCESS: 'SUCCEEDED',
+  SUBSCRIPTION_PAYMENT_FAILED: 'FAILED',
+  SUBSCRIPTION_PAYMENT_CANCELLED: 'FAILED'
+};
+
+const INTERVAL_TYPES = {
+  monthly: 'MONTH',
+  yearly: 'YEAR'
+};
+
+// Orders store E.164 numbers; Cashfree wants Indian numbers as 10 digits and the rest with their country code
+const cashfreePhone = (phone) => indianNationalNumber(phone) || phone;
+
+class CashfreeProvider extends PaymentProvider {
+  constructor() {
+    super('cashfree');
+  }
+
+  // Everything Cashfree PG takes, or the part of it CASHFREE_CURRENCIES enables for the account
+  supportedCurrencies() {
+    const { currencies } = getConfig().providers.cashfree;
+    return currencies ? SUPPORTED_CURRENCIES.filter((currency) => currencies.includes(currency)) : SUPPORTED_CURRENCIES;
+  }
+
+  async createOrder(order) {
+    // Create return URL with order details
+    const { frontendUrl, backendUrl } = getConfig();
+    const returnUrl = `${frontendUrl}/payment-status?merchantTransactionId=${order.merchantTransactionId}&amount=${order.amount}&method=cashfree`;
+    const cancelUrl = `${frontendUrl}/payment-cancel?merchantTransactionId=${order.merchantTransactionId}`;
+
+    const orderRequest = {
+      order_id: order.merchantTransactionId,
+      order_amount: formatAmount(order.amount, order.currency),
+      order_currency: order.currency,
+      customer_details: {
+        customer_id: order.customerId,
+        customer_name: order.customerName,
+        customer_email: order.customerEmail,
+        customer_phone: cashfreePhone(order.customerPhone)
+      },
+      order_meta: {
+        return_url: returnUrl + '&order_id={order_id}',
+        notify_url: `${backendUrl}/api/payment/cashfree-webhook`,
+        cancel_url: cancelUrl
+      },
+      order_note: `CraftMyStore - ${order.priceSnapshot.items.map((item) => item.name).join(' + ')}`
+    };
+
+    logger.debug('Cashfree order request', { request: orderRequest });
+
+    const response = await getCashfreeClient().PGCreateOrder(orderRequest);
+    logger.debug('Cashfree order response', { response: response.data });
+
+    if (!response.data || !response.data.payment_session_id) {
+      throw providerError('PROVIDER_REJECTED', 'Payment initiation failed', response.data);
+    }
+
+    return {
+      providerOrderId: response.data.order_id,
+      details: {
+        paymentSessionId: response.data.payment_session_id
+      },
+      // Send both snake_case and camelCase versions for compatibility
+      response: {
+        orderId: response.data.order_id,
+        payment_session_id: response.data.payment_session_id, // Original snake_case from Cashfree
+        paymentSessionId: response.data.payment_session_id    // Converted to camelCase for frontend
+      }
+    };
+  }
+
+  async fetchStatus(order) {
+    const response = await getCashfreeClient().PGFetchOrder(order.merchantTransactionId);
+    logger.debug('Cashfree order status response', { response: response.data });
+
+    const orderStatus = response.data.order_status;
+    const status = ORDER_STATUSES[orderStatus] || 'FAILED';
+
+    return {
+      status,
+      providerStatus: orderStatus,
+      paidAmount: response.data.order_amount === undefined ? null : Number(response.data.order_amount),
+      failureReason: status === 'FAILED' || status === 'EXPIRED' ? `Status: ${orderStatus}` : null,
+      failureCode: status === 'FAILED' || status === 'EXPIRED' ? orderStatus || 'UNKNOWN' : null,
+      failureDetail: null,
+      raw: response.data
+    };
+  }
+
+  // The signature is checked by the verifyCashfreeWebhook middleware before this runs
+  async parseWebhook(req) {
+    const eventData = req.body || {};
+    const data = eventData.data || {};
+
+    // Refund status updates arrive on the same webhook
+    const refund = data.refund;
+    if (refund && refund.refund_id && refund.order_id) {
+      return {
+        type: 'refund',
+        merchantTransactionId: refund.order_id,
+        refundId: refund.refund_id,
+        status: REFUND_STATUSES[refund.refund_status] || 'PENDING',
+        providerStatus: refund.refund_status,
+        raw: eventData
+      };
+    }
+
+    const orderId = data.order?.order_id;
+    const orderStatus = data.order?.order_status;
+    const paymentStatus = data.payment?.payment_status;
+    const status = orderStatus ? ORDER_STATUSES[orderStatus] : PAYMENT_STATUSES[paymentStatus];
+
+    if (!orderId || !status) {
+      return { type: 'ignored', reason: `unhandled event ${eventData.type || 'unknown'}` };
+    }
+
+    return {
+      type: 'payment',
+      merchantTransactionId: orderId,
+      status,
+      providerStatus: orderStatus || paymentStatus,
+      failureReason: status === 'FAILED' ? data.payment?.payment_message || `Status: ${orderStatus || paymentStatus}` : null,
+      failureCode: status === 'FAILED' ? orderStatus || paymentStatus : null,
+      failureDetail: status === 'FAILED' ? data.payment?.payment_message || null : null,
+      raw: eventData
+    };
+  }
+
+  async refund(order, { refundId, amount, reason }) {
+    const response = await getCashfreeClient().PGOrderCreateRefund(order.merchantTransactionId, {
+      refund_amount: amount,
+      refund_id: refundId,
+      refund_note: reason || undefined
+    });
+    logger.info('Cashfree refund response', { refundId: response.data.refund_id, status: response.data.refund_status });
+
+    return {
+      status: REFUND_STATUSES[response.data.refund_status] || 'PENDING',
+      providerRefundId: response.data.cf_refund_id,
+      providerStatus: response.data.refund_status
+    };
+  }
+
+  async fetchRefundStatus(order, refundId) {
+    const response = await getCashfreeClient().PGOrderFetchRefund(order.merchantTransactionId, refundId);
+    return {
+      status: REFUND_STATUSES[response.data.refund_status] || 'PENDING',
+      providerStatus: response.data.refund_status
+    };
+  }
+
+  async createSubscription(subscription) {
+    const returnUrl = `${getConfig().frontendUrl}/subscription-status?subscriptionId=${subscription.subscriptionId}&method=cashfree`;
+
+    // Plan details are sent inline so the catalog stays the only place prices live
+    const subscriptionRequest = {
+      subscription_id: subscription.subscriptionId,
+      customer_details: {
+        customer_name: subscription.customerName,
+        customer_email: subscription.customerEmail,
+        customer_phone: cashfreePhone(subscription.customerPhone)
+      },
+      plan_details: {
+        plan_name: `CraftMyStore - ${subscription.priceSnapshot.items.map((item) => item.name).join(' + ')}`,
+        plan_type: 'PERIODIC',
+        plan_currency: subscription.currency,
+        plan_amount: subscription.amount,
+        plan_max_amount: subscription.amount,
+        plan_intervals: 1,
+        plan_interval_type: INTERVAL_TYPES[subscription.billingPeriod] || 'MONTH'
+      },
+      authorization_details: {
+        authorization_amount: 1,
+        authorization_amount_refund: true
+      },
+      subscription_meta: {
+        return_url: returnUrl
+      },
+      subscription_note: `Hosting subscription ${subscription.subscriptionId}`
+    };
+
+    logger.debug('Cashfree subscription request', { request: subscriptionRequest });
+
+    const response = await getCashfreeClient().SubsCreateSubscription(subscriptionRequest);
+    logger.debug('Cashfree subscription response', { response: response.data });
+
+    if (!response.data || !response.data.subscription_session_id) {
+      throw providerError('PROVIDER_REJECTED', 'Subscription setup failed', response.data);
+    }
+
+    return {
+      providerSubscriptionId: response.data.cf_subscription_id,
+      status: SUBSCRIPTION_STATUSES[response.data.subscription_status] || 'PENDING',
+      providerStatus: response.data.subscription_status,
+      details: {
+        subscriptionSessionId: response.data.subscription_session_id
+      },
+      response: {
+        subscription_session_id: response.data.subscription_session_id,
+        subscriptionSessionId: response.data.subscription_session_id
+      }
+    };
+  }
+
+  async fetchSubscription(subscription) {
+    const response = await getCashfreeClient().SubsFetchSubscription(subscription.subscriptionId);
+    return {
+      status: SUBSCRIPTION_STATUSES[response.data.subscription_status] || 'PENDING',
+      providerStatus: response.data.subscription_status,
+      raw: response.data
+    };
+  }
+
+  async cancelSubscription(subscription) {
+    const response = await getCashfreeClient().SubsManageSubscription(subscription.subscriptionId, {
+      subscription_id: subscription.subscriptionId,
+      action: 'CANCEL'
+    });
+    logger.info('Cashfree subscription cancel response', { subscriptionId: response.data.subscription_id, status: response.data.subscription_status });
+
+    return {
+      status: SUBSCRIPTION_STATUSES[response.data.subscription_status] || 'CANCELLED',
+      providerStatus: response.data.subscription_status
+    };
+  }
+
+  // Subscription webhooks are signed like payment webhooks - verifyCashfreeWebhook runs first
+  async parseSubscriptionWebhook(req) {
+    const eventData = req.body || {};
+    const data = eventData.data || {};
+
+    if (eventData.type === 'SUBSCRIPTION_STATUS_CHANGED') {
+      const details = data.subscription_details || {};
+      const status = SUBSCRIPTION_STATUSES[details.subscription_status];
+      if (!details.subscription_id || !status) {
+        return { type: 'ignored', reason: `unhandled subscription status ${details.subscription_status}` };
+      }
+      return {
+        type: 'status',
+        subscriptionId: details.subscription_id,
+        status,
+        providerStatus: details.subscription_status,
+        raw: eventData
+      };
+    }
+
+    const status = SUBSCRIPTION_PAYMENT_EVENTS[eventData.type];
+    if (status && data.subscription_id && data.payment_type === 'CHARGE') {
+      return {
+        type: 'charge',
+        subscriptionId: data.subscription_id,
+        status,
+        providerPaymentId: data.cf_payment_id || data.payment_id,
+        amount: data.payment_amount,
+        failureReason: status === 'FAILED'
+          ? data.failure_details?.failure_reason || `Status: ${data.payment_status || eventData.type}`
+          : null,
+        raw: eventData
+      };
+    }
+
+    return { type: 'ignored', reason: `unhandled event ${eventData.type || 'unknown'}` };
+  }
+}
+
+module.exports = { CashfreeProvider, SUPPORTED_CURRENCIES };
@@ -0,0 +1,39 @@
+const { PhonePeProvider } = require('./phonepeProvider');
+const { CashfreeProvider } = require('./cashfreeProvider');
+const { StripeProvider } = require('./stripeProvider');
+const { getConfig } = require('../config/env');
+
+// Registered payment gateways, keyed by the name stored on orders as `paymentMethod`
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Throws an error with code UNKNOWN_PROVIDER for names that aren't registered
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    const error = new Error(`Unknown payment provider: ${name}`);
+    error.code = 'UNKNOWN_PROVIDER';
+    throw error;
+  }
+  return provider;
+};
+
+// Gateways are switched on by their credentials or PHONEPE/CASHFREE/STRIPE_ENABLED (see config/env.js).
+// A disabled gateway stays registered, so its existing orders can still be looked up.
+const isProviderEnabled = (name) => Boolean(getConfig().providers[name]?.enabled);
+
+const getEnabledProviders = () => [...providers.keys()].filter(isProviderEnabled);
+
+// Enabled gateways that can charge in `currency`
+const getProvidersForCurrency = (currency) => {
+  return getEnabledProviders().filter((name) => providers.get(name).supportsCurrency(currency));
+};
+
+registerProvider(new PhonePeProvider());
+registerProvider(new CashfreeProvider());
+registerProvider(new StripeProvider());
+
+module.exports = { registerProvider, getProvider, isProviderEnabled, getEnabledProviders, getProvidersForCurrency };
@@ -0,0 +1,197 @@
+const { MetaInfo, StandardCheckoutPayRequest, RefundRequest, PhonePeException } = require('pg-sdk-node');
+const { PaymentProvider, providerError } = require('./PaymentProvider');
+const { getPhonePeClient } = require('../services/gatewayClients');
+const { indianNationalNumber } = require('../validation/rules');
+const { getConfig } = require('../config/env');
+const { toMinorUnits, fromMinorUnits } = require('../services/money');
+const { logger } = require('../services/logger');
+
+// PhonePe order states mapped to the canonical lifecycle
+const ORDER_STATUSES = {
+  PENDING: 'PENDING',
+  COMPLETED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+// Callback events we act on
+const CALLBACK_ORDER_STATUSES = {
+  'checkout.order.completed': 'SUCCEEDED',
+  'checkout.order.failed': 'FAILED'
+};
+
+const REFUND_STATUSES = {
+  COMPLETED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+// PhonePe reports failures as an errorCode plus a more specific detailedErrorCode
+const describeFailure = ({ errorCode, detailedErrorCode } = {}) => ({
+  failureReason: `Error: ${errorCode || 'Unknown'} - ${detailedErrorCode || ''}`,
+  failureCode: errorCode || 'UNKNOWN',
+  failureDetail: detailedErrorCode || null
+});
+
+const NO_FAILURE = { failureReason: null, failureCode: null, failureDetail: null };
+
+const failureFromStatus = (statusResponse) => {
+  const paymentDetail = statusResponse.paymentDetails && statusResponse.paymentDetails.length > 0
+    ? statusResponse.paymentDetails[0]
+    : null;
+
+  return paymentDetail
+    ? describeFailure(paymentDetail)
+    : { failureReason: 'No detailed error information available', failureCode: 'UNKNOWN', failureDetail: null };
+};
+
+class PhonePeProvider extends PaymentProvider {
+  constructor() {
+    super('phonepe');
+  }
+
+  // Phone numbers arrive in E.164; PhonePe only takes Indian mobile numbers
+  prepareCustomer(customer) {
+    if (!indianNationalNumber(customer.phone)) {
+      const error = providerError('INVALID_REQUEST', 'must be an Indian mobile number for PhonePe');
+      error.field = 'customerPhone';
+      throw error;
+    }
+    return customer;
+  }
+
+  async createOrder(order) {
+    const client = getPhonePeClient();
+
+    // Prepare redirectUrl with transaction details
+    const redirectUrl = `${getConfig().frontendUrl}/payment-status?merchantTransactionId=${order.merchantTransactionId}&amount=${order.amount}&method=phonepe`;
+
+    // Build metadata
+    const metaInfo = MetaInfo.builder()
+      .udf1(order.customerEmail)
+      .udf2(indianNationalNumber(order.customerPhone) || order.customerPhone)
+      .udf3(order.ecommPlan || order.hostingPlan || '')
+      .build();
+
+    const request = StandardCheckoutPayRequest.builder()
+      .merchantOrderId(order.merchantTransactionId)
+      .amount(toMinorUnits(order.amount, order.currency))
+      .redirectUrl(redirectUrl)
+      .metaInfo(metaInfo)
+      .build();
+
+    logger.debug('PhonePe pay request', { request });
+
+    const response = await client.pay(request);
+    logger.debug('PhonePe pay response', { response });
+
+    if (!response || !response.redirectUrl) {
+      throw providerError('PROVIDER_REJECTED', 'Payment initiation failed - missing redirect URL', response);
+    }
+
+    return {
+      providerOrderId: response.orderId,
+      details: {
+        redirectUrl: response.redirectUrl,
+        providerExpireAt: response.expireAt
+      },
+      response: {
+        redirectUrl: response.redirectUrl,
+        orderId: response.orderId,
+        message: 'Payment initiated successfully'
+      }
+    };
+  }
+
+  async fetchStatus(order) {
+    // Use getOrderStatus as per PhonePe documentation instead of checkStatus
+    const statusResponse = await getPhonePeClient().getOrderStatus(order.merchantTransactionId);
+    logger.debug('PhonePe order status response', { response: statusResponse });
+
+    const status = ORDER_STATUSES[statusResponse?.state] || 'FAILED';
+
+    if (status === 'SUCCEEDED') {
+      const paymentDetail = statusResponse.paymentDetails && statusResponse.paymentDetails[0];
+      if (paymentDetail && paymentDetail.state !== 'COMPLETED') {
+        logger.warn('PhonePe order is COMPLETED but its payment is not', { paymentState: paymentDetail.state });
+      }
+    }
+
+    return {
+      status,
+      providerStatus: statusResponse?.state || 'UNKNOWN',
+      paidAmount: fromMinorUnits(statusResponse?.amount, order.currency),
+      ...(status === 'FAILED' ? failureFromStatus(statusResponse || {}) : NO_FAILURE),
+      raw: statusResponse
+    };
+  }
+
+  async parseWebhook(req) {
+    // Validate the Authorization header against the callback credentials set on the PhonePe dashboard
+    // (config requires them whenever PhonePe is enabled)
+    const { callbackUsername, callbackPassword } = getConfig().providers.phonepe;
+    let callback;
+    try {
+      callback = getPhonePeClient().validateCallback(
+        callbackUsername,
+        callbackPassword,
+        req.get('authorization') || '',
+        req.rawBody || ''
+      );
+    } catch (error) {
+      if (!(error instanceof PhonePeException)) throw error;
+      throw providerError('INVALID_WEBHOOK', 'invalid authorization');
+    }
+
+    // The body carries the event name (e.g. checkout.order.completed); older payloads only have the type
+    const event = req.body?.event || String(callback.type || '').toLowerCase().replace(/_/g, '.');
+    const payload = callback.payload || {};
+
+    // Refund events carry the refund ID and the original order instead of an order status
+    if (event.startsWith('pg.refund.') && payload.merchantRefundId && payload.originalMerchantOrderId) {
+      return {
+        type: 'refund',
+        merchantTransactionId: payload.originalMerchantOrderId,
+        refundId: payload.merchantRefundId,
+        status: REFUND_STATUSES[payload.state] || 'PENDING',
+        providerStatus: payload.state,
+        raw: payload
+      };
+    }
+
+    if (!CALLBACK_ORDER_STATUSES[event] || !payload.merchantOrderId) {
+      return { type: 'ignored', reason: `unhandled event ${event}` };
+    }
+
+    return {
+      type: 'payment',
+      merchantTransactionId: payload.merchantOrderId,
+      status: CALLBACK_ORDER_STATUSES[event],
+      providerStatus: payload.state,
+      ...(payload.errorCode ? describeFailure(payload) : NO_FAILURE),
+      raw: payload
+    };
+  }
+
+  async refund(order, { refundId, amount }) {
+    const request = RefundRequest.builder()
+      .merchantRefundId(refundId)
+      .originalMerchantOrderId(order.merchantTransactionId)
+      .amount(toMinorUnits(amount, order.currency))
+      .build();
+
+    const response = await getPhonePeClient().refund(request);
+    logger.info('PhonePe refund response', { refundId: response.refundId, state: response.state });
+
+    return {
+      status: REFUND_STATUSES[response.state] || 'PENDING',
+      providerRefundId: response.refundId,
+      providerStatus: response.state
+    };
+  }
+
+  async fetchRefundStatus(order, refundId) {
+    const response = await getPhonePeClient().getRefundStatus(refundId);
+    return { status: REFUND_STATUSES[response.state] || 'PENDING', providerStatus: response.state };
+  }
+}
+
+module.exports = { PhonePeProvider };
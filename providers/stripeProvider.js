@@ -0,0 +1,249 @@
+const { PaymentProvider, providerError } = require('./PaymentProvider');
+const { getStripeClient } = require('../services/gatewayClients');
+const { getConfig } = require('../config/env');
+const { minorUnits } = require('../config/currencies');
+const money = require('../services/money');
+const { logger } = require('../services/logger');
+
+// International customers are charged in STRIPE_DEFAULT_CURRENCY (USD) unless they ask for another currency
+
+// Currencies Stripe can present to customers
+const SUPPORTED_CURRENCIES = ['AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY', 'COP', 'CRC', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'STD', 'SZL', 'THB', 'TJS', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX', 'USD', 'UYU', 'UZS', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW'];
+
+// Stripe takes these currencies in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+// Checkout Session webhook events we act on
+const EVENT_STATUSES = {
+  'checkout.session.async_payment_succeeded': 'SUCCEEDED',
+  'checkout.session.async_payment_failed': 'FAILED',
+  'checkout.session.expired': 'EXPIRED'
+};
+
+const REFUND_EVENTS = ['refund.created', 'refund.updated', 'refund.failed'];
+
+const REFUND_STATUSES = {
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'FAILED'
+};
+
+// Decimal places in Stripe's integer amounts. Mostly ISO 4217 (three-decimal currencies included,
+// where Stripe wants the last digit 0), but with Stripe's own zero-decimal list, and ISK still
+// sent with two (always .00) for backwards compatibility
+const stripeExponent = (currency) => {
+  const code = String(currency).toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  return code === 'ISK' ? 2 : minorUnits(code);
+};
+
+const toMinorUnits = (amount, currency) => money.toMinorUnits(amount, currency, stripeExponent(currency));
+
+const fromMinorUnits = (amount, currency) => money.fromMinorUnits(amount, currency, stripeExponent(currency));
+
+// A session is paid once payment_status says so; a completed but unpaid session is
+// waiting on a delayed payment method (bank debits etc.) and settles via webhook
+const sessionStatus = (session) => {
+  if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+    return { status: 'SUCCEEDED', providerStatus: session.payment_status };
+  }
+  if (session.status === 'expired') {
+    return { status: 'EXPIRED', providerStatus: session.status };
+  }
+  return { status: 'PENDING', providerStatus: session.status };
+};
+
+// Stripe reports API errors as { error: { type, code, message } } with a 4xx status
+const stripeErrorDetails = (error) => error.response?.data?.error || null;
+
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super('stripe');
+  }
+
+  resolveCurrency(requested) {
+    return requested || getConfig().providers.stripe.defaultCurrency;
+  }
+
+  // Everything Stripe presents, or the part of it STRIPE_CURRENCIES enables for the account
+  supportedCurrencies() {
+    const { currencies } = getConfig().providers.stripe;
+    return currencies ? SUPPORTED_CURRENCIES.filter((currency) => currencies.includes(currency)) : SUPPORTED_CURRENCIES;
+  }
+
+  async createOrder(order) {
+    const { frontendUrl } = getConfig();
+    const successUrl = `${frontendUrl}/payment-status?merchantTransactionId=${order.merchantTransactionId}&amount=${order.amount}&method=stripe`;
+    const cancelUrl = `${frontendUrl}/payment-cancel?merchantTransactionId=${order.merchantTransactionId}`;
+
+    // One line item for the whole order so any discount is already reflected in the charged amount
+    const sessionRequest = {
+      mode: 'payment',
+      client_reference_id: order.merchantTransactionId,
+      customer_email: order.customerEmail,
+      success_url: successUrl + '&session_id={CHECKOUT_SESSION_ID}',
+      cancel_url: cancelUrl,
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: order.currency.toLowerCase(),
+          unit_amount: toMinorUnits(order.amount, order.currency),
+          product_data: {
+            name: `CraftMyStore - ${order.priceSnapshot.items.map((item) => item.name).join(' + ')}`
+          }
+        }
+      }],
+      metadata: { merchantTransactionId: order.merchantTransactionId, customerId: order.customerId },
+      payment_intent_data: {
+        metadata: { merchantTransactionId: order.merchantTransactionId, customerId: order.customerId }
+      }
+    };
+
+    logger.debug('Stripe checkout session request', { request: sessionRequest });
+
+    let session;
+    try {
+      const response = await getStripeClient().post('/v1/checkout/sessions', sessionRequest, {
+        headers: { 'Idempotency-Key': order.merchantTransactionId }
+      });
+      session = response.data;
+    } catch (error) {
+      const details = stripeErrorDetails(error);
+      if (!details) throw error;
+      throw providerError('PROVIDER_REJECTED', details.message || 'Payment initiation failed', details);
+    }
+    logger.info('Stripe checkout session created', { sessionId: session.id, status: session.status });
+
+    if (!session.id || !session.url) {
+      throw providerError('PROVIDER_REJECTED', 'Payment initiation failed', session);
+    }
+
+    return {
+      providerOrderId: session.id,
+      details: {
+        stripeSessionId: session.id,
+        checkoutUrl: session.url
+      },
+      response: {
+        orderId: session.id,
+        sessionId: session.id,
+        redirectUrl: session.url
+      }
+    };
+  }
+
+  async fetchStatus(order) {
+    if (!order.providerOrderId) {
+      return { status: 'FAILED', providerStatus: null, failureReason: 'Checkout session was never created', failureCode: 'NO_SESSION', raw: null };
+    }
+
+    const response = await getStripeClient().get(`/v1/checkout/sessions/${order.providerOrderId}`, {
+      params: { 'expand[]': 'payment_intent' }
+    });
+    const session = response.data;
+    logger.info('Stripe checkout session status', { sessionId: session.id, status: session.status, paymentStatus: session.payment_status });
+
+    const { status, providerStatus } = sessionStatus(session);
+    const lastError = session.payment_intent && session.payment_intent.last_payment_error;
+
+    return {
+      status,
+      providerStatus,
+      paidAmount: fromMinorUnits(session.amount_total, session.currency),
+      failureReason: status === 'EXPIRED'
+        ? `Status: ${session.status}${lastError ? ` - ${lastError.code || lastError.message}` : ''}`
+        : null,
+      failureCode: status === 'EXPIRED' ? session.status : null,
+      failureDetail: status === 'EXPIRED' && lastError ? lastError.code || lastError.message : null,
+      raw: session
+    };
+  }
+
+  // The signature is checked by the verifyStripeWebhook middleware before this runs
+  async parseWebhook(req) {
+    const event = req.body || {};
+    const object = event.data?.object || {};
+
+    // Refunds we issued carry our refund ID in their metadata
+    if (REFUND_EVENTS.includes(event.type)) {
+      const { refundId, merchantTransactionId } = object.metadata || {};
+      if (!refundId || !merchantTransactionId) {
+        return { type: 'ignored', reason: `refund ${object.id} was not issued by us` };
+      }
+      return {
+        type: 'refund',
+        merchantTransactionId,
+        refundId,
+        status: REFUND_STATUSES[object.status] || 'PENDING',
+        providerStatus: object.status,
+        raw: object
+      };
+    }
+
+    const merchantTransactionId = object.client_reference_id || object.metadata?.merchantTransactionId;
+    const { status, providerStatus } = event.type === 'checkout.session.completed'
+      ? sessionStatus(object)
+      : { status: EVENT_STATUSES[event.type], providerStatus: event.type };
+
+    if (!status || !merchantTransactionId) {
+      return { type: 'ignored', reason: `unhandled event ${event.type || 'unknown'}` };
+    }
+
+    return {
+      type: 'payment',
+      merchantTransactionId,
+      status,
+      providerStatus,
+      failureReason: status === 'FAILED' ? `Status: ${event.type}` : null,
+      failureCode: status === 'FAILED' ? event.type : null,
+      failureDetail: null,
+      raw: object
+    };
+  }
+
+  async refund(order, { refundId, amount, reason }) {
+    const client = getStripeClient();
+
+    // Refunds go against the PaymentIntent behind the checkout session
+    const { data: session } = await client.get(`/v1/checkout/sessions/${order.providerOrderId}`);
+    const paymentIntent = typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id;
+    if (!paymentIntent) {
+      throw providerError('REFUND_NOT_ALLOWED', 'Checkout session has no payment to refund');
+    }
+
+    const response = await client.post('/v1/refunds', {
+      payment_intent: paymentIntent,
+      amount: toMinorUnits(amount, order.currency),
+      reason: 'requested_by_customer',
+      metadata: {
+        refundId,
+        merchantTransactionId: order.merchantTransactionId,
+        note: reason || undefined
+      }
+    }, {
+      headers: { 'Idempotency-Key': refundId }
+    });
+    logger.info('Stripe refund response', { stripeRefundId: response.data.id, status: response.data.status });
+
+    return {
+      status: REFUND_STATUSES[response.data.status] || 'PENDING',
+      providerRefundId: response.data.id,
+      providerStatus: response.data.status
+    };
+  }
+
+  async fetchRefundStatus(order, refundId) {
+    const refund = (order.refunds || []).find((item) => item.refundId === refundId);
+    if (!refund || !refund.providerRefundId) {
+      throw providerError('NOT_FOUND', 'Refund not found');
+    }
+
+    const response = await getStripeClient().get(`/v1/refunds/${refund.providerRefundId}`);
+    return {
+      status: REFUND_STATUSES[response.data.status] || 'PENDING',
+      providerStatus: response.data.status
+    };
+  }
+}
+
+module.exports = { StripeProvider };
@@ -0,0 +1,87 @@
+// Helpers shared by the storage adapters.
+//
+// Every adapter stores plain JSON documents grouped into named collections and
+// exposes the same async interface:
+//   get(collection, id)            -> document or null
+//   create(collection, id, doc)    -> document, fails with ALREADY_EXISTS if a live document exists
+//   set(collection, id, doc)       -> document, replacing whatever was stored
+//   update(collection, id, patch)  -> merged document, fails with NOT_FOUND if missing
+//   delete(collection, id)
+//   increment(collection, id, field, { expireAt }) -> the field's new value; adds 1 atomically,
+//                                     starting a fresh { [field]: 1, expireAt } document if none is live
+//   list(collection, options)      -> [{ id, data }] matching options.where, sorted by options.orderBy
+//                                     (ties broken by document ID) and resumed after options.startAfter
+//   serverTimestamp()              -> value to store as a "written at" timestamp
+//
+// `where` is a list of [fieldPath, operator, value] clauses (dotted paths reach into nested
+// objects); supported operators are ==, <, <=, >, >= and in. `startAfter` is a cursor of the
+// form { value, id } - the orderBy value and ID of the last document on the previous page.
+//
+// A document with an `expireAt` date in the past is treated as if it didn't exist.
+
+const isExpired = (doc, now = Date.now()) => {
+  return Boolean(doc && doc.expireAt && new Date(doc.expireAt).getTime() <= now);
+};
+
+const alreadyExistsError = (collection, id) => {
+  const error = new Error(`Document ${collection}/${id} already exists`);
+  error.code = 'ALREADY_EXISTS';
+  return error;
+};
+
+const notFoundError = (collection, id) => {
+  const error = new Error(`Document ${collection}/${id} not found`);
+  error.code = 'NOT_FOUND';
+  return error;
+};
+
+// Documents are handed out as copies so callers can't mutate stored state by accident
+const clone = (doc) => (doc === undefined || doc === null ? null : JSON.parse(JSON.stringify(doc)));
+
+const getField = (doc, fieldPath) => {
+  return fieldPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+};
+
+const OPERATORS = {
+  '==': (actual, expected) => actual === expected,
+  '<': (actual, expected) => actual !== undefined && actual < expected,
+  '<=': (actual, expected) => actual !== undefined && actual <= expected,
+  '>': (actual, expected) => actual !== undefined && actual > expected,
+  '>=': (actual, expected) => actual !== undefined && actual >= expected,
+  in: (actual, expected) => expected.includes(actual)
+};
+
+const matchesWhere = (doc, where = []) => {
+  return where.every(([fieldPath, operator, expected]) => {
+    const compare = OPERATORS[operator];
+    if (!compare) {
+      throw new Error(`Unsupported query operator: ${operator}`);
+    }
+    return compare(getField(doc, fieldPath), expected);
+  });
+};
+
+// Order two (value, id) pairs by value, then by document ID
+const comparePositions = (left, leftId, right, rightId) => {
+  if (left !== right) return left < right ? -1 : 1;
+  if (leftId === rightId) return 0;
+  return leftId < rightId ? -1 : 1;
+};
+
+// Filter, sort and limit [{ id, data }] entries the way a Firestore query would
+const queryEntries = (entries, { where, orderBy, direction = 'asc', limit, startAfter } = {}) => {
+  let results = entries.filter(({ data }) => !isExpired(data) && matchesWhere(data, where));
+
+  if (orderBy) {
+    const sign = direction === 'desc' ? -1 : 1;
+    results = results.sort((a, b) => comparePositions(getField(a.data, orderBy), a.id, getField(b.data, orderBy), b.id) * sign);
+
+    if (startAfter) {
+      results = results.filter(({ id, data }) => comparePositions(getField(data, orderBy), id, startAfter.value, startAfter.id) * sign > 0);
+    }
+  }
+
+  return limit ? results.slice(0, limit) : results;
+};
+
+module.exports = { isExpired, alreadyExistsError, notFoundError, clone, getField, matchesWhere, queryEntries };
@@ -0,0 +1,139 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isExpired, alreadyExistsError, notFoundError, clone, queryEntries } = require('./common');
+
+// File-backed adapter - keeps every collection in a single JSON file.
+// Good enough for a single long-running instance; not safe across several processes.
+const createFileAdapter = (filePath) => {
+  let data = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = {};
+    }
+    return data;
+  };
+
+  // Write to a temp file first so a crash mid-write can't leave a truncated store behind
+  const persist = async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  };
+
+  // Run operations one at a time so concurrent requests can't interleave read-modify-write cycles
+  const serialize = (operation) => {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const readLive = (collection, id) => {
+    const doc = data[collection] && data[collection][id];
+    return isExpired(doc) ? null : doc || null;
+  };
+
+  const write = (collection, id, doc) => {
+    data[collection] = data[collection] || {};
+    data[collection][id] = doc;
+  };
+
+  // Sweep expired documents out of the file on every write
+  const purgeExpired = () => {
+    const now = Date.now();
+    Object.values(data).forEach((docs) => {
+      Object.keys(docs).forEach((id) => {
+        if (isExpired(docs[id], now)) delete docs[id];
+      });
+    });
+  };
+
+  return {
+    name: 'file',
+
+    get(collection, id) {
+      return serialize(async () => {
+        await load();
+        return clone(readLive(collection, id));
+      });
+    },
+
+    create(collection, id, doc) {
+      return serialize(async () => {
+        await load();
+        if (readLive(collection, id)) {
+          throw alreadyExistsError(collection, id);
+        }
+        write(collection, id, clone(doc));
+        purgeExpired();
+        await persist();
+        return clone(doc);
+      });
+    },
+
+    set(collection, id, doc) {
+      return serialize(async () => {
+        await load();
+        write(collection, id, clone(doc));
+        purgeExpired();
+        await persist();
+        return clone(doc);
+      });
+    },
+
+    update(collection, id, patch) {
+      return serialize(async () => {
+        await load();
+        const existing = readLive(collection, id);
+        if (!existing) {
+          throw notFoundError(collection, id);
+        }
+        const updated = { ...existing, ...clone(patch) };
+        write(collection, id, updated);
+        purgeExpired();
+        await persist();
+        return clone(updated);
+      });
+    },
+
+    delete(collection, id) {
+      return serialize(async () => {
+        await load();
+        if (data[collection]) delete data[collection][id];
+        await persist();
+      });
+    },
+
+    increment(collection, id, field, { expireAt = null } = {}) {
+      return serialize(async () => {
+        await load();
+        const doc = readLive(collection, id) || { expireAt };
+        doc[field] = (doc[field] || 0) + 1;
+        write(collection, id, doc);
+        purgeExpired();
+        await persist();
+        return doc[field];
+      });
+    },
+
+    list(collection, options) {
+      return serialize(async () => {
+        await load();
+        const entries = Object.entries(data[collection] || {}).map(([id, doc]) => ({ id, data: doc }));
+        return clone(queryEntries(entries, options));
+      });
+    },
+
+    serverTimestamp() {
+      return new Date().toISOString();
+    }
+  };
+};
+
+module.exports = { createFileAdapter };
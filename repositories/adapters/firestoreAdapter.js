@@ -0,0 +1,126 @@
+const { admin } = require('../../config/firebase');
+const { getDependency } = require('../../services/dependencies');
+const { isExpired, alreadyExistsError, notFoundError } = require('./common');
+
+// Firestore refuses class instances (the PhonePe SDK returns those), so copy everything into plain objects
+const toPlain = (value) => {
+  if (value instanceof admin.firestore.FieldValue || value instanceof Date) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+};
+
+// Firestore stores `expireAt` as a Timestamp so a TTL policy on that field can delete
+// abandoned documents server-side; reads still filter them out until the policy catches up.
+const toFirestore = (doc) => {
+  const plain = toPlain(doc);
+  if (plain.expireAt === undefined) return plain;
+  return { ...plain, expireAt: plain.expireAt ? new Date(plain.expireAt) : null };
+};
+
+// Convert Firestore Timestamps back to ISO strings so callers see the same shapes as the other adapters
+const fromFirestore = (value) => {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestore(item)]));
+  }
+  return value;
+};
+
+const readSnapshot = (snapshot) => {
+  if (!snapshot.exists) return null;
+  const doc = fromFirestore(snapshot.data());
+  return isExpired(doc) ? null : doc;
+};
+
+// `db` defaults to the shared Firestore client from services/dependencies
+const createFirestoreAdapter = (db = getDependency('firestore')) => {
+  const ref = (collection, id) => db.collection(collection).doc(id);
+
+  return {
+    name: 'firestore',
+
+    async get(collection, id) {
+      return readSnapshot(await ref(collection, id).get());
+    },
+
+    // Use a transaction so an expired-but-not-yet-deleted document can be replaced atomically
+    async create(collection, id, doc) {
+      const docRef = ref(collection, id);
+      await db.runTransaction(async (transaction) => {
+        const existing = readSnapshot(await transaction.get(docRef));
+        if (existing) {
+          throw alreadyExistsError(collection, id);
+        }
+        transaction.set(docRef, toFirestore(doc));
+      });
+      return doc;
+    },
+
+    async set(collection, id, doc) {
+      await ref(collection, id).set(toFirestore(doc));
+      return doc;
+    },
+
+    async update(collection, id, patch) {
+      const docRef = ref(collection, id);
+      return db.runTransaction(async (transaction) => {
+        const existing = readSnapshot(await transaction.get(docRef));
+        if (!existing) {
+          throw notFoundError(collection, id);
+        }
+        transaction.update(docRef, toFirestore(patch));
+        return { ...existing, ...patch };
+      });
+    },
+
+    async delete(collection, id) {
+      await ref(collection, id).delete();
+    },
+
+    async increment(collection, id, field, { expireAt = null } = {}) {
+      const docRef = ref(collection, id);
+      return db.runTransaction(async (transaction) => {
+        const existing = readSnapshot(await transaction.get(docRef));
+        const value = ((existing && existing[field]) || 0) + 1;
+        transaction.set(docRef, toFirestore(existing ? { ...existing, [field]: value } : { [field]: value, expireAt }));
+        return value;
+      });
+    },
+
+    async list(collection, { where = [], orderBy, direction = 'asc', limit, startAfter } = {}) {
+      let query = db.collection(collection);
+      where.forEach(([fieldPath, operator, value]) => {
+        query = query.where(fieldPath, operator, value);
+      });
+      if (orderBy) {
+        // Ordering by document ID as well matches the other adapters and makes cursors unambiguous
+        query = query.orderBy(orderBy, direction).orderBy(admin.firestore.FieldPath.documentId(), direction);
+        if (startAfter) query = query.startAfter(startAfter.value, startAfter.id);
+      }
+      if (limit) query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map((doc) => ({ id: doc.id, data: readSnapshot(doc) }))
+        .filter(({ data }) => data);
+    },
+
+    serverTimestamp() {
+      return admin.firestore.FieldValue.serverTimestamp();
+    }
+  };
+};
+
+module.exports = { createFirestoreAdapter };
@@ -0,0 +1,37 @@
+const path = require('path');
+const { getConfig } = require('../../config/env');
+const { logger } = require('../../services/logger');
+
+// Pick the storage adapter from PAYMENT_STORE: firestore (default), file or memory.
+// Serverless deployments must use firestore - memory and file state don't survive cold starts.
+let adapter = null;
+
+const createAdapter = (type = getConfig().store.type) => {
+  switch (type) {
+    case 'memory':
+      return require('./memoryAdapter').createMemoryAdapter();
+    case 'file':
+      return require('./fileAdapter').createFileAdapter(
+        path.resolve(getConfig().store.file)
+      );
+    case 'firestore':
+      return require('./firestoreAdapter').createFirestoreAdapter();
+    default:
+      throw new Error(`Unknown PAYMENT_STORE "${type}" - expected firestore, file or memory`);
+  }
+};
+
+const getAdapter = () => {
+  if (!adapter) {
+    adapter = createAdapter();
+    logger.info('Payment store selected', { store: adapter.name });
+  }
+  return adapter;
+};
+
+// Swap the adapter at runtime (mainly for tests)
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = { createAdapter, getAdapter, setAdapter };
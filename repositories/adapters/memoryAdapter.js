@@ -0,0 +1,78 @@
+const { isExpired, alreadyExistsError, notFoundError, clone, queryEntries } = require('./common');
+
+// In-memory adapter - data lives only as long as the process, so use it for local development and tests
+const createMemoryAdapter = () => {
+  const collections = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  // Drop expired documents lazily whenever they're looked up
+  const readLive = (collection, id) => {
+    const docs = getCollection(collection);
+    const doc = docs.get(id);
+    if (isExpired(doc)) {
+      docs.delete(id);
+      return null;
+    }
+    return doc || null;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(collection, id) {
+      return clone(readLive(collection, id));
+    },
+
+    async create(collection, id, doc) {
+      if (readLive(collection, id)) {
+        throw alreadyExistsError(collection, id);
+      }
+      getCollection(collection).set(id, clone(doc));
+      return clone(doc);
+    },
+
+    async set(collection, id, doc) {
+      getCollection(collection).set(id, clone(doc));
+      return clone(doc);
+    },
+
+    async update(collection, id, patch) {
+      const existing = readLive(collection, id);
+      if (!existing) {
+        throw notFoundError(collection, id);
+      }
+      const updated = { ...existing, ...clone(patch) };
+      getCollection(collection).set(id, updated);
+      return clone(updated);
+    },
+
+    async delete(collection, id) {
+      getCollection(collection).delete(id);
+    },
+
+    async increment(collection, id, field, { expireAt = null } = {}) {
+      const existing = readLive(collection, id);
+      const doc = existing || { expireAt };
+      doc[field] = (doc[field] || 0) + 1;
+      getCollection(collection).set(id, doc);
+      return doc[field];
+    },
+
+    async list(collection, options) {
+      const entries = Array.from(getCollection(collection), ([id, data]) => ({ id, data }));
+      return clone(queryEntries(entries, options));
+    },
+
+    serverTimestamp() {
+      return new Date().toISOString();
+    }
+  };
+};
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { getAdapter } = require('./adapters');
+
+const REDEMPTIONS_COLLECTION = 'couponRedemptions';
+
+// Running totals per code, and per code and customer, so a limit check is a single read however
+// often a code has been used. Each redemption bumps its counters once it is recorded.
+const COUNTS_COLLECTION = 'couponRedemptionCounts';
+
+const countId = (code, customerEmail) => {
+  return customerEmail ? `${code}_${crypto.createHash('sha256').update(customerEmail).digest('hex')}` : code;
+};
+
+// Count completed orders that used a code, optionally for one customer only. A counter that
+// doesn't exist yet - the code was last redeemed before counters were kept, or never - is started
+// from a one-off count of the redemption documents.
+const countRedemptions = async (code, customerEmail) => {
+  const adapter = getAdapter();
+  const id = countId(code, customerEmail);
+  const counter = await adapter.get(COUNTS_COLLECTION, id);
+  if (counter) return counter.count;
+
+  const where = [['code', '==', code]];
+  if (customerEmail) where.push(['customerEmail', '==', customerEmail]);
+  const count = (await adapter.list(REDEMPTIONS_COLLECTION, { where })).length;
+
+  try {
+    await adapter.create(COUNTS_COLLECTION, id, { code, count, startedAt: new Date().toISOString() });
+    return count;
+  } catch (error) {
+    if (error.code !== 'ALREADY_EXISTS') throw error;
+    return (await adapter.get(COUNTS_COLLECTION, id)).count;
+  }
+};
+
+// Add one to a counter that has been started. One that hasn't will count this redemption's
+// document when it is started.
+const bumpCounter = async (id) => {
+  const adapter = getAdapter();
+  if (await adapter.get(COUNTS_COLLECTION, id)) {
+    await adapter.increment(COUNTS_COLLECTION, id, 'count');
+  }
+};
+
+// One redemption per order - keyed by order ID so a retried completion can't count twice. The
+// redemption is marked counted once its counters are bumped; a retry after a failure in between
+// bumps them again, which can only make a limit stricter.
+const recordRedemption = async ({ code, merchantTransactionId, customerEmail, discountAmount, currency }) => {
+  const adapter = getAdapter();
+  let redemption;
+  try {
+    redemption = await adapter.create(REDEMPTIONS_COLLECTION, merchantTransactionId, {
+      code,
+      merchantTransactionId,
+      customerEmail,
+      discountAmount,
+      currency,
+      counted: false,
+      redeemedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code !== 'ALREADY_EXISTS') throw error;
+    redemption = await adapter.get(REDEMPTIONS_COLLECTION, merchantTransactionId);
+    if (redemption.counted !== false) return redemption;
+  }
+
+  await bumpCounter(countId(code));
+  if (customerEmail) await bumpCounter(countId(code, customerEmail));
+  return adapter.update(REDEMPTIONS_COLLECTION, merchantTransactionId, { counted: true });
+};
+
+module.exports = { countRedemptions, recordRedemption };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { getAdapter } = require('./adapters');
+
+const CUSTOMERS_COLLECTION = 'customers';
+
+// One document per email address and Firebase uid, pointing at the customer that owns it.
+// Claiming one with create() is what stops two checkouts from creating the same customer twice.
+const KEYS_COLLECTION = 'customerKeys';
+
+// Lower-cased for matching - the address stored on orders keeps the case the customer typed
+const keyId = (type, value) => {
+  const normalized = type === 'email' ? String(value).trim().toLowerCase() : String(value).trim();
+  return `${type}_${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+};
+
+// The customer an email address or Firebase uid belongs to, or null
+const findCustomerIdByKey = async (type, value) => {
+  if (!value) return null;
+  const key = await getAdapter().get(KEYS_COLLECTION, keyId(type, value));
+  return key ? key.customerId : null;
+};
+
+// Point an email address or Firebase uid at a customer. Returns false if it already belongs to one.
+const claimKey = async (type, value, customerId) => {
+  try {
+    await getAdapter().create(KEYS_COLLECTION, keyId(type, value), { type, customerId, createdAt: new Date().toISOString() });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const createCustomer = async (customer) => {
+  await getAdapter().create(CUSTOMERS_COLLECTION, customer.customerId, customer);
+  return customer;
+};
+
+const getCustomer = async (customerId) => {
+  return getAdapter().get(CUSTOMERS_COLLECTION, customerId);
+};
+
+const updateCustomer = async (customerId, changes) => {
+  return getAdapter().update(CUSTOMERS_COLLECTION, customerId, { ...changes, updatedAt: new Date().toISOString() });
+};
+
+const deleteCustomer = async (customerId) => {
+  return getAdapter().delete(CUSTOMERS_COLLECTION, customerId);
+};
+
+module.exports = {
+  CUSTOMERS_COLLECTION,
+  KEYS_COLLECTION,
+  findCustomerIdByKey,
+  claimKey,
+  createCustomer,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer
+};
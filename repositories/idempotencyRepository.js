@@ -0,0 +1,35 @@
+const { getAdapter } = require('./adapters');
+
+const KEYS_COLLECTION = 'idempotencyKeys';
+
+// Claim a key for the request now being handled. Returns false when the key is already
+// taken - by a finished request or one still in flight - so the caller can look it up.
+const claimKey = async (id, record) => {
+  try {
+    await getAdapter().create(KEYS_COLLECTION, id, record);
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const getKey = async (id) => {
+  return getAdapter().get(KEYS_COLLECTION, id);
+};
+
+// Store the response sent for a key so repeats of the request get it back
+const saveResponse = async (id, response) => {
+  return getAdapter().update(KEYS_COLLECTION, id, {
+    status: 'COMPLETED',
+    response,
+    completedAt: new Date().toISOString()
+  });
+};
+
+// Free a key whose request didn't produce a response worth repeating, so it can be retried
+const releaseKey = async (id) => {
+  return getAdapter().delete(KEYS_COLLECTION, id);
+};
+
+module.exports = { KEYS_COLLECTION, claimKey, getKey, saveResponse, releaseKey };
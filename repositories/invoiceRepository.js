@@ -0,0 +1,83 @@
+const { getAdapter } = require('./adapters');
+
+const COUNTERS_COLLECTION = 'invoiceCounters';
+const NUMBERS_COLLECTION = 'invoiceNumbers';
+const BY_ORDER_COLLECTION = 'invoiceByOrder';
+
+// How long a worker may hold an order's reservation before another worker can take it over
+const RESERVATION_LEASE_SECONDS = 120;
+
+const reservationBusyError = (merchantTransactionId) => {
+  const error = new Error(`Invoice number for ${merchantTransactionId} is being allocated by another worker`);
+  error.code = 'RESERVATION_BUSY';
+  return error;
+};
+
+// Take the next free number in a series. Each number is claimed by atomically creating its own
+// document, so concurrent instances can't hand out the same number. The counter document is
+// only a hint of where to start looking.
+const allocateNextNumber = async (seriesKey, merchantTransactionId, issuedAt) => {
+  const adapter = getAdapter();
+  const counter = await adapter.get(COUNTERS_COLLECTION, seriesKey);
+  let sequence = (counter ? counter.last : 0) + 1;
+
+  for (;;) {
+    try {
+      await adapter.create(NUMBERS_COLLECTION, `${seriesKey}_${sequence}`, {
+        seriesKey,
+        sequence,
+        merchantTransactionId,
+        issuedAt,
+        allocatedAt: new Date().toISOString()
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 'ALREADY_EXISTS') throw error;
+      sequence += 1;
+    }
+  }
+
+  await adapter.set(COUNTERS_COLLECTION, seriesKey, { seriesKey, last: sequence, updatedAt: new Date().toISOString() });
+  return { seriesKey, sequence, issuedAt };
+};
+
+// A number already allocated to the order by a worker that died before recording it
+const findAllocatedNumber = async (merchantTransactionId) => {
+  const [entry] = await getAdapter().list(NUMBERS_COLLECTION, {
+    where: [['merchantTransactionId', '==', merchantTransactionId]],
+    limit: 1
+  });
+  return entry ? { seriesKey: entry.data.seriesKey, sequence: entry.data.sequence, issuedAt: entry.data.issuedAt || entry.data.allocatedAt } : null;
+};
+
+// The invoice number for an order: { seriesKey, sequence, issuedAt }. The first call allocates
+// one in `seriesKey`; every later call - a retried job, or a second worker after a lease ran
+// out - gets the same number back, so a GST series never skips one. While a worker is
+// allocating, other callers fail with RESERVATION_BUSY and should retry later.
+const reserveInvoiceNumber = async (merchantTransactionId, { seriesKey, issuedAt }) => {
+  const adapter = getAdapter();
+  const reserved = await adapter.get(BY_ORDER_COLLECTION, merchantTransactionId);
+  if (reserved && reserved.sequence) return reserved;
+
+  try {
+    await adapter.create(BY_ORDER_COLLECTION, merchantTransactionId, {
+      merchantTransactionId,
+      status: 'ALLOCATING',
+      expireAt: new Date(Date.now() + RESERVATION_LEASE_SECONDS * 1000).toISOString()
+    });
+  } catch (error) {
+    if (error.code !== 'ALREADY_EXISTS') throw error;
+    const current = await adapter.get(BY_ORDER_COLLECTION, merchantTransactionId);
+    if (current && current.sequence) return current;
+    throw reservationBusyError(merchantTransactionId);
+  }
+
+  const number = (await findAllocatedNumber(merchantTransactionId))
+    || await allocateNextNumber(seriesKey, merchantTransactionId, issuedAt);
+
+  const reservation = { merchantTransactionId, ...number, status: 'ALLOCATED', expireAt: null };
+  await adapter.set(BY_ORDER_COLLECTION, merchantTransactionId, reservation);
+  return reservation;
+};
+
+module.exports = { reserveInvoiceNumber };
@@ -0,0 +1,58 @@
+const { getAdapter } = require('./adapters');
+
+const DELIVERIES_COLLECTION = 'merchantWebhookDeliveries';
+
+// The delivery log is kept this long
+const DELIVERY_TTL_DAYS = 90;
+
+// Only the most recent attempts are kept on a delivery
+const MAX_ATTEMPTS_KEPT = 20;
+
+// Save a new delivery. Delivery IDs are deterministic (event, occurrence and endpoint),
+// so the same event is never logged - or sent - twice. Returns false if it already exists.
+const createDelivery = async (delivery) => {
+  try {
+    await getAdapter().create(DELIVERIES_COLLECTION, delivery.id, {
+      ...delivery,
+      expireAt: new Date(Date.now() + DELIVERY_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const getDelivery = async (deliveryId) => {
+  return getAdapter().get(DELIVERIES_COLLECTION, deliveryId);
+};
+
+const updateDelivery = async (deliveryId, changes) => {
+  return getAdapter().update(DELIVERIES_COLLECTION, deliveryId, { ...changes, updatedAt: new Date().toISOString() });
+};
+
+// Append one attempt to the delivery's log along with any status change. Deliveries are only
+// attempted from their outbox job, which holds a lease, so there is a single writer.
+const recordAttempt = async (deliveryId, attempt, changes) => {
+  const delivery = await getDelivery(deliveryId);
+  const attempts = [...(delivery?.attempts || []), attempt].slice(-MAX_ATTEMPTS_KEPT);
+  return updateDelivery(deliveryId, {
+    ...changes,
+    attempts,
+    attemptCount: (delivery?.attemptCount || 0) + 1,
+    lastAttemptAt: attempt.attemptedAt
+  });
+};
+
+// Most recent deliveries first, optionally for one order or in one status.
+// Firestore needs composite indexes on (merchantTransactionId, createdAt) and (status, createdAt).
+const listDeliveries = async ({ merchantTransactionId, status, limit }) => {
+  const where = [];
+  if (merchantTransactionId) where.push(['merchantTransactionId', '==', merchantTransactionId]);
+  if (status) where.push(['status', '==', status]);
+
+  const entries = await getAdapter().list(DELIVERIES_COLLECTION, { where, orderBy: 'createdAt', direction: 'desc', limit });
+  return entries.map(({ data }) => data);
+};
+
+module.exports = { DELIVERIES_COLLECTION, createDelivery, getDelivery, updateDelivery, recordAttempt, listDeliveries };
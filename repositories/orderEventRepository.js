@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { getAdapter } = require('./adapters');
+
+const EVENTS_COLLECTION = 'orderEvents';
+
+// Append an entry to an order's activity log - webhooks received, notifications delivered,
+// admin notes. Status changes live on the order's statusHistory instead.
+const recordOrderEvent = async (merchantTransactionId, type, details = {}) => {
+  const at = new Date().toISOString();
+  const id = `${merchantTransactionId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const event = { id, merchantTransactionId, type, at, ...details };
+
+  await getAdapter().set(EVENTS_COLLECTION, id, event);
+  return event;
+};
+
+// Every logged event for an order, oldest first.
+// Firestore needs a composite index on (merchantTransactionId, at) for this query.
+const listOrderEvents = async (merchantTransactionId) => {
+  const entries = await getAdapter().list(EVENTS_COLLECTION, {
+    where: [['merchantTransactionId', '==', merchantTransactionId]],
+    orderBy: 'at'
+  });
+  return entries.map(({ data }) => data);
+};
+
+module.exports = { EVENTS_COLLECTION, recordOrderEvent, listOrderEvents };
@@ -0,0 +1,88 @@
+const { getAdapter } = require('./adapters');
+
+const JOBS_COLLECTION = 'outbox';
+const LEASES_COLLECTION = 'outboxLeases';
+
+// Finished jobs are kept this long for inspection, dead ones until someone replays or deletes them
+const DONE_TTL_DAYS = 7;
+
+// Save a new job. Job IDs are deterministic, so enqueueing the same work twice
+// returns false instead of creating a second job.
+const createJob = async (job) => {
+  try {
+    await getAdapter().create(JOBS_COLLECTION, job.id, job);
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const getJob = async (jobId) => {
+  return getAdapter().get(JOBS_COLLECTION, jobId);
+};
+
+// Merge changes into a job and return the updated job
+const updateJob = async (jobId, changes) => {
+  const patch = { ...changes, updatedAt: new Date().toISOString() };
+
+  if (patch.status === 'DONE') {
+    patch.expireAt = new Date(Date.now() + DONE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  return getAdapter().update(JOBS_COLLECTION, jobId, patch);
+};
+
+// Pending jobs whose next attempt is due, oldest first.
+// Firestore needs a composite index on (status, nextAttemptAt) for this query.
+const listDueJobs = async (limit, now = new Date()) => {
+  const entries = await getAdapter().list(JOBS_COLLECTION, {
+    where: [['status', '==', 'PENDING'], ['nextAttemptAt', '<=', now.toISOString()]],
+    orderBy: 'nextAttemptAt',
+    limit
+  });
+  return entries.map(({ data }) => data);
+};
+
+// Jobs that ran out of attempts, most recent first
+const listDeadJobs = async (limit) => {
+  const entries = await getAdapter().list(JOBS_COLLECTION, {
+    where: [['status', '==', 'DEAD']],
+    orderBy: 'deadAt',
+    direction: 'desc',
+    limit
+  });
+  return entries.map(({ data }) => data);
+};
+
+// Take the lease on a job for `ttlSeconds`. Only one worker - across every instance
+// sharing the store - holds it at a time; a worker that crashes mid-job loses it when it expires.
+const acquireLease = async (jobId, ttlSeconds) => {
+  try {
+    await getAdapter().create(LEASES_COLLECTION, jobId, {
+      jobId,
+      acquiredAt: new Date().toISOString(),
+      expireAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const releaseLease = async (jobId) => {
+  return getAdapter().delete(LEASES_COLLECTION, jobId);
+};
+
+module.exports = {
+  JOBS_COLLECTION,
+  LEASES_COLLECTION,
+  createJob,
+  getJob,
+  updateJob,
+  listDueJobs,
+  listDeadJobs,
+  acquireLease,
+  releaseLease
+};
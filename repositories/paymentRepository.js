@@ -0,0 +1,225 @@
+const { getAdapter } = require('./adapters');
+const { FINAL_STATUSES, normalizeStatus, assertTransition } = require('../services/orderStateMachine');
+const { getConfig } = require('../config/env');
+
+const ORDERS_COLLECTION = 'orders';
+const PAYMENTS_COLLECTION = 'payments';
+const COMPLETIONS_COLLECTION = 'completions';
+const REFUND_LOCKS_COLLECTION = 'refundLocks';
+
+// How long a completion claim holds before another caller may take it over. Completion only
+// moves the order and queues outbox jobs, so a run that hasn't finished by then has died.
+const COMPLETION_LEASE_SECONDS = 120;
+
+// Orders that never reach a final status are dropped after PAYMENT_ORDER_TTL_MINUTES (a day by default)
+const orderExpiry = (from = Date.now()) => new Date(from + getConfig().orders.ttlMinutes * 60 * 1000).toISOString();
+
+// Save a freshly initiated order
+const createOrder = async (order) => {
+  return getAdapter().create(ORDERS_COLLECTION, order.merchantTransactionId, {
+    // Set by reconciliation when an order is held for review; stored up front so it can be queried on
+    reconciliationHold: false,
+    ...order,
+    expireAt: orderExpiry()
+  });
+};
+
+// Look up an order by merchantTransactionId - returns null when unknown or expired
+const getOrder = async (merchantTransactionId) => {
+  return getAdapter().get(ORDERS_COLLECTION, merchantTransactionId);
+};
+
+// Orders matching `where`, oldest first unless `direction` is 'desc', as [{ id, data }].
+// The admin search needs Firestore composite indexes ending in createdAt descending.
+const listOrders = async ({ where = [], limit, direction, startAfter } = {}) => {
+  return getAdapter().list(ORDERS_COLLECTION, { where, orderBy: 'createdAt', direction, limit, startAfter });
+};
+
+// Merge changes into an order and return the updated order.
+// Status changes should go through transitionOrder so they're checked against the lifecycle.
+const updateOrder = async (merchantTransactionId, changes) => {
+  const patch = { ...changes, updatedAt: changes.updatedAt || new Date().toISOString() };
+
+  // Final orders outlive the TTL - paid ones for obvious reasons, failed and expired ones for reporting
+  if (FINAL_STATUSES.includes(patch.status)) {
+    patch.expireAt = null;
+  }
+
+  return getAdapter().update(ORDERS_COLLECTION, merchantTransactionId, patch);
+};
+
+// Move an order to a new lifecycle status, recording the change in its status history.
+// Throws ILLEGAL_TRANSITION for moves the state machine doesn't allow; moving to the
+// current status just applies `changes`.
+const transitionOrder = async (merchantTransactionId, toStatus, changes = {}, source = 'system') => {
+  const order = await getOrder(merchantTransactionId);
+  if (!order) {
+    const error = new Error(`Order ${merchantTransactionId} not found`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const fromStatus = normalizeStatus(order.status);
+  if (fromStatus === toStatus) {
+    return Object.keys(changes).length ? updateOrder(merchantTransactionId, changes) : order;
+  }
+
+  assertTransition(fromStatus, toStatus);
+
+  const at = new Date().toISOString();
+  return updateOrder(merchantTransactionId, {
+    ...changes,
+    status: toStatus,
+    statusHistory: [...(order.statusHistory || []), { from: fromStatus, to: toStatus, at, source }],
+    updatedAt: at
+  });
+};
+
+// Write the payment record kept in the `payments` collection
+// Payment records keep the email address as typed; this lower-cased copy is what lookups match on
+const emailKey = (email) => String(email || '').trim().toLowerCase();
+
+const savePaymentRecord = async (paymentData) => {
+  const adapter = getAdapter();
+  const timestamp = new Date();
+
+  const paymentDoc = {
+    customerId: paymentData.customerId || null,
+    customerInfo: {
+      name: paymentData.customerName || '',
+      email: paymentData.customerEmail || '',
+      emailKey: emailKey(paymentData.customerEmail),
+      phone: paymentData.customerPhone || ''
+    },
+    transactionInfo: {
+      id: paymentData.merchantTransactionId || '',
+      amount: paymentData.amount || 0,
+      currency: paymentData.currency || 'INR',
+      status: paymentData.status || 'UNKNOWN',
+      paymentMethod: paymentData.paymentMethod || 'unknown',
+      createdAt: paymentData.createdAt || timestamp.toISOString(),
+      updatedAt: paymentData.updatedAt || timestamp.toISOString(),
+      timestamp: adapter.serverTimestamp()
+    },
+    planDetails: {
+      ecommPlan: paymentData.ecommPlan || '',
+      hostingPlan: paymentData.hostingPlan || ''
+    }
+  };
+
+  // Renewal charges link back to the subscription they paid for
+  if (paymentData.subscriptionId) {
+    paymentDoc.subscriptionInfo = {
+      id: paymentData.subscriptionId,
+      billingCycle: paymentData.billingCycle || null,
+      providerPaymentId: paymentData.providerPaymentId || null
+    };
+  }
+
+  // Transaction ID doubles as the document ID for easy retrieval
+  await adapter.set(PAYMENTS_COLLECTION, paymentData.merchantTransactionId, paymentDoc);
+  return paymentData.merchantTransactionId;
+};
+
+// Read the stored payment record for a transaction
+const getPaymentRecord = async (merchantTransactionId) => {
+  return getAdapter().get(PAYMENTS_COLLECTION, merchantTransactionId);
+};
+
+// Payment records matching `where`, newest first, as [{ id, data }].
+// Each combination of filters used by the admin API needs a Firestore composite index
+// ending in transactionInfo.createdAt descending.
+const listPaymentRecords = async ({ where = [], limit, startAfter } = {}) => {
+  return getAdapter().list(PAYMENTS_COLLECTION, {
+    where,
+    orderBy: 'transactionInfo.createdAt',
+    direction: 'desc',
+    limit,
+    startAfter
+  });
+};
+
+// Merge top-level fields into an existing payment record
+const updatePaymentRecord = async (merchantTransactionId, changes) => {
+  return getAdapter().update(PAYMENTS_COLLECTION, merchantTransactionId, changes);
+};
+
+// Atomically claim the right to complete an order. Only the first caller - across
+// every instance sharing the store - gets true; everyone else gets false. A PROCESSING claim
+// expires after COMPLETION_LEASE_SECONDS, so an instance dying mid-run can't block the order.
+const claimCompletion = async (merchantTransactionId, provider) => {
+  try {
+    await getAdapter().create(COMPLETIONS_COLLECTION, merchantTransactionId, {
+      merchantTransactionId,
+      provider,
+      status: 'PROCESSING',
+      claimedAt: new Date().toISOString(),
+      expireAt: new Date(Date.now() + COMPLETION_LEASE_SECONDS * 1000).toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const getCompletion = async (merchantTransactionId) => {
+  return getAdapter().get(COMPLETIONS_COLLECTION, merchantTransactionId);
+};
+
+// A finished completion is kept for good
+const saveCompletionResult = async (merchantTransactionId, result) => {
+  return getAdapter().update(COMPLETIONS_COLLECTION, merchantTransactionId, {
+    ...result,
+    status: 'DONE',
+    finishedAt: new Date().toISOString(),
+    expireAt: null
+  });
+};
+
+// Give up a claim whose run failed, so the next verify, webhook or reconcile can retry it
+const releaseCompletion = async (merchantTransactionId) => {
+  return getAdapter().delete(COMPLETIONS_COLLECTION, merchantTransactionId);
+};
+
+// Take the lock on an order's refund history for `ttlSeconds`. Only one caller - across every
+// instance sharing the store - holds it at a time; a caller that crashes loses it when it expires.
+const acquireRefundLock = async (merchantTransactionId, ttlSeconds) => {
+  try {
+    await getAdapter().create(REFUND_LOCKS_COLLECTION, merchantTransactionId, {
+      merchantTransactionId,
+      acquiredAt: new Date().toISOString(),
+      expireAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const releaseRefundLock = async (merchantTransactionId) => {
+  return getAdapter().delete(REFUND_LOCKS_COLLECTION, merchantTransactionId);
+};
+
+module.exports = {
+  ORDERS_COLLECTION,
+  PAYMENTS_COLLECTION,
+  COMPLETIONS_COLLECTION,
+  emailKey,
+  createOrder,
+  getOrder,
+  listOrders,
+  updateOrder,
+  transitionOrder,
+  savePaymentRecord,
+  getPaymentRecord,
+  listPaymentRecords,
+  updatePaymentRecord,
+  claimCompletion,
+  getCompletion,
+  saveCompletionResult,
+  releaseCompletion,
+  acquireRefundLock,
+  releaseRefundLock
+};
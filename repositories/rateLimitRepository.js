@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+const { getAdapter } = require('./adapters');
+
+const COUNTERS_COLLECTION = 'rateLimits';
+
+// Count one request against a fixed window. Keys contain emails and phone numbers,
+// so only their hash is stored. Counters delete themselves when the window ends.
+const incrementCounter = async (key, windowStart, windowEnd) => {
+  const id = `${crypto.createHash('sha256').update(key).digest('hex')}_${windowStart}`;
+  return getAdapter().increment(COUNTERS_COLLECTION, id, 'count', { expireAt: new Date(windowEnd).toISOString() });
+};
+
+module.exports = { COUNTERS_COLLECTION, incrementCounter };
@@ -0,0 +1,59 @@
+const { getAdapter } = require('./adapters');
+
+const RUNS_COLLECTION = 'reconciliationRuns';
+const LOCKS_COLLECTION = 'reconciliationLocks';
+const CURSORS_COLLECTION = 'reconciliationCursors';
+
+// Run reports are kept this long
+const RUN_TTL_DAYS = 90;
+
+// Only one reconciliation runs at a time across every instance; the lock expires on its
+// own if the run dies, so a crashed run can't block the next one
+const acquireRunLock = async (ttlSeconds) => {
+  try {
+    await getAdapter().create(LOCKS_COLLECTION, 'run', {
+      acquiredAt: new Date().toISOString(),
+      expireAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+const releaseRunLock = async () => {
+  return getAdapter().delete(LOCKS_COLLECTION, 'run');
+};
+
+// Where the previous run stopped in a group of orders, as a listOrders cursor ({ value, id }),
+// so each run picks up the next batch instead of checking the oldest orders again
+const getCursor = async (group) => {
+  const doc = await getAdapter().get(CURSORS_COLLECTION, group);
+  return doc ? doc.startAfter : null;
+};
+
+// Pass null once a group has been checked to the end, so the next run starts over
+const saveCursor = async (group, startAfter) => {
+  if (!startAfter) return getAdapter().delete(CURSORS_COLLECTION, group);
+  return getAdapter().set(CURSORS_COLLECTION, group, { startAfter, updatedAt: new Date().toISOString() });
+};
+
+const saveRun = async (run) => {
+  return getAdapter().set(RUNS_COLLECTION, run.id, {
+    ...run,
+    expireAt: new Date(Date.now() + RUN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+};
+
+const getRun = async (runId) => {
+  return getAdapter().get(RUNS_COLLECTION, runId);
+};
+
+// Most recent runs first
+const listRuns = async (limit) => {
+  const entries = await getAdapter().list(RUNS_COLLECTION, { orderBy: 'startedAt', direction: 'desc', limit });
+  return entries.map(({ data }) => data);
+};
+
+module.exports = { RUNS_COLLECTION, acquireRunLock, releaseRunLock, getCursor, saveCursor, saveRun, getRun, listRuns };
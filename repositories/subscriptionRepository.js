@@ -0,0 +1,53 @@
+const { getAdapter } = require('./adapters');
+
+const SUBSCRIPTIONS_COLLECTION = 'subscriptions';
+const CHARGES_COLLECTION = 'subscriptionCharges';
+
+// Save a freshly created subscription - unlike orders these never expire
+const createSubscription = async (subscription) => {
+  return getAdapter().create(SUBSCRIPTIONS_COLLECTION, subscription.subscriptionId, subscription);
+};
+
+// Look up a subscription by our subscriptionId - returns null when unknown
+const getSubscription = async (subscriptionId) => {
+  return getAdapter().get(SUBSCRIPTIONS_COLLECTION, subscriptionId);
+};
+
+// Merge changes into a subscription and return the updated subscription
+const updateSubscription = async (subscriptionId, changes) => {
+  return getAdapter().update(SUBSCRIPTIONS_COLLECTION, subscriptionId, {
+    ...changes,
+    updatedAt: changes.updatedAt || new Date().toISOString()
+  });
+};
+
+// Record a renewal charge once. Keyed by the provider's payment ID so a retried
+// webhook returns false instead of counting the same charge twice.
+const claimCharge = async (chargeId, charge) => {
+  try {
+    await getAdapter().create(CHARGES_COLLECTION, chargeId, {
+      ...charge,
+      chargeId,
+      recordedAt: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+// Forget a charge whose recording failed, so the gateway's webhook retry records it again
+const releaseCharge = async (chargeId) => {
+  return getAdapter().delete(CHARGES_COLLECTION, chargeId);
+};
+
+module.exports = {
+  SUBSCRIPTIONS_COLLECTION,
+  CHARGES_COLLECTION,
+  createSubscription,
+  getSubscription,
+  updateSubscription,
+  claimCharge,
+  releaseCharge
+};
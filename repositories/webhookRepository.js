@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { getAdapter } = require('./adapters');
+
+const RECEIPTS_COLLECTION = 'webhookReceipts';
+const REJECTIONS_COLLECTION = 'webhookRejections';
+
+// How long rejected deliveries are kept around for inspection
+const REJECTION_TTL_DAYS = 30;
+
+const receiptId = (provider, deliveryKey) => `${provider}_${crypto.createHash('sha256').update(deliveryKey).digest('hex')}`;
+
+// Remember a delivery until `ttlSeconds` from now. Returns false when the same
+// delivery was already seen, so callers can drop replays.
+const recordReceipt = async (provider, deliveryKey, ttlSeconds) => {
+  try {
+    await getAdapter().create(RECEIPTS_COLLECTION, receiptId(provider, deliveryKey), {
+      provider,
+      receivedAt: new Date().toISOString(),
+      expireAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'ALREADY_EXISTS') return false;
+    throw error;
+  }
+};
+
+// Forget a delivery we failed to handle, so the provider's retry of it is accepted
+const forgetReceipt = async (provider, deliveryKey) => {
+  return getAdapter().delete(RECEIPTS_COLLECTION, receiptId(provider, deliveryKey));
+};
+
+// Keep a record of every webhook we refused and why
+const recordRejection = async (provider, details) => {
+  const id = crypto.randomUUID();
+  const receivedAt = new Date();
+
+  await getAdapter().set(REJECTIONS_COLLECTION, id, {
+    id,
+    provider,
+    ...details,
+    receivedAt: receivedAt.toISOString(),
+    expireAt: new Date(receivedAt.getTime() + REJECTION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+  return id;
+};
+
+module.exports = { recordReceipt, forgetReceipt, recordRejection };
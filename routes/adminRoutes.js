@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const reportController = require('../controllers/reportController');
+const reconciliationController = require('../controllers/reconciliationController');
+const merchantWebhookController = require('../controllers/merchantWebhookController');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validateRequest');
+const schemas = require('../validation/schemas');
+const { tagOrder } = require('../middleware/requestContext');
+
+// Every admin route needs the ADMIN_API_KEY, and checks its input like the rest of the API
+// (bad fields get a 422 listing each one, see middleware/validateRequest)
+router.use(adminAuth);
+router.param('merchantTransactionId', tagOrder);
+
+// Payment search and details
+router.get('/payments', validate(schemas.adminPayments), adminController.listPayments);
+router.get('/payments/:merchantTransactionId', validate(schemas.byTransaction), adminController.getPayment);
+
+// Manual order management
+router.post('/payments/:merchantTransactionId/notes', validate(schemas.adminNote), adminController.addNote);
+router.post('/payments/:merchantTransactionId/fulfill', validate(schemas.fulfilOrder), adminController.markFulfilled);
+
+// One-off maintenance: lower-cased email keys on payment records saved before they existed
+router.post('/maintenance/email-keys', validate(schemas.backfillEmailKeys), adminController.backfillEmailKeys);
+
+// Finance reports - JSON, or CSV with ?format=csv
+router.get('/reports/revenue', validate(schemas.periodReport), reportController.getRevenueReport);
+router.get('/reports/conversion', validate(schemas.periodReport), reportController.getConversionReport);
+router.get('/reports/failures', validate(schemas.rangeReport), reportController.getFailureReport);
+
+// Reconciliation run reports
+router.get('/reconciliation/runs', validate(schemas.reconciliationRuns), reconciliationController.listRuns);
+router.get('/reconciliation/runs/:runId', validate(schemas.reconciliationRun), reconciliationController.getRun);
+
+// Outbound merchant webhooks - delivery log and manual resend
+router.get('/webhooks/deliveries', validate(schemas.webhookDeliveries), merchantWebhookController.listDeliveries);
+router.get('/webhooks/deliveries/:deliveryId', validate(schemas.webhookDelivery), merchantWebhookController.getDelivery);
+router.post('/webhooks/deliveries/:deliveryId/resend', validate(schemas.webhookDelivery), merchantWebhookController.resendDelivery);
+
+module.exports = router;
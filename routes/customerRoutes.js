@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const customerAuth = require('../middleware/customerAuth');
+const validate = require('../middleware/validateRequest');
+const schemas = require('../validation/schemas');
+
+// Every customer route needs a Firebase Auth ID token
+router.use(customerAuth);
+
+// Payment history with invoices
+router.get('/payments', validate(schemas.customerPayments), customerController.listPayments);
+
+// Invoice download - only for the customer the payment belongs to
+router.get('/payments/:merchantTransactionId/invoice', validate(schemas.byTransaction), customerController.getInvoice);
+
+module.exports = router;
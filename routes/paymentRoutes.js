@@ -1,20 +1,74 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const subscriptionController = require('../controllers/subscriptionController');
+const outboxController = require('../controllers/outboxController');
+const reconciliationController = require('../controllers/reconciliationController');
+const verifyCashfreeWebhook = require('../middleware/verifyCashfreeWebhook');
+const verifyStripeWebhook = require('../middleware/verifyStripeWebhook');
+const adminAuth = require('../middleware/adminAuth');
+const cronAuth = require('../middleware/cronAuth');
+const validate = require('../middleware/validateRequest');
+const { tagOrder } = require('../middleware/requestContext');
+const { byIp, byCustomer } = require('../middleware/rateLimit');
+const idempotency = require('../middleware/idempotency');
+const requireProvider = require('../middleware/requireProvider');
+const schemas = require('../validation/schemas');
+
+router.param('merchantTransactionId', tagOrder);
 
 // Health check route
 router.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Payment API is working' });
 });
 
+// Plan catalog
+router.get('/plans', validate(schemas.planCatalog), paymentController.getPlans);
+router.post('/apply-coupon', validate(schemas.applyCoupon), paymentController.applyCoupon);
+
+// Routes below validate their input first - bad fields get a 422 listing each one (see middleware/validateRequest).
+// Checkouts are rate limited per IP and per customer (see config/rateLimits.js), and accept an
+// Idempotency-Key header so a retried or double-clicked checkout returns the first order.
+// Gateway routes answer 503 while their gateway isn't configured (see config/env.js).
+
 // PhonePe routes - matching frontend calls
-router.post('/initiate-phonepe', paymentController.initiatePhonePePayment);
-router.post('/phonepe-callback', paymentController.phonePeCallback);
-router.get('/verify-phonepe/:merchantTransactionId', paymentController.verifyPhonePePayment);
+router.post('/initiate-phonepe', requireProvider('phonepe'), byIp, validate(schemas.initiatePayment), idempotency('initiate-phonepe'), byCustomer, paymentController.initiatePhonePePayment);
+router.post('/phonepe-callback', requireProvider('phonepe'), validate(schemas.webhook), paymentController.phonePeCallback);
+router.get('/verify-phonepe/:merchantTransactionId', requireProvider('phonepe'), validate(schemas.byTransaction), paymentController.verifyPhonePePayment);
 
 // Cashfree routes
-router.post('/initiate-cashfree', paymentController.initiateCashfreePayment);
-router.get('/verify-cashfree/:merchantTransactionId', paymentController.verifyCashfreePayment);
-router.post('/cashfree-webhook', paymentController.cashfreeWebhook);
+router.post('/initiate-cashfree', requireProvider('cashfree'), byIp, validate(schemas.initiatePayment), idempotency('initiate-cashfree'), byCustomer, paymentController.initiateCashfreePayment);
+router.get('/verify-cashfree/:merchantTransactionId', requireProvider('cashfree'), validate(schemas.byTransaction), paymentController.verifyCashfreePayment);
+router.post('/cashfree-webhook', requireProvider('cashfree'), verifyCashfreeWebhook, validate(schemas.webhook), paymentController.cashfreeWebhook);
+
+// Stripe routes - Checkout Sessions for international customers
+router.post('/initiate-stripe', requireProvider('stripe'), byIp, validate(schemas.initiatePayment), idempotency('initiate-stripe'), byCustomer, paymentController.initiateStripePayment);
+router.get('/verify-stripe/:merchantTransactionId', requireProvider('stripe'), validate(schemas.byTransaction), paymentController.verifyStripePayment);
+router.post('/stripe-webhook', requireProvider('stripe'), verifyStripeWebhook, validate(schemas.webhook), paymentController.stripeWebhook);
+
+// Subscription routes - recurring hosting plans
+router.post('/subscriptions/initiate-cashfree', requireProvider('cashfree'), byIp, validate(schemas.initiateSubscription), idempotency('subscriptions/initiate-cashfree'), byCustomer, subscriptionController.initiateCashfreeSubscription);
+router.post('/subscriptions/cashfree-webhook', requireProvider('cashfree'), verifyCashfreeWebhook, validate(schemas.webhook), subscriptionController.cashfreeSubscriptionWebhook);
+// Public callers only see the stored status; the admin key adds customer details and a gateway refresh
+router.get('/subscriptions/:subscriptionId', validate(schemas.bySubscription), subscriptionController.getSubscription);
+router.post('/subscriptions/:subscriptionId/cancel', adminAuth, validate(schemas.cancelSubscription), subscriptionController.cancelSubscription);
+
+// Outbox - retried side effects. Vercel Cron calls the drain route on a schedule (see vercel.json)
+router.get('/outbox/drain', cronAuth, validate(schemas.drainOutbox), outboxController.drainOutbox);
+router.post('/outbox/drain', cronAuth, validate(schemas.drainOutbox), outboxController.drainOutbox);
+router.get('/outbox/dead-letters', adminAuth, validate(schemas.deadLetters), outboxController.listDeadLetters);
+router.post('/outbox/:jobId/replay', adminAuth, validate(schemas.replayJob), outboxController.replayJob);
+
+// Reconciliation - settle orders whose customers never came back to the status page
+router.get('/reconcile', cronAuth, validate(schemas.reconcile), reconciliationController.runReconciliation);
+router.post('/reconcile', cronAuth, validate(schemas.reconcile), reconciliationController.runReconciliation);
+
+// Invoice download for completed orders (admin only). The PDF carries the buyer's contact and tax
+// details, so customers download theirs from /api/customer/payments/:merchantTransactionId/invoice.
+router.get('/:merchantTransactionId/invoice', adminAuth, validate(schemas.byTransaction), paymentController.getInvoice);
+
+// Refund routes (admin only)
+router.post('/:merchantTransactionId/refund', adminAuth, validate(schemas.refundPayment), paymentController.refundPayment);
+router.get('/:merchantTransactionId/refunds/:refundId', adminAuth, validate(schemas.refundStatus), paymentController.getRefundStatus);
 
 module.exports = router;
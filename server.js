@@ -0,0 +1,10 @@
+// Local server - Vercel imports index.js directly, everywhere else `npm start` runs this
+const app = require('./index');
+const { getConfig } = require('./config/env');
+const { logger } = require('./services/logger');
+
+const { port } = getConfig();
+
+app.listen(port, () => {
+  logger.info('Server listening', { port });
+});
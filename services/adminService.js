@@ -0,0 +1,214 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const customerRepository = require('../repositories/customerRepository');
+const { logOrderEvent, buildTimeline } = require('./orderTimeline');
+const { LEGACY_STATUSES, SETTLED_STATUSES, normalizeStatus } = require('./orderStateMachine');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Request fields are checked by the admin route schemas (validation/schemas.js) before they get here
+const adminError = (code, message, field) => {
+  const error = new Error(message);
+  error.code = code;
+  if (field) error.field = field;
+  return error;
+};
+
+// A status plus the ones stored before the lifecycle was unified, so a status filter still finds old records
+const storedStatuses = (status) => [status, ...Object.keys(LEGACY_STATUSES).filter((legacy) => LEGACY_STATUSES[legacy] === status)];
+
+// Cursors are the createdAt and ID of the last record on a page, base64url-encoded
+const encodeCursor = (id, createdAt) => Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string') throw new Error('bad cursor');
+    return { value, id };
+  } catch (error) {
+    throw adminError('INVALID_REQUEST', 'is not a cursor from a previous page', 'cursor');
+  }
+};
+
+// Where each filter lives in a payment record and in an order
+const PAYMENT_FIELDS = {
+  status: 'transactionInfo.status',
+  provider: 'transactionInfo.paymentMethod',
+  ecommPlan: 'planDetails.ecommPlan',
+  hostingPlan: 'planDetails.hostingPlan',
+  email: 'customerInfo.email',
+  createdAt: 'transactionInfo.createdAt'
+};
+
+const ORDER_FIELDS = {
+  status: 'status',
+  provider: 'paymentMethod',
+  ecommPlan: 'ecommPlan',
+  hostingPlan: 'hostingPlan',
+  email: 'customerEmail',
+  createdAt: 'createdAt'
+};
+
+// Turn the list query string into store filters on `fields`
+const buildFilters = ({ status, provider, ecommPlan, hostingPlan, email, from, to }, fields) => {
+  const where = [];
+
+  if (status) where.push([fields.status, 'in', storedStatuses(String(status).toUpperCase())]);
+  if (provider) where.push([fields.provider, '==', String(provider).toLowerCase()]);
+  if (ecommPlan) where.push([fields.ecommPlan, '==', String(ecommPlan)]);
+  if (hostingPlan) where.push([fields.hostingPlan, '==', String(hostingPlan)]);
+  if (email) where.push([fields.email, '==', String(email).trim()]);
+  if (from) where.push([fields.createdAt, '>=', new Date(from).toISOString()]);
+  if (to) where.push([fields.createdAt, '<', new Date(to).toISOString()]);
+
+  return where;
+};
+
+const summarizePayment = ({ id, data }) => ({
+  merchantTransactionId: id,
+  customer: data.customerInfo,
+  amount: data.transactionInfo.amount,
+  currency: data.transactionInfo.currency || 'INR',
+  status: normalizeStatus(data.transactionInfo.status),
+  provider: data.transactionInfo.paymentMethod,
+  plan: data.planDetails,
+  createdAt: data.transactionInfo.createdAt,
+  subscriptionId: data.subscriptionInfo ? data.subscriptionInfo.id : null,
+  invoiceNumber: data.invoice ? data.invoice.invoiceNumber : null,
+  refundSummary: data.refundSummary || null,
+  fulfilledAt: data.fulfilment ? data.fulfilment.fulfilledAt : null
+});
+
+// Same shape for an order that never got a payment record
+const summarizeOrder = ({ id, data }) => ({
+  merchantTransactionId: id,
+  customer: { name: data.customerName || '', email: data.customerEmail || '', phone: data.customerPhone || '' },
+  amount: data.amount,
+  currency: data.currency || 'INR',
+  status: normalizeStatus(data.status),
+  provider: data.paymentMethod,
+  plan: { ecommPlan: data.ecommPlan || '', hostingPlan: data.hostingPlan || '' },
+  createdAt: data.createdAt,
+  subscriptionId: null,
+  invoiceNumber: null,
+  refundSummary: data.refundSummary || null,
+  fulfilledAt: data.fulfilment ? data.fulfilment.fulfilledAt : null
+});
+
+// Payment records are only written once an order is paid, so unpaid statuses are looked up in
+// the orders themselves
+const searchSource = (status) => {
+  if (status && !SETTLED_STATUSES.includes(String(status).toUpperCase())) {
+    return { fields: ORDER_FIELDS, list: paymentRepository.listOrders, summarize: summarizeOrder, createdAt: (data) => data.createdAt };
+  }
+  return { fields: PAYMENT_FIELDS, list: paymentRepository.listPaymentRecords, summarize: summarizePayment, createdAt: (data) => data.transactionInfo.createdAt };
+};
+
+// Page through payments, newest first. Filters: status, provider, ecommPlan, hostingPlan,
+// email, from (inclusive) and to (exclusive); pass the previous page's nextCursor to continue.
+const listPayments = async (query = {}) => {
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const source = searchSource(query.status);
+  const where = buildFilters(query, source.fields);
+
+  // Fetch one extra record to know whether there is another page
+  const entries = await source.list({
+    where,
+    direction: 'desc',
+    limit: limit + 1,
+    startAfter: query.cursor ? decodeCursor(query.cursor) : undefined
+  });
+
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    payments: page.map(source.summarize),
+    nextCursor: entries.length > limit ? encodeCursor(last.id, source.createdAt(last.data)) : null
+  };
+};
+
+// Add customerInfo.emailKey to a page of payment records saved before it existed, so customers
+// find them whatever case they typed their email in. Records not linked to a customer yet are
+// linked to the one their email belongs to, since that customer's history may already have been
+// gathered without them. Run until nextCursor comes back null.
+const backfillEmailKeys = async (query = {}) => {
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const entries = await paymentRepository.listPaymentRecords({
+    limit,
+    startAfter: query.cursor ? decodeCursor(query.cursor) : undefined
+  });
+
+  const missing = entries.filter(({ data }) => data.customerInfo && data.customerInfo.emailKey === undefined);
+  for (const { id, data } of missing) {
+    const changes = { customerInfo: { ...data.customerInfo, emailKey: paymentRepository.emailKey(data.customerInfo.email) } };
+    const customerId = data.customerId ? null : await customerRepository.findCustomerIdByKey('email', data.customerInfo.email);
+    if (customerId) changes.customerId = customerId;
+    await paymentRepository.updatePaymentRecord(id, changes);
+  }
+
+  const last = entries[entries.length - 1];
+  return {
+    scanned: entries.length,
+    updated: missing.length,
+    nextCursor: entries.length === limit ? encodeCursor(last.id, last.data.transactionInfo.createdAt) : null
+  };
+};
+
+// The payment record, the order behind it and everything that happened to it
+const getPaymentDetails = async (merchantTransactionId) => {
+  const [payment, order] = await Promise.all([
+    paymentRepository.getPaymentRecord(merchantTransactionId),
+    paymentRepository.getOrder(merchantTransactionId)
+  ]);
+
+  if (!payment && !order) {
+    throw adminError('NOT_FOUND', 'Payment not found');
+  }
+
+  return {
+    payment,
+    order,
+    timeline: await buildTimeline(order, merchantTransactionId)
+  };
+};
+
+const requireOrder = async (merchantTransactionId) => {
+  const order = await paymentRepository.getOrder(merchantTransactionId);
+  if (!order) {
+    throw adminError('NOT_FOUND', 'Order not found');
+  }
+  return order;
+};
+
+// Attach a free-text note to an order's timeline
+const addNote = async (merchantTransactionId, { note, author }) => {
+  await requireOrder(merchantTransactionId);
+
+  return logOrderEvent(merchantTransactionId, 'note', { note, author: author || 'admin' });
+};
+
+// Record that a paid order has been delivered (store set up, hosting provisioned).
+// Throws FULFILMENT_NOT_ALLOWED unless the order is paid and not yet fulfilled.
+const markFulfilled = async (merchantTransactionId, { note, author }) => {
+  const text = note || null;
+  const order = await requireOrder(merchantTransactionId);
+
+  if (normalizeStatus(order.status) !== 'SUCCEEDED') {
+    throw adminError('FULFILMENT_NOT_ALLOWED', `Only paid orders can be fulfilled, this one is ${normalizeStatus(order.status)}`);
+  }
+  if (order.fulfilment) {
+    throw adminError('FULFILMENT_NOT_ALLOWED', `Order was already fulfilled at ${order.fulfilment.fulfilledAt}`);
+  }
+
+  const fulfilment = { fulfilledAt: new Date().toISOString(), by: author || 'admin', note: text };
+  const updated = await paymentRepository.updateOrder(merchantTransactionId, { fulfilment });
+
+  if (await paymentRepository.getPaymentRecord(merchantTransactionId)) {
+    await paymentRepository.updatePaymentRecord(merchantTransactionId, { fulfilment });
+  }
+  await logOrderEvent(merchantTransactionId, 'fulfilled', { author: fulfilment.by, note: text });
+
+  return updated;
+};
+
+module.exports = { listPayments, backfillEmailKeys, getPaymentDetails, addNote, markFulfilled };
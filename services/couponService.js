@@ -0,0 +1,135 @@
+const { COUPONS } = require('../config/coupons');
+const couponRepository = require('../repositories/couponRepository');
+const { roundPrice } = require('./money');
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_COUPON';
+  return error;
+};
+
+const normalizeCode = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '');
+const normalizeEmail = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const checkValidityWindow = (coupon, now) => {
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw couponError(`Coupon ${coupon.code} is not active yet`);
+  }
+  if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+    throw couponError(`Coupon ${coupon.code} has expired`);
+  }
+};
+
+const checkUsageLimits = async (coupon, customerEmail) => {
+  if (coupon.maxRedemptions) {
+    const used = await couponRepository.countRedemptions(coupon.code);
+    if (used >= coupon.maxRedemptions) {
+      throw couponError(`Coupon ${coupon.code} has reached its usage limit`);
+    }
+  }
+
+  if (coupon.maxRedemptionsPerCustomer) {
+    if (!customerEmail) {
+      throw couponError(`Coupon ${coupon.code} requires a customer email`);
+    }
+    const usedByCustomer = await couponRepository.countRedemptions(coupon.code, customerEmail);
+    if (usedByCustomer >= coupon.maxRedemptionsPerCustomer) {
+      throw couponError(`Coupon ${coupon.code} has already been used`);
+    }
+  }
+};
+
+// A per-currency coupon amount (flat discount, cap, minimum) in the quote's currency. Quotes that
+// were converted from the base currency convert the base amount at the same rate.
+const amountIn = (amounts, quote) => {
+  if (!amounts) return undefined;
+  if (amounts[quote.currency] !== undefined) return amounts[quote.currency];
+
+  const { exchangeRate } = quote;
+  return exchangeRate && amounts[exchangeRate.from] !== undefined
+    ? roundPrice(amounts[exchangeRate.from] * exchangeRate.rate, quote.currency)
+    : undefined;
+};
+
+const computeDiscount = (coupon, eligibleSubtotal, quote) => {
+  if (coupon.type === 'percentage') {
+    const discount = eligibleSubtotal * coupon.percent / 100;
+    const cap = amountIn(coupon.maxDiscount, quote);
+    return roundPrice(cap !== undefined ? Math.min(discount, cap) : discount, quote.currency);
+  }
+
+  if (coupon.type === 'flat') {
+    const amount = amountIn(coupon.amounts, quote);
+    if (amount === undefined) {
+      throw couponError(`Coupon ${coupon.code} is not available in ${quote.currency}`);
+    }
+    return roundPrice(Math.min(amount, eligibleSubtotal), quote.currency);
+  }
+
+  throw new Error(`Unknown coupon type: ${coupon.type}`);
+};
+
+// Apply a discount code to a quote from pricingService.computeQuote and return the discounted quote.
+// Throws an error with code INVALID_COUPON when the code can't be used for this order.
+const applyCoupon = async (quote, { couponCode, customerEmail }) => {
+  const code = normalizeCode(couponCode);
+  const coupon = COUPONS[code];
+
+  if (!coupon) {
+    throw couponError(`Unknown coupon code: ${couponCode}`);
+  }
+
+  checkValidityWindow(coupon, new Date());
+
+  const minimum = amountIn(coupon.minOrderAmount, quote);
+  if (minimum !== undefined && quote.total < minimum) {
+    throw couponError(`Coupon ${code} needs a minimum order of ${minimum} ${quote.currency}`);
+  }
+
+  // The discount only applies to the plans the coupon covers
+  const eligibleItems = coupon.eligiblePlans
+    ? quote.items.filter((item) => coupon.eligiblePlans.includes(item.planId))
+    : quote.items;
+
+  if (!eligibleItems.length) {
+    throw couponError(`Coupon ${code} doesn't apply to the selected plans`);
+  }
+
+  await checkUsageLimits(coupon, normalizeEmail(customerEmail));
+
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.amount, 0);
+  const discountAmount = computeDiscount(coupon, eligibleSubtotal, quote);
+  const total = roundPrice(quote.total - discountAmount, quote.currency);
+
+  if (total <= 0) {
+    throw couponError(`Coupon ${code} can't cover the full order amount`);
+  }
+
+  return {
+    ...quote,
+    subtotal: quote.total,
+    discount: {
+      code,
+      type: coupon.type,
+      value: coupon.type === 'percentage' ? coupon.percent : amountIn(coupon.amounts, quote),
+      amount: discountAmount
+    },
+    total
+  };
+};
+
+// Count a redemption once its order has been paid
+const recordRedemption = async (order) => {
+  const discount = order.priceSnapshot && order.priceSnapshot.discount;
+  if (!discount) return null;
+
+  return couponRepository.recordRedemption({
+    code: discount.code,
+    merchantTransactionId: order.merchantTransactionId,
+    customerEmail: normalizeEmail(order.customerEmail),
+    discountAmount: discount.amount,
+    currency: order.currency
+  });
+};
+
+module.exports = { applyCoupon, recordRedemption };
@@ -0,0 +1,20 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows as CSV with a header line; `columns` picks and orders the fields
+const toCsv = (columns, rows) => {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
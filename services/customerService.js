@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const customerRepository = require('../repositories/customerRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const invoiceService = require('./invoiceService');
+const { normalizeStatus } = require('./orderStateMachine');
+const { logger } = require('./logger');
+
+// Customers are stored as their own records, shared by every order, subscription and payment
+// they make. A checkout is matched to an existing customer by email only, and the details typed
+// at checkout never add to or overwrite an existing customer's record - nothing about them is
+// verified, so anyone could type someone else's phone number or name. Signed-in customers are
+// found by their Firebase uid or their verified email address.
+// Customer IDs never change and are what gateways get as their customer reference.
+
+const DEFAULT_PAYMENTS_LIMIT = 20;
+
+// Firestore caps `in` filters at 30 values
+const MAX_EMAILS_MATCHED = 30;
+
+const newCustomerId = () => `CUS_${crypto.randomBytes(10).toString('hex').toUpperCase()}`;
+
+// Payment records with any of these email addresses, newest first, whatever case they were typed
+// in. Records are matched on their lower-cased customerInfo.emailKey, and as typed as well for
+// records saved before that existed, until the admin backfill gives them one.
+const listPaymentsByEmail = async (emails, { limit } = {}) => {
+  const typed = [...new Set(emails)].slice(0, MAX_EMAILS_MATCHED);
+  const keys = [...new Set(emails.map((email) => email.trim().toLowerCase()))].slice(0, MAX_EMAILS_MATCHED);
+  const [byKey, asTyped] = await Promise.all([
+    paymentRepository.listPaymentRecords({ where: [['customerInfo.emailKey', 'in', keys]], limit }),
+    paymentRepository.listPaymentRecords({ where: [['customerInfo.email', 'in', typed]], limit })
+  ]);
+
+  const byId = new Map([...byKey, ...asTyped].map((entry) => [entry.id, entry]));
+  const entries = [...byId.values()].sort((a, b) => (a.data.transactionInfo.createdAt < b.data.transactionInfo.createdAt ? 1 : -1));
+  return limit ? entries.slice(0, limit) : entries;
+};
+
+const getCustomerByKey = async (type, value) => {
+  const customerId = await customerRepository.findCustomerIdByKey(type, value);
+  return customerId ? customerRepository.getCustomer(customerId) : null;
+};
+
+// Find the customer behind a checkout's email address, or create one. Resolves to the customer
+// record. A returning customer's record is only marked as seen - the order keeps the details
+// typed for it. details: { name, email, phone, gstin?, stateCode? } - email is required
+const resolveCustomer = async (details) => {
+  // A second pass only happens when a concurrent checkout created the same customer
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const existing = await getCustomerByKey('email', details.email);
+    if (existing) {
+      return customerRepository.updateCustomer(existing.customerId, { lastSeenAt: new Date().toISOString() });
+    }
+
+    const now = new Date().toISOString();
+    const customer = await customerRepository.createCustomer({
+      customerId: newCustomerId(),
+      name: details.name || '',
+      email: details.email,
+      phone: details.phone || null,
+      emails: [details.email],
+      phones: details.phone ? [details.phone] : [],
+      gstin: details.gstin || null,
+      stateCode: details.stateCode || null,
+      createdAt: now,
+      updatedAt: now,
+      lastSeenAt: now
+    });
+
+    if (await customerRepository.claimKey('email', details.email, customer.customerId)) {
+      logger.info('Customer created', { customerId: customer.customerId });
+      return customer;
+    }
+
+    await customerRepository.deleteCustomer(customer.customerId);
+  }
+
+  throw new Error('Could not resolve customer record');
+};
+
+// Payment records written before customer records existed carry only the email typed at
+// checkout. They are linked to the customer the first time the customer asks for their history,
+// matched on the customer's addresses and the verified one they signed in with.
+const linkEarlierPayments = async (customer, verifiedEmail) => {
+  if (customer.earlierPaymentsLinkedAt) return customer;
+
+  const entries = await listPaymentsByEmail(verifiedEmail ? [...customer.emails, verifiedEmail] : customer.emails);
+  const unlinked = entries.filter(({ data }) => !data.customerId);
+  for (const { id } of unlinked) {
+    await paymentRepository.updatePaymentRecord(id, { customerId: customer.customerId });
+  }
+
+  if (unlinked.length) {
+    logger.info('Linked earlier payments to customer', { customerId: customer.customerId, count: unlinked.length });
+  }
+  return customerRepository.updateCustomer(customer.customerId, { earlierPaymentsLinkedAt: new Date().toISOString() });
+};
+
+// The customer a signed-in user is: the one their Firebase uid was linked to, or else the one
+// their verified email address belongs to, which the uid is then linked to. Someone who paid
+// before customer records existed gets one made from their most recent payment; anyone who
+// never paid has none. identity: { uid, email } - email only when Firebase has verified it
+const findCustomerForIdentity = async ({ uid, email }) => {
+  let customer = uid ? await getCustomerByKey('uid', uid) : null;
+  if (customer) return linkEarlierPayments(customer, email);
+
+  if (email) customer = await getCustomerByKey('email', email);
+
+  if (!customer && email) {
+    const [latest] = await listPaymentsByEmail([email], { limit: 1 });
+    if (!latest) return null;
+    const { name, phone } = latest.data.customerInfo;
+    customer = await resolveCustomer({ name, email, phone });
+  }
+  if (!customer) return null;
+
+  if (uid && await customerRepository.claimKey('uid', uid, customer.customerId)) {
+    customer = await customerRepository.updateCustomer(customer.customerId, { firebaseUid: uid });
+  }
+  return linkEarlierPayments(customer, email);
+};
+
+const summarizePayment = ({ id, data }) => ({
+  merchantTransactionId: id,
+  status: normalizeStatus(data.transactionInfo.status),
+  amount: data.transactionInfo.amount,
+  currency: data.transactionInfo.currency || 'INR',
+  paymentMethod: data.transactionInfo.paymentMethod,
+  plan: data.planDetails,
+  createdAt: data.transactionInfo.createdAt,
+  subscriptionId: data.subscriptionInfo ? data.subscriptionInfo.id : null,
+  refundSummary: data.refundSummary || null,
+  invoice: data.invoice
+    ? {
+        invoiceNumber: data.invoice.invoiceNumber,
+        issuedAt: data.invoice.issuedAt,
+        total: data.invoice.total,
+        currency: data.invoice.currency,
+        downloadUrl: `/api/customer/payments/${id}/invoice`
+      }
+    : null
+});
+
+// A signed-in customer's payments with their invoices, newest first
+const listCustomerPayments = async (identity, { limit = DEFAULT_PAYMENTS_LIMIT } = {}) => {
+  const customer = await findCustomerForIdentity(identity);
+  if (!customer) {
+    return { customer: null, payments: [] };
+  }
+
+  const entries = await paymentRepository.listPaymentRecords({ where: [['customerId', '==', customer.customerId]], limit });
+  return {
+    customer: {
+      customerId: customer.customerId,
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone
+    },
+    payments: entries.map(summarizePayment)
+  };
+};
+
+// The invoice PDF for one of a signed-in customer's payments. Someone else's payment is
+// NOT_FOUND, the same as a payment that doesn't exist, so order IDs can't be probed.
+const getCustomerInvoice = async (identity, merchantTransactionId) => {
+  const customer = await findCustomerForIdentity(identity);
+  const [order, record] = await Promise.all([
+    paymentRepository.getOrder(merchantTransactionId),
+    paymentRepository.getPaymentRecord(merchantTransactionId)
+  ]);
+
+  // Payments linked from before customer records existed only carry the ID on the payment record
+  const ownerId = (order && order.customerId) || (record && record.customerId);
+  if (!customer || ownerId !== customer.customerId) {
+    const error = new Error('Invoice not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  return invoiceService.getInvoicePdf(merchantTransactionId);
+};
+
+module.exports = { resolveCustomer, findCustomerForIdentity, listCustomerPayments, getCustomerInvoice };
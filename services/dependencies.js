@@ -0,0 +1,51 @@
+const { getConfig } = require('../config/env');
+
+// Clients for outside services, built from the validated config on first use and shared from
+// then on. Tests swap in fakes with setDependencies() before a handler runs, so nothing talks
+// to Firestore, SMTP or a gateway unless it is meant to.
+//
+//   firestore      Firestore database (repositories/adapters/firestoreAdapter.js)
+//   firebaseAuth   Firebase Auth, for customer ID tokens (middleware/customerAuth.js)
+//   mailTransport  nodemailer transport (notifications/channels/emailChannel.js)
+//   cashfree       Cashfree SDK client
+//   phonepe        PhonePe Standard Checkout client
+//   stripe         axios instance for the Stripe REST API
+
+// Required lazily - the SDKs are only loaded for the services actually used
+const FACTORIES = {
+  firestore: () => require('../config/firebase').getFirestore(),
+  firebaseAuth: () => require('../config/firebase').getAuth(),
+  mailTransport: () => require('./emailService').createMailTransport(getConfig().email),
+  cashfree: () => require('./gatewayClients').createCashfreeClient(getConfig().providers.cashfree),
+  phonepe: () => require('./gatewayClients').createPhonePeClient(getConfig().providers.phonepe),
+  stripe: () => require('./gatewayClients').createStripeClient(getConfig().providers.stripe)
+};
+
+const instances = new Map();
+
+const getDependency = (name) => {
+  if (!FACTORIES[name]) {
+    throw new Error(`Unknown dependency: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, FACTORIES[name]());
+  }
+  return instances.get(name);
+};
+
+// Replace some dependencies, e.g. setDependencies({ mailTransport: fakeTransport })
+const setDependencies = (overrides) => {
+  Object.entries(overrides).forEach(([name, instance]) => {
+    if (!FACTORIES[name]) {
+      throw new Error(`Unknown dependency: ${name}`);
+    }
+    instances.set(name, instance);
+  });
+};
+
+// Forget every client, injected or built, so the next use builds it again
+const resetDependencies = () => {
+  instances.clear();
+};
+
+module.exports = { getDependency, setDependencies, resetDependencies };
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const paymentRepository = require('../repositories/paymentRepository');
+const { getConfig } = require('../config/env');
+
+// Duplicate-order detection: a customer who starts the same checkout again (same provider, plans,
+// price and coupon) while the first is still open gets the first one back instead of a second
+// gateway order. Off unless DUPLICATE_ORDER_WINDOW_MINUTES is set - it's how far back to look.
+//
+// Firestore needs a composite index on (checkoutFingerprint, status, createdAt) for the lookup.
+
+const OPEN_STATUSES = ['INITIATED', 'PENDING'];
+
+const windowMinutes = () => getConfig().orders.duplicateWindowMinutes;
+
+// Hash of everything that makes two checkouts "the same"; stored on every order
+const checkoutFingerprint = (order) => {
+  const parts = [
+    order.paymentMethod,
+    String(order.customerEmail).toLowerCase(),
+    order.customerPhone,
+    order.ecommPlan || '',
+    order.hostingPlan || '',
+    order.billingPeriod,
+    order.currency,
+    order.amount,
+    order.couponCode || '',
+    order.customerGstin || ''
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+};
+
+// Gateway sessions can run out before our order does (PhonePe reports when)
+const stillPayable = (order, now) => !order.providerExpireAt || new Date(order.providerExpireAt).getTime() > now;
+
+// The newest open order with the same fingerprint that the customer can still pay, or null
+const findDuplicateCheckout = async (order) => {
+  const minutes = windowMinutes();
+  if (!minutes) return null;
+
+  const now = Date.now();
+  const entries = await paymentRepository.listOrders({
+    where: [
+      ['checkoutFingerprint', '==', order.checkoutFingerprint],
+      ['status', 'in', OPEN_STATUSES],
+      ['createdAt', '>=', new Date(now - minutes * 60 * 1000).toISOString()]
+    ]
+  });
+
+  return entries
+    .map(({ data }) => data)
+    .reverse()
+    .find((candidate) => candidate.checkoutResponse && stillPayable(candidate, now)) || null;
+};
+
+module.exports = { checkoutFingerprint, findDuplicateCheckout };
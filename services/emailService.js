@@ -0,0 +1,14 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport for outgoing email, built from config.email. Get the shared instance through
+// services/dependencies (as `mailTransport`) so tests can replace it.
+const createMailTransport = ({ host, port, secure, user, password }) => {
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+};
+
+module.exports = { createMailTransport };
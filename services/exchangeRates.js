@@ -0,0 +1,94 @@
+const fs = require('fs/promises');
+const axios = require('axios');
+const { BASE_CURRENCY, getExchangeRateSettings } = require('../config/currencies');
+const { logger } = require('./logger');
+
+// Exchange rates for pricing in currencies the catalog has no price for. Rates come from
+// FX_RATES_URL and are cached for FX_RATES_CACHE_MINUTES; when the URL is unset or fails, the
+// rates file is used instead (see config/currencies.js). Whatever base the source quotes in,
+// rates are handed out as units of a currency per 1 BASE_CURRENCY.
+
+const ratesError = (message) => {
+  const error = new Error(message);
+  error.code = 'RATES_UNAVAILABLE';
+  return error;
+};
+
+// { base, rates, date? } from the source -> { base: BASE_CURRENCY, rates, source, asOf }
+const normalizeRates = (data, source) => {
+  const base = typeof data?.base === 'string' ? data.base.trim().toUpperCase() : '';
+  if (!base || !data.rates || typeof data.rates !== 'object') {
+    throw new Error('expected { "base": "<currency>", "rates": { "<currency>": <rate>, ... } }');
+  }
+
+  const quoted = { [base]: 1 };
+  Object.entries(data.rates).forEach(([code, rate]) => {
+    if (Number(rate) > 0) quoted[code.toUpperCase()] = Number(rate);
+  });
+  if (!quoted[BASE_CURRENCY]) {
+    throw new Error(`has no rate for ${BASE_CURRENCY}`);
+  }
+
+  const rates = {};
+  Object.entries(quoted).forEach(([code, rate]) => {
+    rates[code] = rate / quoted[BASE_CURRENCY];
+  });
+
+  return { base: BASE_CURRENCY, rates, source, asOf: data.asOf || data.date || new Date().toISOString() };
+};
+
+const fetchRates = async ({ url, timeoutMs }) => {
+  const { data } = await axios.get(url, { timeout: timeoutMs });
+  return normalizeRates(data, 'remote');
+};
+
+const readRatesFile = async ({ file }) => normalizeRates(JSON.parse(await fs.readFile(file, 'utf8')), 'file');
+
+// The URL may carry an API key, so it is never logged
+const loadRates = async (settings) => {
+  if (settings.url) {
+    try {
+      return await fetchRates(settings);
+    } catch (error) {
+      logger.warn('Exchange rate source failed, using the rates file', { reason: error.message });
+    }
+  }
+
+  try {
+    return await readRatesFile(settings);
+  } catch (error) {
+    logger.error('Exchange rates file unusable', { file: settings.file, reason: error.message });
+    throw ratesError('Exchange rates are not available');
+  }
+};
+
+let cached = null;
+
+// Current rates, shared by concurrent callers. Throws RATES_UNAVAILABLE when neither the
+// source nor the file can be read; a failed load isn't cached, so the next call tries again.
+const getRates = () => {
+  const now = Date.now();
+  if (!cached || cached.expiresAt <= now) {
+    const settings = getExchangeRateSettings();
+    const promise = loadRates(settings);
+    cached = { promise, expiresAt: now + settings.cacheMinutes * 60 * 1000 };
+    promise.catch(() => {
+      if (cached && cached.promise === promise) cached = null;
+    });
+  }
+  return cached.promise;
+};
+
+// How to convert BASE_CURRENCY amounts into `currency`: { from, to, rate, source, asOf },
+// or null when there is no rate for it
+const getRate = async (currency) => {
+  const { rates, source, asOf } = await getRates();
+  return rates[currency] ? { from: BASE_CURRENCY, to: currency, rate: rates[currency], source, asOf } : null;
+};
+
+// Drop the cached rates, e.g. after FX_RATES_* settings change
+const resetRates = () => {
+  cached = null;
+};
+
+module.exports = { getRates, getRate, resetRates };
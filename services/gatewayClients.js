@@ -0,0 +1,72 @@
+const axios = require('axios');
+const { StandardCheckoutClient, Env } = require('pg-sdk-node');
+const { Cashfree, CFEnvironment } = require('cashfree-pg');
+const { getDependency } = require('./dependencies');
+const { logger } = require('./logger');
+
+// Gateway clients are built here from their config.providers entry and shared through
+// services/dependencies; providers use the get* functions so tests can inject fakes.
+
+// Cashfree client for the sandbox or production environment. CASHFREE_API_BASE can point it at
+// a local mock of the PG API for tests; the SDK's error reporting to Cashfree is off then.
+const createCashfreeClient = ({ environment, clientId, clientSecret, apiBase }) => {
+  const client = new Cashfree(
+    environment === 'production' ? CFEnvironment.PRODUCTION : CFEnvironment.SANDBOX,
+    clientId,
+    clientSecret,
+    undefined,
+    undefined,
+    undefined,
+    !apiBase
+  );
+  if (apiBase) {
+    client.basePath = apiBase;
+  }
+  return client;
+};
+
+// PhonePe SDK client for the sandbox or production environment
+const createPhonePeClient = ({ environment, merchantId, merchantKey }) => {
+  const clientVersion = 1;
+  const env = environment === 'production' ? Env.PRODUCTION : Env.SANDBOX;
+
+  logger.info('PhonePe client created', { environment: environment.toUpperCase() });
+
+  return StandardCheckoutClient.getInstance(merchantId, merchantKey, clientVersion, env);
+};
+
+// Stripe takes form-encoded bodies with nested keys, e.g. line_items[0][price_data][currency]=usd
+const encodeStripeParams = (params, prefix, form = new URLSearchParams()) => {
+  Object.entries(params).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === undefined || value === null) return;
+    if (typeof value === 'object') encodeStripeParams(value, name, form);
+    else form.append(name, String(value));
+  });
+  return form;
+};
+
+// Stripe REST API client. STRIPE_API_BASE can point it at a local mock of the Stripe API for tests.
+const createStripeClient = ({ apiBase, secretKey }) => {
+  return axios.create({
+    baseURL: apiBase,
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    transformRequest: [(data) => (data ? encodeStripeParams(data).toString() : data)]
+  });
+};
+
+const getCashfreeClient = () => getDependency('cashfree');
+const getPhonePeClient = () => getDependency('phonepe');
+const getStripeClient = () => getDependency('stripe');
+
+module.exports = {
+  createCashfreeClient,
+  createPhonePeClient,
+  createStripeClient,
+  getCashfreeClient,
+  getPhonePeClient,
+  getStripeClient
+};
@@ -0,0 +1,114 @@
+const PDFDocument = require('pdfkit');
+const { minorUnits } = require('../config/currencies');
+
+// The built-in PDF fonts have no rupee sign, so amounts carry the currency code instead
+const formatMoney = (amount, currency) => {
+  const decimals = minorUnits(currency);
+  return `${currency} ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+};
+
+const formatDate = (iso) => {
+  return new Date(iso).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const formatState = (state) => (state ? `${state.code} - ${state.name}` : '-');
+
+// Table columns: description, SAC, gross, discount, taxable value
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 50, width: 200, align: 'left' },
+  { key: 'sac', label: 'SAC', x: 255, width: 55, align: 'left' },
+  { key: 'grossAmount', label: 'Amount', x: 310, width: 80, align: 'right', money: true },
+  { key: 'discount', label: 'Discount', x: 390, width: 75, align: 'right', money: true },
+  { key: 'taxableValue', label: 'Taxable value', x: 465, width: 80, align: 'right', money: true }
+];
+
+const drawRow = (doc, y, values, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  let height = 0;
+  COLUMNS.forEach((column) => {
+    const text = String(values[column.key] ?? '');
+    doc.text(text, column.x, y, { width: column.width, align: column.align });
+    height = Math.max(height, doc.heightOfString(text, { width: column.width }));
+  });
+  return y + height + 6;
+};
+
+const drawTotal = (doc, y, label, value, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(label, 310, y, { width: 155, align: 'right' });
+  doc.text(value, 465, y, { width: 80, align: 'right' });
+  return y + 16;
+};
+
+// Render a stored invoice (see invoiceService.buildInvoice) to a PDF buffer
+const renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Tax Invoice ${invoice.invoiceNumber}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const money = (amount) => formatMoney(amount, invoice.currency);
+    const { seller, buyer } = invoice;
+
+    // Seller and invoice header
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', 50, 50, { align: 'right' });
+    doc.font('Helvetica-Bold').fontSize(14).text(seller.name, 50, 50);
+    doc.font('Helvetica').fontSize(9);
+    if (seller.address) doc.text(seller.address, { width: 250 });
+    if (seller.email) doc.text(seller.email);
+    doc.text(`GSTIN: ${seller.gstin}`);
+    doc.text(`State: ${formatState(seller.state)}`);
+
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`, 290, 80, { width: 255, align: 'right' });
+    doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`, 290, 95, { width: 255, align: 'right' });
+    doc.text(`Transaction ID: ${invoice.merchantTransactionId}`, 290, 110, { width: 255, align: 'right' });
+
+    // Buyer details
+    let y = 160;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 10;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', 50, y);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(buyer.name, 50, y + 15);
+    doc.text(buyer.email);
+    if (buyer.phone) doc.text(buyer.phone);
+    if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Place of Supply', 330, y, { width: 215, align: 'right' });
+    doc.font('Helvetica').fontSize(9).text(formatState(invoice.placeOfSupply), 330, y + 15, { width: 215, align: 'right' });
+
+    // Line items
+    y = Math.max(doc.y, y + 45) + 20;
+    y = drawRow(doc, y, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), { bold: true });
+    doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+    invoice.lines.forEach((line) => {
+      y = drawRow(doc, y + 3, {
+        ...line,
+        grossAmount: money(line.grossAmount),
+        discount: line.discount ? money(line.discount) : '-',
+        taxableValue: money(line.taxableValue)
+      });
+    });
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+
+    // Tax split and totals
+    y += 10;
+    y = drawTotal(doc, y, 'Taxable value', money(invoice.taxableValue));
+    invoice.taxes.forEach((tax) => {
+      y = drawTotal(doc, y, `${tax.type} @ ${tax.rate}%`, money(tax.amount));
+    });
+    y = drawTotal(doc, y + 4, 'Total', money(invoice.total), { bold: true });
+
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Paid via ${invoice.paymentMethod || 'online payment'} on ${formatDate(invoice.paidAt)}.`, 50, y + 20);
+    invoice.notes.forEach((note) => doc.text(note));
+    doc.moveDown().fillColor('#777').text('This is a computer generated invoice and does not require a signature.');
+
+    doc.end();
+  });
+};
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,223 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const invoiceRepository = require('../repositories/invoiceRepository');
+const { renderInvoicePdf } = require('./invoicePdf');
+const outboxService = require('./outboxService');
+const { notify } = require('../notifications');
+const { roundAmount } = require('./money');
+const { logger } = require('./logger');
+const { getInvoiceSettings, GSTIN_PATTERN, STATE_CODES } = require('../config/invoice');
+const { BILLING_PERIODS } = require('../config/plans');
+
+// `field` names the request field at fault, for INVALID_REQUEST errors
+const invoiceError = (code, message, field) => {
+  const error = new Error(message);
+  error.code = code;
+  if (field) error.field = field;
+  return error;
+};
+
+// Invoices are dated in IST and numbered per Indian financial year (April to March)
+const istDate = (date) => new Date(date.getTime() + 330 * 60 * 1000);
+
+const financialYear = (date) => {
+  const ist = istDate(date);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const stateFor = (code) => (code && STATE_CODES[code] ? { code, name: STATE_CODES[code] } : null);
+
+// Validate the optional GST details a business customer gives at checkout.
+// Throws an error with code INVALID_REQUEST for a malformed GSTIN or state code.
+const normalizeBuyerTaxDetails = ({ gstin, stateCode } = {}) => {
+  const normalizedGstin = gstin ? String(gstin).trim().toUpperCase() : null;
+  if (normalizedGstin && !GSTIN_PATTERN.test(normalizedGstin)) {
+    throw invoiceError('INVALID_REQUEST', 'Invalid GSTIN', 'customerGstin');
+  }
+
+  const code = normalizedGstin ? normalizedGstin.slice(0, 2) : (stateCode ? String(stateCode).padStart(2, '0') : null);
+  if (code && !STATE_CODES[code]) {
+    throw invoiceError('INVALID_REQUEST', `Unknown GST state code: ${stateCode || code}`, normalizedGstin ? 'customerGstin' : 'customerStateCode');
+  }
+
+  return { customerGstin: normalizedGstin, customerStateCode: code };
+};
+
+// Where the supply is taxed decides the split: CGST + SGST inside the seller's state, IGST
+// across states. Without a billing state on record the supplier's location applies.
+const supplyTypeFor = (order, sellerStateCode) => {
+  if (order.currency !== 'INR') return 'EXPORT';
+  if (!order.customerStateCode || order.customerStateCode === sellerStateCode) return 'INTRA_STATE';
+  return 'INTER_STATE';
+};
+
+// Spread the order discount over the lines in proportion to their price; the last
+// line takes the rounding remainder so the lines always add up to what was paid
+const buildLines = (order) => {
+  const currency = order.currency || 'INR';
+  const items = order.priceSnapshot?.items?.length
+    ? order.priceSnapshot.items
+    : [{ name: 'CraftMyStore services', amount: order.amount }];
+  const gross = items.reduce((sum, item) => sum + item.amount, 0);
+  const discount = order.priceSnapshot?.discount?.amount || 0;
+  const period = BILLING_PERIODS[order.billingPeriod || order.priceSnapshot?.billingPeriod];
+
+  let discountLeft = discount;
+  return items.map((item, index) => {
+    const share = index === items.length - 1 ? discountLeft : roundAmount(discount * (item.amount / gross), currency);
+    discountLeft = roundAmount(discountLeft - share, currency);
+
+    return {
+      description: period ? `${item.name} (${period.name})` : item.name,
+      sac: getInvoiceSettings().sacCode,
+      grossAmount: item.amount,
+      discount: share,
+      netAmount: roundAmount(item.amount - share, currency)
+    };
+  });
+};
+
+// Build the invoice document from a paid order. Prices are tax-inclusive, so the taxable
+// value is backed out of each line and the tax is whatever is left of the total.
+const buildInvoice = (order, { sequence, issuedAt }) => {
+  const currency = order.currency || 'INR';
+  const { seller, gstRatePercent, prefix, exportUnderLut } = getInvoiceSettings();
+  const fy = financialYear(issuedAt);
+  const sellerStateCode = seller.gstin.slice(0, 2);
+  const supplyType = supplyTypeFor(order, sellerStateCode);
+  const rate = supplyType === 'EXPORT' && exportUnderLut ? 0 : gstRatePercent;
+
+  const lines = buildLines(order).map((line) => ({
+    ...line,
+    taxableValue: roundAmount(line.netAmount / (1 + rate / 100), currency)
+  }));
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.netAmount, 0), currency);
+  const taxableValue = roundAmount(lines.reduce((sum, line) => sum + line.taxableValue, 0), currency);
+  const taxTotal = roundAmount(total - taxableValue, currency);
+
+  let taxes;
+  if (supplyType === 'INTRA_STATE') {
+    const cgst = roundAmount(taxTotal / 2, currency);
+    taxes = [
+      { type: 'CGST', rate: rate / 2, amount: cgst },
+      { type: 'SGST', rate: rate / 2, amount: roundAmount(taxTotal - cgst, currency) }
+    ];
+  } else {
+    taxes = [{ type: 'IGST', rate, amount: taxTotal }];
+  }
+
+  const notes = ['Prices are inclusive of GST.'];
+  if (supplyType === 'EXPORT' && exportUnderLut) {
+    notes.push('Supply meant for export under LUT without payment of IGST.');
+  }
+
+  return {
+    invoiceNumber: `${prefix}/${fy}/${String(sequence).padStart(5, '0')}`,
+    financialYear: fy,
+    issuedAt: issuedAt.toISOString(),
+    merchantTransactionId: order.merchantTransactionId,
+    paymentMethod: order.paymentMethod || '',
+    paidAt: order.completedAt || issuedAt.toISOString(),
+    seller: { ...seller, state: stateFor(sellerStateCode) },
+    buyer: {
+      name: order.customerName || '',
+      email: order.customerEmail || '',
+      phone: order.customerPhone || '',
+      gstin: order.customerGstin || null,
+      state: stateFor(order.customerStateCode)
+    },
+    supplyType,
+    placeOfSupply: supplyType === 'EXPORT'
+      ? { code: '96', name: 'Outside India' }
+      : stateFor(order.customerStateCode) || stateFor(sellerStateCode),
+    currency: order.currency || 'INR',
+    lines,
+    taxableValue,
+    taxes,
+    taxTotal,
+    total,
+    notes
+  };
+};
+
+const invoiceFileName = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+// Issue the tax invoice for a completed order, store it on the payment record and queue the
+// receipt email to the customer. Orders only get one invoice - a second call returns the stored one.
+const issueInvoice = async (order) => {
+  const { seller, prefix } = getInvoiceSettings();
+  if (!seller.gstin) {
+    logger.warn('GSTIN is not configured - skipping invoice', { merchantTransactionId: order.merchantTransactionId });
+    return null;
+  }
+
+  const record = await paymentRepository.getPaymentRecord(order.merchantTransactionId);
+  if (!record) {
+    throw invoiceError('NOT_FOUND', `No payment record for ${order.merchantTransactionId}`);
+  }
+  if (record.invoice) {
+    return { invoice: record.invoice, emailSent: Boolean(record.invoice.emailedAt) };
+  }
+
+  // The number is reserved for the order before anything else can fail, so a retry reuses it
+  const now = new Date();
+  const { sequence, issuedAt } = await invoiceRepository.reserveInvoiceNumber(order.merchantTransactionId, {
+    seriesKey: `${prefix}-${financialYear(now)}`,
+    issuedAt: now.toISOString()
+  });
+  const invoice = buildInvoice(order, { sequence, issuedAt: new Date(issuedAt) });
+
+  await paymentRepository.updatePaymentRecord(order.merchantTransactionId, { invoice });
+  logger.info('Invoice issued', { merchantTransactionId: order.merchantTransactionId, invoiceNumber: invoice.invoiceNumber });
+
+  const job = await outboxService.dispatch('invoice.email', { merchantTransactionId: order.merchantTransactionId }, {
+    key: order.merchantTransactionId
+  });
+
+  return { invoice, emailSent: Boolean(job && job.status === 'DONE' && job.result && job.result.emailedAt) };
+};
+
+// Send the invoice.issued notification with the invoice PDF attached and note when it went out.
+// Throws when a delivery fails so the outbox retries it; resolves to the emailedAt timestamp,
+// or null when no recipient is configured.
+const sendInvoiceEmail = async (merchantTransactionId) => {
+  const record = await paymentRepository.getPaymentRecord(merchantTransactionId);
+  if (!record || !record.invoice) {
+    throw invoiceError('NOT_FOUND', `No invoice for ${merchantTransactionId}`);
+  }
+
+  const { invoice } = record;
+  if (invoice.emailedAt) return invoice.emailedAt;
+
+  const order = await paymentRepository.getOrder(merchantTransactionId);
+  const pdf = await renderInvoicePdf(invoice);
+  const { deliveries, delivered, error } = await notify('invoice.issued', { order, invoice }, {
+    attachments: [{ filename: invoiceFileName(invoice), content: pdf, contentType: 'application/pdf' }]
+  });
+
+  const failed = deliveries.filter((delivery) => !delivery.success);
+  if (error || failed.length) {
+    throw new Error(error || failed.map((delivery) => `${delivery.recipient}: ${delivery.error}`).join('; '));
+  }
+  if (!delivered) return null;
+
+  invoice.emailedAt = new Date().toISOString();
+  await paymentRepository.updatePaymentRecord(merchantTransactionId, { invoice });
+  return invoice.emailedAt;
+};
+
+// Render the stored invoice for an order again. Throws NOT_FOUND when none was issued.
+const getInvoicePdf = async (merchantTransactionId) => {
+  const record = await paymentRepository.getPaymentRecord(merchantTransactionId);
+  if (!record || !record.invoice) {
+    throw invoiceError('NOT_FOUND', 'Invoice not found');
+  }
+
+  return {
+    invoice: record.invoice,
+    filename: invoiceFileName(record.invoice),
+    pdf: await renderInvoicePdf(record.invoice)
+  };
+};
+
+module.exports = { normalizeBuyerTaxDetails, buildInvoice, issueInvoice, sendInvoiceEmail, getInvoicePdf };
@@ -0,0 +1,133 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line, so Vercel's log search can filter on any field.
+//   { "time", "level", "msg", "requestId", "merchantTransactionId", ...fields }
+// Every line written while handling a request carries its requestId, and once a handler knows
+// which order it is working on (setOrder) the merchantTransactionId too. Customer
+// details and credentials are masked before anything is written - see redact().
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Read straight from the environment - config/env.js logs through this module, so the logger
+// has to work before the config is loaded. config/env.js still rejects an unknown LOG_LEVEL.
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Keys whose values are never logged
+const SECRET_KEYS = /authorization|cookie|password|secret|token|signature|api[-_]?key|x-verify|payment_session/i;
+// Customer details - masked so a line can still be matched up with a support ticket
+const EMAIL_KEYS = /e-?mail|udf1/i;
+const PHONE_KEYS = /phone|mobile|udf2/i;
+const PERSONAL_KEYS = /^(customer_?name|customer_?gstin|gstin|address|vpa|upi_?id|card_?number)$/i;
+// A plain `name` is only personal inside objects about a person, e.g. Stripe's customer_details.name
+const PERSON_OBJECT_KEYS = /customer|billing|shipping|buyer|payer|holder/i;
+const NAME_KEYS = /^(full_?)?name$/i;
+
+const EMAIL_IN_TEXT = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// Status page links once carried the customer's name, and gateways echo them back
+const CUSTOMER_IN_URL = /([?&]customer=)[^&#\s"]*/g;
+
+const MAX_DEPTH = 6;
+const MAX_STRING = 2000;
+
+const maskEmail = (value) => String(value).replace(EMAIL_IN_TEXT, '$1***@$2');
+
+const maskText = (text) => maskEmail(text).replace(CUSTOMER_IN_URL, '$1[REDACTED]');
+
+const maskPhone = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+};
+
+const truncate = (text) => (text.length > MAX_STRING ? `${text.slice(0, MAX_STRING)}...[truncated]` : text);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  // Gateway SDKs put the useful part of a failed call here
+  response: error.response?.data,
+  details: error.details,
+  stack: error.stack
+});
+
+// Copy a value with sensitive fields masked. Handles errors, circular references and deep nesting.
+// `inPerson` is set below keys like customer_details, where a bare `name` is the customer's.
+const redact = (value, key = '', depth = 0, seen = new WeakSet(), inPerson = false) => {
+  if (value === null || value === undefined) return value;
+
+  if (key && SECRET_KEYS.test(key)) return '[REDACTED]';
+  if (typeof value !== 'object') {
+    if (key && EMAIL_KEYS.test(key)) return maskEmail(value);
+    if (key && PHONE_KEYS.test(key)) return maskPhone(value);
+    if (key && PERSONAL_KEYS.test(key)) return '[REDACTED]';
+    if (inPerson && NAME_KEYS.test(key)) return '[REDACTED]';
+    return typeof value === 'string' ? truncate(maskText(value)) : value;
+  }
+
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  seen.add(value);
+
+  const source = value instanceof Error ? serializeError(value) : value;
+  if (Array.isArray(source)) {
+    return source.map((item) => redact(item, key, depth + 1, seen, inPerson));
+  }
+
+  const aboutPerson = inPerson || PERSON_OBJECT_KEYS.test(key);
+  const copy = {};
+  Object.entries(source).forEach(([field, fieldValue]) => {
+    if (fieldValue !== undefined) copy[field] = redact(fieldValue, field, depth + 1, seen, aboutPerson);
+  });
+  return copy;
+};
+
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  // A bare error as the second argument is logged under `error`
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...redact(extra || {})
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Run `fn` with extra fields on every line it logs, nested inside the current context
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Tag the rest of the current request (or job) with the order it is about
+const setOrder = (merchantTransactionId) => {
+  const store = context.getStore();
+  if (store && merchantTransactionId) store.merchantTransactionId = merchantTransactionId;
+};
+
+const currentContext = () => context.getStore() || {};
+
+module.exports = { logger, runWithContext, setOrder, currentContext, redact };
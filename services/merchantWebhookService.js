@@ -0,0 +1,238 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const merchantWebhookRepository = require('../repositories/merchantWebhookRepository');
+const merchantWebhooks = require('../config/merchantWebhooks');
+const outboxService = require('./outboxService');
+const { normalizeStatus } = require('./orderStateMachine');
+const { logger } = require('./logger');
+
+// Outbound webhooks: payment events are POSTed as signed JSON to the endpoints in
+// config/merchantWebhooks, so the provisioning service can set up the customer's account
+// without anyone reading the admin email. Each event and endpoint pair is one delivery,
+// sent through the outbox so failures are retried with backoff; every attempt is kept
+// in the delivery log, and an admin can resend a delivery by hand.
+//
+// Request headers:
+//   X-Webhook-Event      payment.succeeded, payment.failed or payment.refunded
+//   X-Webhook-Id         the event ID - the same on every retry and resend, for deduplication
+//   X-Webhook-Delivery   the delivery ID, to match a request with the delivery log
+//   X-Webhook-Timestamp  Unix seconds when this attempt was signed
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with MERCHANT_WEBHOOK_SECRET>
+//
+// Receivers should recompute the signature over the raw body, compare it in constant time
+// and reject timestamps more than a few minutes old.
+//
+// Delivery lifecycle: PENDING -> DELIVERED, or PENDING -> RETRYING -> ... -> FAILED once the
+// outbox job runs out of attempts. A resend puts a delivery back to PENDING.
+
+const USER_AGENT = 'CraftMyStore-Webhooks/1.0';
+
+// Only this much of an endpoint's response is kept in the log
+const MAX_RESPONSE_LOG = 500;
+
+const webhookError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// What the provisioning service needs to know about the order, its customer and the plans bought
+const orderData = (order) => {
+  const snapshot = order.priceSnapshot || {};
+
+  return {
+    order: {
+      merchantTransactionId: order.merchantTransactionId,
+      status: normalizeStatus(order.status),
+      amount: order.amount,
+      currency: order.currency || 'INR',
+      paymentMethod: order.paymentMethod || null,
+      couponCode: order.couponCode || null,
+      createdAt: order.createdAt || null,
+      completedAt: order.completedAt || null,
+      failureReason: order.failureReason || null,
+      failureCode: order.failureCode || null
+    },
+    customer: {
+      name: order.customerName || null,
+      email: order.customerEmail || null,
+      phone: order.customerPhone || null,
+      gstin: order.customerGstin || null,
+      stateCode: order.customerStateCode || null
+    },
+    plan: {
+      ecommPlan: order.ecommPlan || null,
+      hostingPlan: order.hostingPlan || null,
+      billingPeriod: order.billingPeriod || snapshot.billingPeriod || null,
+      catalogVersion: snapshot.catalogVersion || null,
+      items: (snapshot.items || []).map(({ type, planId, name, amount }) => ({ type, planId, name, amount })),
+      discount: snapshot.discount || null
+    }
+  };
+};
+
+const buildPayload = (event, eventId, { order, refund, reason }) => {
+  const data = orderData(order);
+  if (reason && !data.order.failureReason) data.order.failureReason = reason;
+  if (refund) {
+    data.refund = {
+      refundId: refund.refundId,
+      amount: refund.amount,
+      status: refund.status,
+      reason: refund.reason || null,
+      createdAt: refund.createdAt || null,
+      fullRefund: refund.amount >= order.amount
+    };
+  }
+
+  return { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+};
+
+// Firestore document IDs can't contain slashes
+const safeId = (value) => String(value).replace(/\//g, '-');
+
+const runDelivery = (delivery, key) => {
+  return outboxService.dispatch('merchant.webhook', {
+    deliveryId: delivery.id,
+    merchantTransactionId: delivery.merchantTransactionId
+  }, { key });
+};
+
+// Queue an event for every configured endpoint. `key` identifies the occurrence (the order ID,
+// or the refund ID for refunds) so the same event is never sent twice. Resolves to the outbox jobs.
+// data: { order, refund?, reason? }
+const emitMerchantEvent = async (event, data, { key }) => {
+  if (!merchantWebhooks.isEventEnabled(event)) return [];
+
+  const endpoints = merchantWebhooks.getEndpoints();
+  if (!endpoints.length) return [];
+
+  const eventId = safeId(`${event}_${key}`);
+  const payload = buildPayload(event, eventId, data);
+  const jobs = [];
+
+  for (const endpoint of endpoints) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: `${eventId}_${endpoint.id}`,
+      eventId,
+      event,
+      endpointId: endpoint.id,
+      endpointOrigin: new URL(endpoint.url).origin,
+      merchantTransactionId: data.order.merchantTransactionId,
+      payload,
+      status: 'PENDING',
+      attempts: [],
+      attemptCount: 0,
+      resends: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await merchantWebhookRepository.createDelivery(delivery);
+    jobs.push(await runDelivery(delivery, delivery.id));
+  }
+
+  return jobs;
+};
+
+// Send a delivery once. Throws when the endpoint doesn't answer with a 2xx, so the outbox
+// retries it; `job` tells us whether this was the last attempt.
+const deliver = async (deliveryId, job) => {
+  const delivery = await merchantWebhookRepository.getDelivery(deliveryId);
+  if (!delivery) {
+    throw new Error(`Merchant webhook delivery ${deliveryId} not found`);
+  }
+  if (delivery.status === 'DELIVERED') {
+    return { statusCode: null, alreadyDelivered: true };
+  }
+
+  const endpoint = merchantWebhooks.getEndpoint(delivery.endpointId);
+  if (!endpoint) {
+    throw new Error(`Merchant webhook endpoint ${delivery.endpointId} is no longer configured`);
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptedAt = new Date().toISOString();
+  const startedAt = Date.now();
+  const attempt = { attemptedAt, statusCode: null, durationMs: null, error: null, response: null };
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(merchantWebhooks.getSecret(), timestamp, body)}`
+      },
+      timeout: merchantWebhooks.getTimeoutMs(),
+      maxRedirects: 0,
+      // Every status is recorded; only 2xx counts as delivered
+      validateStatus: () => true,
+      transformResponse: [(data) => data]
+    });
+    attempt.statusCode = response.status;
+    attempt.response = typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_LOG) : null;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  if (!attempt.error) {
+    await merchantWebhookRepository.recordAttempt(deliveryId, attempt, { status: 'DELIVERED', deliveredAt: attemptedAt, lastError: null });
+    logger.info('Merchant webhook delivered', { deliveryId, event: delivery.event, statusCode: attempt.statusCode, durationMs: attempt.durationMs });
+    return { statusCode: attempt.statusCode };
+  }
+
+  const lastAttempt = job && job.attempts + 1 >= job.maxAttempts;
+  await merchantWebhookRepository.recordAttempt(deliveryId, attempt, {
+    status: lastAttempt ? 'FAILED' : 'RETRYING',
+    lastError: attempt.error
+  });
+  throw new Error(attempt.error);
+};
+
+const listDeliveries = async ({ merchantTransactionId, status, limit = 50 } = {}) => {
+  return merchantWebhookRepository.listDeliveries({ merchantTransactionId, status, limit });
+};
+
+const getDelivery = async (deliveryId) => {
+  const delivery = await merchantWebhookRepository.getDelivery(deliveryId);
+  if (!delivery) {
+    throw webhookError('NOT_FOUND', 'Webhook delivery not found');
+  }
+  return delivery;
+};
+
+// Send a delivery again with its original payload and event ID, whatever its status - e.g. after
+// the provisioning service lost it. Runs straight away; failures are retried like the first send.
+const resendDelivery = async (deliveryId) => {
+  const delivery = await getDelivery(deliveryId);
+  if (!merchantWebhooks.getEndpoint(delivery.endpointId)) {
+    throw webhookError('ENDPOINT_NOT_CONFIGURED', 'The endpoint this delivery was sent to is no longer configured');
+  }
+
+  const resends = (delivery.resends || 0) + 1;
+  await merchantWebhookRepository.updateDelivery(deliveryId, {
+    status: 'PENDING',
+    resends,
+    resentAt: new Date().toISOString()
+  });
+
+  const job = await runDelivery(delivery, `${delivery.id}_resend${resends}`);
+  logger.info('Merchant webhook resent', { deliveryId, resends, jobStatus: job.status });
+  return { delivery: await merchantWebhookRepository.getDelivery(deliveryId), job };
+};
+
+module.exports = { emitMerchantEvent, deliver, listDeliveries, getDelivery, resendDelivery, buildPayload, sign };
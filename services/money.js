@@ -0,0 +1,31 @@
+const { minorUnits } = require('../config/currencies');
+
+// Amounts are kept in major units (rupees, dollars, yen) and rounded to what their currency
+// can express: 2 decimals for INR and USD, none for JPY, 3 for KWD (see config/currencies.js).
+// Gateways that take integer minor units convert at the edge with toMinorUnits/fromMinorUnits.
+
+const roundAmount = (amount, currency) => {
+  const factor = 10 ** minorUnits(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+// Prices never go finer than whole cents, so three-decimal currencies are quoted in multiples
+// of 10 (fils, baisa) - the smallest step every gateway will charge
+const priceDecimals = (currency) => Math.min(minorUnits(currency), 2);
+
+const roundPrice = (amount, currency) => {
+  const factor = 10 ** priceDecimals(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+// `exponent` overrides the ISO 4217 minor units for gateways that count a currency differently
+const toMinorUnits = (amount, currency, exponent = minorUnits(currency)) => Math.round(amount * 10 ** exponent);
+
+const fromMinorUnits = (amount, currency, exponent = minorUnits(currency)) => {
+  return typeof amount === 'number' ? amount / 10 ** exponent : null;
+};
+
+// Major-unit amount as a plain decimal string with the currency's decimals, e.g. "2249.10"
+const formatAmount = (amount, currency) => Number(amount).toFixed(minorUnits(currency));
+
+module.exports = { roundAmount, priceDecimals, roundPrice, toMinorUnits, fromMinorUnits, formatAmount };
@@ -0,0 +1,70 @@
+// Canonical order lifecycle shared by every payment provider.
+//
+//   CREATED -> INITIATED -> PENDING -> SUCCEEDED -> REFUNDED
+//                  |           |
+//                  +-----------+-----> FAILED / EXPIRED
+//
+// FAILED and EXPIRED orders may still move to SUCCEEDED: a provider can settle a payment
+// after we gave up on it (late webhook, reconciliation), and the customer has been charged.
+
+const ORDER_STATUSES = {
+  CREATED: 'CREATED',
+  INITIATED: 'INITIATED',
+  PENDING: 'PENDING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED',
+  REFUNDED: 'REFUNDED'
+};
+
+const TRANSITIONS = {
+  CREATED: ['INITIATED', 'FAILED'],
+  INITIATED: ['PENDING', 'SUCCEEDED', 'FAILED', 'EXPIRED'],
+  PENDING: ['SUCCEEDED', 'FAILED', 'EXPIRED'],
+  SUCCEEDED: ['REFUNDED'],
+  FAILED: ['SUCCEEDED'],
+  EXPIRED: ['SUCCEEDED'],
+  REFUNDED: []
+};
+
+// Statuses written before the lifecycle was unified
+const LEGACY_STATUSES = {
+  COMPLETED: 'SUCCEEDED',
+  PAID: 'SUCCEEDED',
+  ACTIVE: 'PENDING',
+  UNKNOWN: 'PENDING'
+};
+
+// Orders in these states have taken money and must never expire
+const SETTLED_STATUSES = ['SUCCEEDED', 'REFUNDED'];
+
+const FINAL_STATUSES = ['SUCCEEDED', 'FAILED', 'EXPIRED', 'REFUNDED'];
+
+const normalizeStatus = (status) => LEGACY_STATUSES[status] || status;
+
+const canTransition = (from, to) => {
+  const allowed = TRANSITIONS[normalizeStatus(from)];
+  return Boolean(allowed && allowed.includes(to));
+};
+
+// Throws an error with code ILLEGAL_TRANSITION unless `from -> to` is part of the lifecycle
+const assertTransition = (from, to) => {
+  if (!TRANSITIONS[to]) {
+    throw new Error(`Unknown order status: ${to}`);
+  }
+  if (!canTransition(from, to)) {
+    const error = new Error(`Illegal order status transition: ${from} -> ${to}`);
+    error.code = 'ILLEGAL_TRANSITION';
+    throw error;
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  LEGACY_STATUSES,
+  SETTLED_STATUSES,
+  FINAL_STATUSES,
+  normalizeStatus,
+  canTransition,
+  assertTransition
+};
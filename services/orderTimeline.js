@@ -0,0 +1,39 @@
+const orderEventRepository = require('../repositories/orderEventRepository');
+const { logger } = require('./logger');
+
+// Log an entry in an order's activity log. The log is informational, so a failed write is
+// reported and swallowed rather than failing the webhook or job that triggered it.
+const logOrderEvent = async (merchantTransactionId, type, details) => {
+  if (!merchantTransactionId) return null;
+
+  try {
+    return await orderEventRepository.recordOrderEvent(merchantTransactionId, type, details);
+  } catch (error) {
+    logger.error('Failed to record order event', { merchantTransactionId, type, reason: error.message });
+    return null;
+  }
+};
+
+// Everything that happened to an order in time order: creation, status changes (from the
+// order's statusHistory), webhooks, notifications, refunds and admin notes (from the activity log)
+const buildTimeline = async (order, merchantTransactionId = order && order.merchantTransactionId) => {
+  const entries = [];
+
+  if (order) {
+    entries.push({ type: 'created', at: order.createdAt, provider: order.paymentMethod || null });
+    (order.statusHistory || []).forEach(({ from, to, at, source }) => {
+      entries.push({ type: 'status', at, from, to, source });
+    });
+    (order.refunds || []).forEach(({ refundId, amount, status, createdAt }) => {
+      entries.push({ type: 'refund', at: createdAt, refundId, amount, status });
+    });
+  }
+
+  entries.push(...await orderEventRepository.listOrderEvents(merchantTransactionId));
+
+  return entries
+    .filter((entry) => entry.at)
+    .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+};
+
+module.exports = { logOrderEvent, buildTimeline };
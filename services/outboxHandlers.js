@@ -0,0 +1,91 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const couponService = require('./couponService');
+const invoiceService = require('./invoiceService');
+const merchantWebhookService = require('./merchantWebhookService');
+const outboxService = require('./outboxService');
+const { logOrderEvent } = require('./orderTimeline');
+const { notify } = require('../notifications');
+const { logger } = require('./logger');
+
+const loadOrder = async (merchantTransactionId) => {
+  const order = await paymentRepository.getOrder(merchantTransactionId);
+  if (!order) {
+    throw new Error(`Order ${merchantTransactionId} not found`);
+  }
+  return order;
+};
+
+// What each outbox job type does. A handler throws to have the job retried and returns
+// a small JSON summary that is stored on the job. Handlers can run more than once for
+// the same job (a retry after a partial failure), so each one must be safe to repeat.
+const HANDLERS = {
+  // { event, channel, data } - one notification event on one channel
+  notification: async ({ event, channel, data }) => {
+    const { deliveries, error } = await notify(event, data, { channels: [channel] });
+    if (error) {
+      throw new Error(error);
+    }
+
+    const failed = deliveries.filter((delivery) => !delivery.success);
+    if (failed.length) {
+      throw new Error(failed.map((delivery) => `${delivery.recipient}: ${delivery.error}`).join('; '));
+    }
+
+    if (deliveries.length) {
+      await logOrderEvent(data.order && data.order.merchantTransactionId, 'notification', {
+        event,
+        channel,
+        recipients: deliveries.map((delivery) => delivery.recipient)
+      });
+    }
+    return { delivered: deliveries.length };
+  },
+
+  // { merchantTransactionId } - count the order's coupon against its limits
+  'coupon.redemption': async ({ merchantTransactionId }) => {
+    const order = await loadOrder(merchantTransactionId);
+    return { redeemed: Boolean(await couponService.recordRedemption(order)) };
+  },
+
+  // { merchantTransactionId } - sync the paid order to the payments collection, then issue its invoice
+  'payment.record': async ({ merchantTransactionId }) => {
+    const order = await loadOrder(merchantTransactionId);
+
+    // A retry must not overwrite a record that already carries an invoice
+    if (!(await paymentRepository.getPaymentRecord(merchantTransactionId))) {
+      await paymentRepository.savePaymentRecord({ ...order, status: 'SUCCEEDED' });
+      logger.info('Payment record stored', { merchantTransactionId });
+    }
+
+    // The invoice lives on the payment record, so it can only be issued once that exists
+    await outboxService.dispatch('invoice.issue', { merchantTransactionId }, { key: merchantTransactionId });
+    return { paymentRecordId: merchantTransactionId };
+  },
+
+  // payment record fields - store a subscription renewal in the payments collection
+  'renewal.record': async (record) => {
+    await paymentRepository.savePaymentRecord(record);
+    logger.info('Renewal payment stored', { merchantTransactionId: record.merchantTransactionId });
+    return { paymentRecordId: record.merchantTransactionId };
+  },
+
+  // { merchantTransactionId } - allocate the invoice number and queue the receipt email
+  'invoice.issue': async ({ merchantTransactionId }) => {
+    const issued = await invoiceService.issueInvoice(await loadOrder(merchantTransactionId));
+    return { invoiceNumber: issued ? issued.invoice.invoiceNumber : null };
+  },
+
+  // { merchantTransactionId } - email the customer their invoice PDF
+  'invoice.email': async ({ merchantTransactionId }) => {
+    const emailedAt = await invoiceService.sendInvoiceEmail(merchantTransactionId);
+    if (emailedAt) {
+      await logOrderEvent(merchantTransactionId, 'notification', { event: 'invoice.issued', channel: 'email' });
+    }
+    return { emailedAt };
+  },
+
+  // { deliveryId, merchantTransactionId } - POST one event to one merchant webhook endpoint
+  'merchant.webhook': async ({ deliveryId }, job) => merchantWebhookService.deliver(deliveryId, job)
+};
+
+module.exports = { HANDLERS };
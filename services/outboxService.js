@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const outboxRepository = require('../repositories/outboxRepository');
+const { routedChannels } = require('../notifications');
+const { getConfig } = require('../config/env');
+const { logger, runWithContext, setOrder } = require('./logger');
+
+// Side effects of a payment (emails, payment records, invoices, webhooks) are written to the
+// outbox as jobs and run from there, so a failure is retried with exponential backoff
+// instead of being lost. Jobs that keep failing end up DEAD, where an admin can inspect
+// and replay them.
+//
+// Job lifecycle: PENDING -> DONE, or PENDING -> DEAD after maxAttempts failures.
+
+// Attempts, backoff and the lease (how long a worker may hold a job before another worker
+// can pick it up) come from the OUTBOX_* settings in config/env.js
+
+const DRAIN_LIMIT = 25;
+
+// Handlers are registered in outboxHandlers.js. They're required lazily because the
+// handlers use services that enqueue jobs themselves.
+let handlers = null;
+const getHandler = (type) => {
+  if (!handlers) handlers = require('./outboxHandlers').HANDLERS;
+  return handlers[type];
+};
+
+// Delay before the next attempt: base * 2^(attempts - 1), capped, plus up to 20% jitter
+// so a burst of failures doesn't retry in lockstep
+const retryDelaySeconds = (attempts) => {
+  const { retryBaseSeconds, retryMaxSeconds } = getConfig().outbox;
+  const delay = Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// Firestore document IDs can't contain slashes
+const jobId = (type, key) => `${type}_${key || crypto.randomUUID()}`.replace(/\//g, '-');
+
+// Write a job to the outbox. `key` makes enqueueing idempotent - the same type and key
+// always map to the same job. Resolves to { job, created }.
+const enqueue = async (type, payload, { key, maxAttempts = getConfig().outbox.maxAttempts } = {}) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: jobId(type, key),
+    type,
+    payload,
+    status: 'PENDING',
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const created = await outboxRepository.createJob(job);
+  return { job: created ? job : await outboxRepository.getJob(job.id), created };
+};
+
+// Order-related jobs carry the order ID in their payload, notifications in their template data
+const orderOf = (job) => job.payload?.merchantTransactionId || job.payload?.data?.merchantTransactionId;
+
+const runJob = async (id) => {
+  const job = await outboxRepository.getJob(id);
+  if (!job || job.status !== 'PENDING') return job;
+  setOrder(orderOf(job));
+
+  if (!(await outboxRepository.acquireLease(id, getConfig().outbox.leaseSeconds))) {
+    logger.info('Outbox job is being processed elsewhere');
+    return job;
+  }
+
+  try {
+    // Another worker may have finished the job between the read and the lease
+    const current = await outboxRepository.getJob(id);
+    if (!current || current.status !== 'PENDING') return current;
+
+    const attempts = current.attempts + 1;
+    const attemptedAt = new Date().toISOString();
+
+    try {
+      const handler = getHandler(current.type);
+      if (!handler) {
+        throw new Error(`No outbox handler for job type: ${current.type}`);
+      }
+
+      const result = await handler(current.payload, current);
+      logger.info('Outbox job done', { type: current.type, attempts });
+      return outboxRepository.updateJob(id, {
+        status: 'DONE',
+        attempts,
+        lastAttemptAt: attemptedAt,
+        completedAt: new Date().toISOString(),
+        lastError: null,
+        result: result === undefined ? null : result
+      });
+    } catch (error) {
+      const changes = { attempts, lastAttemptAt: attemptedAt, lastError: error.message };
+
+      if (attempts >= current.maxAttempts) {
+        logger.error('Outbox job failed, moving to dead letters', { type: current.type, attempts, reason: error.message });
+        Object.assign(changes, { status: 'DEAD', deadAt: attemptedAt });
+      } else {
+        const delay = retryDelaySeconds(attempts);
+        logger.warn('Outbox job failed, will retry', { type: current.type, attempts, retryInSeconds: delay, reason: error.message });
+        changes.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+      }
+
+      return outboxRepository.updateJob(id, changes);
+    }
+  } catch (error) {
+    logger.error('Error processing outbox job', error);
+    return outboxRepository.getJob(id).catch(() => job);
+  } finally {
+    await outboxRepository.releaseLease(id).catch((error) => {
+      logger.error('Error releasing outbox lease', { reason: error.message });
+    });
+  }
+};
+
+// Run one job if it's pending and no other worker holds it. Never throws - a failed
+// attempt is recorded on the job and scheduled for retry. Resolves to the job as stored.
+const processJob = async (id) => runWithContext({ jobId: id }, () => runJob(id));
+
+// Enqueue a job and make the first attempt straight away. Failures stay in the outbox
+// for the drain worker; a job that already existed isn't run again here.
+const dispatch = async (type, payload, options) => {
+  const { job, created } = await enqueue(type, payload, options);
+  return created ? processJob(job.id) : job;
+};
+
+// Send a notification through the outbox: one job per routed channel, so a Slack outage
+// retries Slack without emailing the customer twice. `key` identifies the occurrence
+// (e.g. the order ID) so the same notification is never queued twice.
+const dispatchNotification = async (event, data, { key }) => {
+  const jobs = [];
+  for (const channel of routedChannels(event)) {
+    jobs.push(await dispatch('notification', { event, channel, data }, { key: `${event}_${key}_${channel}` }));
+  }
+  return jobs;
+};
+
+// Work through the jobs that are due, one at a time. Called by the cron endpoint.
+const drain = async ({ limit = DRAIN_LIMIT } = {}) => {
+  const due = await outboxRepository.listDueJobs(limit);
+  const summary = { processed: 0, done: 0, retrying: 0, dead: 0, skipped: 0 };
+
+  for (const { id, attempts } of due) {
+    const job = await processJob(id);
+    summary.processed += 1;
+
+    // Unchanged attempts means another worker had the job or already finished it
+    if (!job || job.attempts === attempts) summary.skipped += 1;
+    else if (job.status === 'DONE') summary.done += 1;
+    else if (job.status === 'DEAD') summary.dead += 1;
+    else summary.retrying += 1;
+  }
+
+  return summary;
+};
+
+const listDeadLetters = async ({ limit = 50 } = {}) => {
+  return outboxRepository.listDeadJobs(limit);
+};
+
+// Give a dead job a fresh set of attempts and run it straight away
+const replayJob = async (id) => {
+  const job = await outboxRepository.getJob(id);
+  if (!job) {
+    const error = new Error('Outbox job not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  if (job.status !== 'DEAD') {
+    const error = new Error(`Only dead jobs can be replayed, this one is ${job.status}`);
+    error.code = 'REPLAY_NOT_ALLOWED';
+    throw error;
+  }
+
+  await outboxRepository.updateJob(id, {
+    status: 'PENDING',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    deadAt: null,
+    replayedAt: new Date().toISOString(),
+    replays: (job.replays || 0) + 1
+  });
+  return processJob(id);
+};
+
+module.exports = { enqueue, dispatch, dispatchNotification, processJob, drain, listDeadLetters, replayJob, retryDelaySeconds };
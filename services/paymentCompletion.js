@@ -0,0 +1,87 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const outboxService = require('./outboxService');
+const { emitMerchantEvent } = require('./merchantWebhookService');
+const { logger } = require('./logger');
+const { normalizeStatus, assertTransition, SETTLED_STATUSES } = require('./orderStateMachine');
+
+// Completions currently running in this instance, keyed by order ID
+const inFlight = new Map();
+
+const runCompletion = async (orderId, provider, providerPayload) => {
+  const existing = await paymentRepository.getOrder(orderId);
+  if (!existing) {
+    const error = new Error(`Order ${orderId} not found`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  // Check the lifecycle before claiming so an illegal move can't leave a claim behind
+  if (!SETTLED_STATUSES.includes(normalizeStatus(existing.status))) {
+    assertTransition(existing.status, 'SUCCEEDED');
+  }
+
+  const claimed = await paymentRepository.claimCompletion(orderId, provider);
+
+  if (!claimed) {
+    const completion = await paymentRepository.getCompletion(orderId);
+    // Another instance holds the claim and hasn't queued the side effects yet - or its run just
+    // failed and gave the claim back. Either way the order isn't complete, so don't say it is.
+    if (!completion || completion.status !== 'DONE') {
+      logger.info('Payment completion in progress elsewhere', { merchantTransactionId: orderId });
+      return { merchantTransactionId: orderId, ...completion, inProgress: true, alreadyCompleted: false };
+    }
+    logger.info('Payment already completed, skipping side effects', { merchantTransactionId: orderId });
+    return { ...completion, inProgress: false, alreadyCompleted: true };
+  }
+
+  const completedAt = new Date().toISOString();
+  let result;
+  try {
+    const order = await paymentRepository.transitionOrder(orderId, 'SUCCEEDED', {
+      paymentMethod: provider,
+      completedAt,
+      completionPayload: providerPayload || null
+    }, provider);
+
+    // Side effects go through the outbox: each gets a first attempt now and is retried
+    // by the drain worker if it fails. Coupons count against their limits only once the order is paid.
+    // Jobs are keyed by order, so a run retried after a failure or an expired claim doesn't repeat them.
+    const jobs = [
+      await outboxService.dispatch('coupon.redemption', { merchantTransactionId: orderId }, { key: orderId }),
+      ...await outboxService.dispatchNotification('payment.succeeded', { order }, { key: orderId }),
+      ...await emitMerchantEvent('payment.succeeded', { order }, { key: orderId }),
+      await outboxService.dispatch('payment.record', { merchantTransactionId: orderId }, { key: orderId })
+    ];
+
+    const outboxJobs = Object.fromEntries(jobs.filter(Boolean).map((job) => [job.id, job.status]));
+    result = { merchantTransactionId: orderId, provider, completedAt, outboxJobs };
+    await paymentRepository.saveCompletionResult(orderId, result);
+  } catch (error) {
+    await paymentRepository.releaseCompletion(orderId).catch((releaseError) => {
+      logger.error('Error releasing completion claim', { merchantTransactionId: orderId, reason: releaseError.message });
+    });
+    throw error;
+  }
+
+  logger.info('Payment completion pipeline finished', { merchantTransactionId: orderId, outboxJobs: result.outboxJobs });
+
+  return { ...result, status: 'DONE', inProgress: false, alreadyCompleted: false };
+};
+
+// Queue the post-payment side effects (coupon, notifications, payment record, invoice) exactly once per order.
+// Concurrent calls in this instance share one run; calls from other instances lose the
+// completion claim in the store and get the stored result back once it is DONE, or
+// { inProgress: true } while the run holding the claim is still going.
+const completePayment = (orderId, provider, providerPayload) => {
+  if (inFlight.has(orderId)) {
+    return inFlight.get(orderId);
+  }
+
+  const run = runCompletion(orderId, provider, providerPayload).finally(() => {
+    inFlight.delete(orderId);
+  });
+  inFlight.set(orderId, run);
+  return run;
+};
+
+module.exports = { completePayment };
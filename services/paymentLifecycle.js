@@ -0,0 +1,48 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const { completePayment } = require('./paymentCompletion');
+const { normalizeStatus } = require('./orderStateMachine');
+const outboxService = require('./outboxService');
+const { emitMerchantEvent } = require('./merchantWebhookService');
+const { logger } = require('./logger');
+
+// Notifications sent when an order first lands in one of these statuses
+const STATUS_NOTIFICATIONS = {
+  FAILED: 'payment.failed',
+  EXPIRED: 'checkout.abandoned'
+};
+
+// Apply a status reported by a provider (verification, webhook, reconciliation) to a stored order.
+// Success runs the completion pipeline; anything else is a plain lifecycle transition.
+// Provider reports that would move the order backwards are logged and ignored. Resolves to the
+// order, flagged completionInProgress when another run is still completing a paid order.
+const applyProviderStatus = async (order, providerName, { status, providerStatus, failureReason, failureCode, failureDetail, raw }, source) => {
+  const { merchantTransactionId } = order;
+  const changes = { providerStatus: providerStatus || null, lastProviderSyncAt: new Date().toISOString() };
+
+  try {
+    if (status === 'SUCCEEDED') {
+      await paymentRepository.updateOrder(merchantTransactionId, changes);
+      const completion = await completePayment(merchantTransactionId, providerName, raw);
+      const updated = await paymentRepository.getOrder(merchantTransactionId);
+      return completion.inProgress ? { ...updated, completionInProgress: true } : updated;
+    }
+
+    if (failureReason) changes.failureReason = failureReason;
+    if (failureCode) Object.assign(changes, { failureCode, failureDetail: failureDetail || null });
+    const updated = await paymentRepository.transitionOrder(merchantTransactionId, status, changes, source);
+
+    if (STATUS_NOTIFICATIONS[status] && normalizeStatus(order.status) !== status) {
+      await outboxService.dispatchNotification(STATUS_NOTIFICATIONS[status], { order: updated, reason: failureReason }, { key: merchantTransactionId });
+    }
+    if (status === 'FAILED' && normalizeStatus(order.status) !== status) {
+      await emitMerchantEvent('payment.failed', { order: updated, reason: failureReason }, { key: merchantTransactionId });
+    }
+    return updated;
+  } catch (error) {
+    if (error.code !== 'ILLEGAL_TRANSITION') throw error;
+    logger.warn('Ignoring provider status', { merchantTransactionId, provider: providerName, providerStatus, reason: error.message });
+    return paymentRepository.getOrder(merchantTransactionId);
+  }
+};
+
+module.exports = { applyProviderStatus };
@@ -0,0 +1,133 @@
+const { CATALOG_VERSION, BILLING_PERIODS, ECOMMERCE_PLANS, HOSTING_PLANS } = require('../config/plans');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { getRate } = require('./exchangeRates');
+const { roundPrice } = require('./money');
+
+const DEFAULT_BILLING_PERIOD = 'monthly';
+
+const pricingError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PLAN';
+  return error;
+};
+
+// Plan IDs arrive from the frontend - tolerate stray whitespace and casing
+const normalizeId = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const listedPrice = (plan, billingPeriod, currency) => plan.prices[billingPeriod] && plan.prices[billingPeriod][currency];
+
+// A plan's price in `currency`: its own price when the catalog lists one, otherwise its
+// BASE_CURRENCY price converted at `exchangeRate`. Undefined when neither is possible.
+const planPrice = (plan, billingPeriod, currency, exchangeRate) => {
+  const listed = listedPrice(plan, billingPeriod, currency);
+  if (listed !== undefined) return listed;
+
+  const base = listedPrice(plan, billingPeriod, BASE_CURRENCY);
+  return exchangeRate && base !== undefined ? roundPrice(base * exchangeRate.rate, currency) : undefined;
+};
+
+const priceLine = (type, plan, billingPeriod, currency, exchangeRate) => {
+  const amount = planPrice(plan, billingPeriod, currency, exchangeRate);
+  if (amount === undefined) {
+    throw pricingError(`${plan.name} is not available for ${billingPeriod} billing in ${currency}`);
+  }
+
+  return { type, planId: plan.id, name: plan.name, amount };
+};
+
+// The conversion to use when some of `plans` have no price of their own in `currency`; null when
+// none is needed. Throws INVALID_PLAN when there is no exchange rate for the currency.
+const exchangeRateFor = async (plans, billingPeriod, currency) => {
+  if (plans.every((plan) => listedPrice(plan, billingPeriod, currency) !== undefined)) return null;
+
+  const exchangeRate = await getRate(currency);
+  if (!exchangeRate) {
+    throw pricingError(`Prices in ${currency} are not available`);
+  }
+  return exchangeRate;
+};
+
+// Work out what an order costs from the plan IDs alone - client-supplied amounts are never trusted.
+// Plans without a price in the requested currency are converted at the current exchange rate,
+// which is kept on the quote (`exchangeRate`, null when nothing was converted) - the order stores
+// the quote, so its price is fixed from then on whatever the rate does.
+// Throws an error with code INVALID_PLAN for unknown plans, periods or currencies.
+const computeQuote = async ({ ecommPlan, hostingPlan, billingPeriod, currency }) => {
+  const ecommPlanId = normalizeId(ecommPlan);
+  const hostingPlanId = normalizeId(hostingPlan);
+  const periodId = normalizeId(billingPeriod) || DEFAULT_BILLING_PERIOD;
+
+  if (!ecommPlanId && !hostingPlanId) {
+    throw pricingError('Select at least one plan: ecommPlan or hostingPlan');
+  }
+
+  if (!BILLING_PERIODS[periodId]) {
+    throw pricingError(`Unknown billing period: ${billingPeriod}`);
+  }
+
+  const selected = [];
+  if (ecommPlanId) selected.push(['ecommerce', ECOMMERCE_PLANS[ecommPlanId], ecommPlanId]);
+  if (hostingPlanId) selected.push(['hosting', HOSTING_PLANS[hostingPlanId], hostingPlanId]);
+
+  const unknown = selected.find(([, plan]) => !plan);
+  if (unknown) {
+    throw pricingError(`Unknown ${unknown[0]} plan: ${unknown[2]}`);
+  }
+
+  const exchangeRate = await exchangeRateFor(selected.map(([, plan]) => plan), periodId, currency);
+  const items = selected.map(([type, plan]) => priceLine(type, plan, periodId, currency, exchangeRate));
+  const total = roundPrice(items.reduce((sum, item) => sum + item.amount, 0), currency);
+
+  return {
+    catalogVersion: CATALOG_VERSION,
+    billingPeriod: periodId,
+    currency,
+    items,
+    total,
+    exchangeRate,
+    computedAt: new Date().toISOString()
+  };
+};
+
+// Plan IDs picked in a quote, in the ecommPlan/hostingPlan shape orders are stored with
+const getPlanIds = (quote) => ({
+  ecommPlan: quote.items.find((item) => item.type === 'ecommerce')?.planId || '',
+  hostingPlan: quote.items.find((item) => item.type === 'hosting')?.planId || ''
+});
+
+// Public view of the catalog for the frontend. Asked for a `currency`, every price is also given
+// in it - converted at the current rate where the catalog has none, so these are estimates
+// until an order locks them in. Throws INVALID_PLAN when there is no rate for the currency.
+const getCatalog = async ({ currency } = {}) => {
+  const allPlans = [...Object.values(ECOMMERCE_PLANS), ...Object.values(HOSTING_PLANS)];
+  const periods = Object.keys(BILLING_PERIODS);
+
+  let exchangeRate = null;
+  if (currency) {
+    const rates = await Promise.all(periods.map((period) => exchangeRateFor(allPlans, period, currency)));
+    exchangeRate = rates.find(Boolean) || null;
+  }
+
+  const withCurrency = (plan) => Object.fromEntries(periods.map((period) => {
+    const prices = { ...plan.prices[period] };
+    if (currency) prices[currency] = planPrice(plan, period, currency, exchangeRate);
+    return [period, prices];
+  }));
+
+  const toList = (plans) => Object.values(plans).map((plan) => ({
+    id: plan.id,
+    name: plan.name,
+    description: plan.description,
+    prices: withCurrency(plan)
+  }));
+
+  return {
+    catalogVersion: CATALOG_VERSION,
+    billingPeriods: Object.values(BILLING_PERIODS),
+    ...(currency && { currency, exchangeRate }),
+    ecommercePlans: toList(ECOMMERCE_PLANS),
+    hostingPlans: toList(HOSTING_PLANS)
+  };
+};
+
+module.exports = { DEFAULT_BILLING_PERIOD, computeQuote, getPlanIds, getCatalog };
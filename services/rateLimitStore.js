@@ -0,0 +1,68 @@
+const rateLimitRepository = require('../repositories/rateLimitRepository');
+const { getConfig } = require('../config/env');
+
+// Fixed-window counters for the rate limiter. A store counts one hit against a key and
+// resolves to { count, resetAt } - the hits so far in the current window and when it ends (ms).
+
+const windowFor = (windowSeconds, now = Date.now()) => {
+  const size = windowSeconds * 1000;
+  const start = Math.floor(now / size) * size;
+  return { start, end: start + size };
+};
+
+// Counters live in this process only - right for a single server and for tests
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = (now) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      const { start, end } = windowFor(windowSeconds, now);
+      const id = `${key}|${start}`;
+
+      // Keep memory bounded when many distinct IPs come through
+      if (counters.size > 10000) sweep(now);
+
+      const counter = counters.get(id) || { count: 0, resetAt: end };
+      counter.count += 1;
+      counters.set(id, counter);
+      return { count: counter.count, resetAt: counter.resetAt };
+    }
+  };
+};
+
+// Counters live in the payment store, shared by every instance using it
+const createSharedStore = () => ({
+  name: 'shared',
+
+  async hit(key, windowSeconds) {
+    const { start, end } = windowFor(windowSeconds);
+    const count = await rateLimitRepository.incrementCounter(key, start, end);
+    return { count, resetAt: end };
+  }
+});
+
+let store = null;
+
+// Pick the store from RATE_LIMIT_STORE on first use
+const getRateLimitStore = () => {
+  if (!store) {
+    store = getConfig().rateLimits.store === 'shared' ? createSharedStore() : createMemoryStore();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for one backed by Redis
+const setRateLimitStore = (custom) => {
+  store = custom;
+};
+
+module.exports = { createMemoryStore, createSharedStore, getRateLimitStore, setRateLimitStore };
@@ -0,0 +1,225 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const reconciliationRepository = require('../repositories/reconciliationRepository');
+const { applyProviderStatus } = require('./paymentLifecycle');
+const { logOrderEvent } = require('./orderTimeline');
+const { normalizeStatus } = require('./orderStateMachine');
+const { getProvider, isProviderEnabled } = require('../providers');
+const { getConfig } = require('../config/env');
+const { logger, runWithContext } = require('./logger');
+
+// Scheduled reconciliation: customers who close the tab before the status page never trigger
+// verification, so orders that are still open after a while are checked against the provider's
+// status API and settled through the usual lifecycle. Failed and expired orders in the same
+// window are checked too, to catch payments that went through after we gave up on them.
+//
+// Issues flagged for a human:
+//   AMOUNT_MISMATCH  - the provider reports a different amount than we charged; not settled
+//   LATE_SUCCESS     - an order we marked failed or expired was paid after all; settled
+//   STATUS_MISMATCH  - the provider's final status couldn't be applied to our order
+//   PROVIDER_ERROR   - the provider status lookup failed
+//   PROVIDER_DISABLED - the order's gateway is no longer configured, so it can't be checked
+
+// Timing comes from config.reconciliation:
+//   staleMinutes    orders younger than this are left alone - the customer may still be on the checkout page
+//   lookbackHours   how far back to look; open orders older than the order TTL are gone anyway
+//   abandonMinutes  orders the provider still reports as pending after this long are marked EXPIRED.
+//                   A later payment still settles them, since EXPIRED orders may move to SUCCEEDED.
+
+const BATCH_LIMIT = 50;
+const LOCK_SECONDS = 10 * 60;
+
+const OPEN_STATUSES = ['CREATED', 'INITIATED', 'PENDING'];
+const GAVE_UP_STATUSES = ['FAILED', 'EXPIRED'];
+
+const reconciliationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// FAILED and EXPIRED both mean "not paid" - a difference between them isn't worth flagging
+const sameOutcome = (left, right) => left === right || (GAVE_UP_STATUSES.includes(left) && GAVE_UP_STATUSES.includes(right));
+
+const minutesSince = (iso, now) => (now - new Date(iso).getTime()) / 60000;
+
+// Check one order with its provider and apply what we learn. Resolves to a result entry for the run report.
+const reconcileOrder = async (order, now = Date.now()) => {
+  const { merchantTransactionId } = order;
+  const before = normalizeStatus(order.status);
+  const entry = { merchantTransactionId, provider: order.paymentMethod, before, after: before, providerStatus: null, issues: [] };
+
+  if (!isProviderEnabled(order.paymentMethod)) {
+    entry.issues.push({ type: 'PROVIDER_DISABLED', message: `${order.paymentMethod} is not configured` });
+    return entry;
+  }
+
+  let result;
+  try {
+    result = await getProvider(order.paymentMethod).fetchStatus(order);
+  } catch (error) {
+    logger.error('Reconciliation status lookup failed', { merchantTransactionId, error });
+    entry.issues.push({ type: 'PROVIDER_ERROR', message: error.response?.data?.message || error.message });
+    return entry;
+  }
+
+  entry.providerStatus = result.providerStatus || null;
+  const { abandonMinutes } = getConfig().reconciliation;
+  let report = result;
+
+  if (result.status === 'SUCCEEDED' && result.paidAmount !== null && result.paidAmount !== undefined
+    && Math.abs(result.paidAmount - order.amount) >= 0.01) {
+    entry.issues.push({ type: 'AMOUNT_MISMATCH', expected: order.amount, reported: result.paidAmount, currency: order.currency });
+    return entry;
+  }
+
+  if (result.status === 'PENDING' && OPEN_STATUSES.includes(before) && minutesSince(order.createdAt, now) >= abandonMinutes) {
+    report = {
+      ...result,
+      status: 'EXPIRED',
+      failureReason: `Still unpaid after ${abandonMinutes} minutes`,
+      failureCode: 'ABANDONED',
+      failureDetail: result.providerStatus || null
+    };
+  }
+
+  // Orders we gave up on only ever move if the provider says they were paid
+  const applicable = OPEN_STATUSES.includes(before) || report.status === 'SUCCEEDED';
+
+  if (applicable && report.status !== before) {
+    const updated = await applyProviderStatus(order, order.paymentMethod, report, 'reconciliation');
+    entry.after = normalizeStatus(updated.status);
+  }
+
+  if (GAVE_UP_STATUSES.includes(before) && entry.after === 'SUCCEEDED') {
+    entry.issues.push({ type: 'LATE_SUCCESS', message: `Order was ${before} but the provider reports it paid` });
+  }
+  if (report.status !== 'PENDING' && !sameOutcome(entry.after, report.status)) {
+    entry.issues.push({ type: 'STATUS_MISMATCH', ours: entry.after, provider: report.status });
+  }
+
+  return entry;
+};
+
+const needsReview = (issues = []) => issues.some((issue) => issue.type === 'AMOUNT_MISMATCH');
+
+// Record flagged issues on the order and in its timeline. Orders held back for review
+// stay open, so they are taken off the order TTL until someone resolves them, and are
+// left out of later runs - checking them again would only repeat the flag.
+const flagOrder = async (entry, checkedAt) => {
+  const changes = { reconciliationIssues: entry.issues, reconciliationFlaggedAt: checkedAt };
+  if (needsReview(entry.issues)) {
+    changes.expireAt = null;
+    changes.reconciliationHold = true;
+  }
+
+  await paymentRepository.updateOrder(entry.merchantTransactionId, changes);
+  await logOrderEvent(entry.merchantTransactionId, 'reconciliation', { before: entry.before, after: entry.after, issues: entry.issues });
+};
+
+// Reconcile open orders older than staleMinutes (and failed or expired orders) created in the
+// last lookbackHours, up to `limit` per run. Each group is walked oldest first from where the
+// previous run stopped, so a backlog bigger than one batch is covered over successive runs.
+// Throws ALREADY_RUNNING when another run holds the lock. The run report lists every order
+// that changed or was flagged, and is stored for the admin API.
+const runReconciliation = async ({ limit = BATCH_LIMIT, trigger = 'manual' } = {}) => {
+  if (!(await reconciliationRepository.acquireRunLock(LOCK_SECONDS))) {
+    throw reconciliationError('ALREADY_RUNNING', 'A reconciliation run is already in progress');
+  }
+
+  const { staleMinutes, lookbackHours } = getConfig().reconciliation;
+  const startedAt = new Date();
+  const run = {
+    id: `RECON_${startedAt.getTime()}`,
+    trigger,
+    startedAt: startedAt.toISOString(),
+    window: {
+      from: new Date(startedAt.getTime() - lookbackHours * 60 * 60 * 1000).toISOString(),
+      to: new Date(startedAt.getTime() - staleMinutes * 60 * 1000).toISOString()
+    },
+    checked: 0,
+    unchanged: 0,
+    moved: {},
+    flagged: 0,
+    errors: 0,
+    orders: []
+  };
+
+  // Firestore needs a composite index on (status, reconciliationHold, createdAt) for this query.
+  // Orders stored before reconciliationHold existed don't match it and are left to the order TTL.
+  const ordersIn = async (group, statuses, max) => {
+    if (max <= 0) return [];
+    const startAfter = await reconciliationRepository.getCursor(group);
+    const entries = await paymentRepository.listOrders({
+      where: [
+        ['status', 'in', statuses],
+        ['reconciliationHold', '==', false],
+        ['createdAt', '>=', run.window.from],
+        ['createdAt', '<', run.window.to]
+      ],
+      limit: max,
+      startAfter: startAfter || undefined
+    });
+
+    // A short page means the group was checked to the end; the next run starts again from the oldest
+    const last = entries[entries.length - 1];
+    await reconciliationRepository.saveCursor(group, entries.length === max ? { value: last.data.createdAt, id: last.id } : null);
+    return entries.map(({ data }) => data);
+  };
+
+  try {
+    // Open orders first, so rechecking old failures can't crowd them out of the batch
+    const open = await ordersIn('open', OPEN_STATUSES, limit);
+    const orders = [...open, ...await ordersIn('gaveUp', GAVE_UP_STATUSES, limit - open.length)];
+
+    for (const order of orders) {
+      let entry;
+      try {
+        entry = await runWithContext({ merchantTransactionId: order.merchantTransactionId }, () => reconcileOrder(order, startedAt.getTime()));
+      } catch (error) {
+        logger.error('Error reconciling order', { merchantTransactionId: order.merchantTransactionId, error });
+        const status = normalizeStatus(order.status);
+        entry = { merchantTransactionId: order.merchantTransactionId, provider: order.paymentMethod, before: status, after: status, issues: [{ type: 'ERROR', message: error.message }] };
+      }
+
+      run.checked += 1;
+      if (entry.after !== entry.before) {
+        run.moved[entry.after] = (run.moved[entry.after] || 0) + 1;
+      } else {
+        run.unchanged += 1;
+      }
+      if (entry.issues.some((issue) => issue.type === 'PROVIDER_ERROR' || issue.type === 'ERROR')) run.errors += 1;
+
+      if (entry.issues.length) {
+        run.flagged += 1;
+        await flagOrder(entry, startedAt.toISOString()).catch((error) => {
+          logger.error('Error flagging order', { merchantTransactionId: entry.merchantTransactionId, reason: error.message });
+        });
+      }
+      if (entry.issues.length || entry.after !== entry.before) {
+        run.orders.push(entry);
+      }
+    }
+
+    run.hasMore = orders.length === limit;
+    run.finishedAt = new Date().toISOString();
+    await reconciliationRepository.saveRun(run);
+    logger.info('Reconciliation finished', { runId: run.id, checked: run.checked, moved: run.moved, flagged: run.flagged });
+    return run;
+  } finally {
+    await reconciliationRepository.releaseRunLock().catch((error) => {
+      logger.error('Error releasing reconciliation lock', { reason: error.message });
+    });
+  }
+};
+
+const listRuns = async ({ limit = 20 } = {}) => reconciliationRepository.listRuns(limit);
+
+const getRun = async (runId) => {
+  const run = await reconciliationRepository.getRun(runId);
+  if (!run) {
+    throw reconciliationError('NOT_FOUND', 'Reconciliation run not found');
+  }
+  return run;
+};
+
+module.exports = { runReconciliation, reconcileOrder, listRuns, getRun };
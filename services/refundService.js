@@ -0,0 +1,202 @@
+const { setTimeout: sleep } = require('timers/promises');
+const paymentRepository = require('../repositories/paymentRepository');
+const { getProvider } = require('../providers');
+const { normalizeStatus } = require('./orderStateMachine');
+const outboxService = require('./outboxService');
+const { emitMerchantEvent } = require('./merchantWebhookService');
+const { currencyDecimals } = require('../validation/rules');
+const { roundAmount } = require('./money');
+const { logger } = require('./logger');
+
+// Refund statuses: PENDING, SUCCEEDED or FAILED - providers map their own states onto these
+
+// The refund lock is only held while the history is read and written, never across a gateway call
+const LOCK_TTL_SECONDS = 30;
+const LOCK_ATTEMPTS = 40;
+const LOCK_RETRY_MS = 50;
+
+const refundError = (code, message, field) => {
+  const error = new Error(message);
+  error.code = code;
+  if (field) error.field = field;
+  return error;
+};
+
+const orderCurrency = (order) => order.currency || 'INR';
+
+// Everything not failed counts against the refundable balance, including refunds still in flight
+const refundedSoFar = (order, refunds) => {
+  return roundAmount(refunds.filter((refund) => refund.status !== 'FAILED').reduce((sum, refund) => sum + refund.amount, 0), orderCurrency(order));
+};
+
+const summarize = (order, refunds) => {
+  const refundedAmount = roundAmount(refunds.filter((refund) => refund.status === 'SUCCEEDED').reduce((sum, refund) => sum + refund.amount, 0), orderCurrency(order));
+  let status = 'NONE';
+  if (refundedAmount >= order.amount) status = 'REFUNDED';
+  else if (refundedAmount > 0) status = 'PARTIALLY_REFUNDED';
+  else if (refunds.some((refund) => refund.status === 'PENDING')) status = 'PENDING';
+
+  return { refundedAmount, status };
+};
+
+// Save the refund history on the order and mirror it onto the payments record.
+// A fully refunded order moves to REFUNDED; partial refunds leave it SUCCEEDED.
+const saveRefunds = async (order, refunds) => {
+  const refundSummary = summarize(order, refunds);
+  const updatedOrder = refundSummary.status === 'REFUNDED'
+    ? await paymentRepository.transitionOrder(order.merchantTransactionId, 'REFUNDED', { refunds, refundSummary }, 'refund')
+    : await paymentRepository.updateOrder(order.merchantTransactionId, { refunds, refundSummary });
+
+  try {
+    const record = await paymentRepository.getPaymentRecord(order.merchantTransactionId);
+    if (record) {
+      await paymentRepository.updatePaymentRecord(order.merchantTransactionId, {
+        refunds,
+        refundSummary,
+        transactionInfo: { ...record.transactionInfo, status: normalizeStatus(updatedOrder.status) }
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to update payment record with refunds', { merchantTransactionId: order.merchantTransactionId, error });
+  }
+
+  return updatedOrder;
+};
+
+// Run `change(order)` holding the order's refund lock, with the order read after the lock was
+// taken. Every write replaces the whole refund history, so unserialized writers could both pass
+// the balance check or drop each other's entries. Throws REFUND_IN_PROGRESS if the lock stays busy.
+const withRefundLock = async (merchantTransactionId, change) => {
+  for (let attempt = 1; !(await paymentRepository.acquireRefundLock(merchantTransactionId, LOCK_TTL_SECONDS)); attempt += 1) {
+    if (attempt >= LOCK_ATTEMPTS) {
+      throw refundError('REFUND_IN_PROGRESS', 'Another refund for this order is being recorded - try again');
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return await change(await paymentRepository.getOrder(merchantTransactionId));
+  } finally {
+    await paymentRepository.releaseRefundLock(merchantTransactionId).catch((error) => {
+      logger.error('Error releasing refund lock', { merchantTransactionId, reason: error.message });
+    });
+  }
+};
+
+// Check a refund request against the order and record it as PENDING, so it counts against the
+// balance before the gateway is called. Runs under the refund lock.
+const reserveRefund = async (order, { amount, reason }) => {
+  if (!order) {
+    throw refundError('NOT_FOUND', 'Transaction not found');
+  }
+  if (normalizeStatus(order.status) !== 'SUCCEEDED') {
+    throw refundError('REFUND_NOT_ALLOWED', `Only successful payments can be refunded (status: ${order.status})`);
+  }
+
+  let provider;
+  try {
+    provider = getProvider(order.paymentMethod);
+  } catch (error) {
+    throw refundError('REFUND_NOT_ALLOWED', `Refunds are not supported for payment method: ${order.paymentMethod}`);
+  }
+
+  // Gateways reject amounts finer than the currency's minor unit (paise, cents; JPY has none)
+  const currency = orderCurrency(order);
+  const decimals = currencyDecimals(currency);
+  const requested = amount === undefined || amount === null ? null : Number(amount);
+  if (Number.isFinite(requested) && requested !== Number(requested.toFixed(decimals))) {
+    throw refundError('INVALID_REQUEST', decimals
+      ? `must have at most ${decimals} decimal places for ${currency}`
+      : `must be a whole amount for ${currency}`, 'amount');
+  }
+
+  const refunds = order.refunds || [];
+  const refundable = roundAmount(order.amount - refundedSoFar(order, refunds), currency);
+  const refundAmount = amount === undefined || amount === null ? refundable : roundAmount(parseFloat(amount), currency);
+
+  if (isNaN(refundAmount) || refundAmount <= 0) {
+    throw refundError('REFUND_NOT_ALLOWED', 'Invalid refund amount');
+  }
+  if (refundAmount > refundable) {
+    throw refundError('REFUND_NOT_ALLOWED', `Refund amount exceeds the refundable balance of ${refundable}`);
+  }
+
+  const refund = {
+    refundId: `RFD_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+    amount: refundAmount,
+    reason: reason || '',
+    status: 'PENDING',
+    createdAt: new Date().toISOString()
+  };
+
+  await saveRefunds(order, [...refunds, refund]);
+  return { order, provider, refund };
+};
+
+// Merge `update` into one refund of the stored history. Runs under the refund lock.
+const updateRefund = async (order, refundId, update) => {
+  const refunds = (order && order.refunds) || [];
+  const refund = refunds.find((item) => item.refundId === refundId);
+
+  if (!refund) {
+    throw refundError('NOT_FOUND', 'Refund not found');
+  }
+
+  Object.assign(refund, update, { updatedAt: new Date().toISOString() });
+  await saveRefunds(order, refunds);
+  return refund;
+};
+
+// Refund a completed order in full (no amount) or in part, through whichever gateway took the payment
+const initiateRefund = async (merchantTransactionId, { amount, reason } = {}) => {
+  const { order, provider, refund } = await withRefundLock(merchantTransactionId, (current) => reserveRefund(current, { amount, reason }));
+  const { refundId } = refund;
+
+  let outcome;
+  try {
+    outcome = await provider.refund(order, { refundId, amount: refund.amount, reason });
+  } catch (error) {
+    logger.error('Provider refund request failed', { merchantTransactionId, refundId, error });
+    outcome = { status: 'FAILED', error: error.response?.data?.message || error.message };
+  }
+
+  // A webhook may already have settled the refund while the gateway call was in flight
+  const saved = await withRefundLock(merchantTransactionId, (current) => {
+    const stored = (current.refunds || []).find((item) => item.refundId === refundId);
+    const settled = stored && stored.status !== 'PENDING';
+    return updateRefund(current, refundId, settled ? { ...outcome, status: stored.status } : outcome);
+  });
+
+  if (saved.status !== 'FAILED') {
+    await outboxService.dispatchNotification('refund.issued', { order, refund: saved }, { key: refundId });
+    await emitMerchantEvent('payment.refunded', { order, refund: saved }, { key: refundId });
+  }
+  return saved;
+};
+
+// Apply a refund status we learned about (status poll or provider webhook) to the stored history
+const applyRefundUpdate = async (merchantTransactionId, refundId, update) => {
+  return withRefundLock(merchantTransactionId, (order) => updateRefund(order, refundId, update));
+};
+
+// Poll the provider for a refund that hasn't settled yet
+const refreshRefundStatus = async (merchantTransactionId, refundId) => {
+  const order = await paymentRepository.getOrder(merchantTransactionId);
+  const refund = order && (order.refunds || []).find((item) => item.refundId === refundId);
+
+  if (!refund) {
+    throw refundError('NOT_FOUND', 'Refund not found');
+  }
+  if (refund.status !== 'PENDING') {
+    return refund;
+  }
+
+  const update = await getProvider(order.paymentMethod).fetchRefundStatus(order, refundId);
+  return applyRefundUpdate(merchantTransactionId, refundId, update);
+};
+
+module.exports = {
+  initiateRefund,
+  applyRefundUpdate,
+  refreshRefundStatus
+};
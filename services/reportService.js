@@ -0,0 +1,212 @@
+const paymentRepository = require('../repositories/paymentRepository');
+const { normalizeStatus } = require('./orderStateMachine');
+const { roundAmount } = require('./money');
+
+// Finance reports over stored payments and orders. Periods are calendar days, weeks
+// (starting Monday) or months in IST, and every report covers [from, to).
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query fields are checked by the report route schemas; what's left is a range that only goes
+// wrong once the defaults are filled in, e.g. a `from` later than today with no `to`
+const reportError = (field, message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_REQUEST';
+  error.field = field;
+  return error;
+};
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// "2026-04-01" means midnight IST; full timestamps are taken as given
+const parseDate = (value, name) => {
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00+05:30` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw reportError(name, 'must be a date, e.g. 2026-04-01');
+  }
+  return date;
+};
+
+// Validate the shared report parameters: from, to and interval. Defaults to the last 30 days by day.
+const parseRange = ({ from, to, interval = 'day' } = {}) => {
+  const end = to ? parseDate(to, 'to') : new Date();
+  const start = from ? parseDate(from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (start >= end) {
+    throw reportError('from', 'must be before to');
+  }
+  if (!INTERVALS.includes(interval)) {
+    throw reportError('interval', `must be one of: ${INTERVALS.join(', ')}`);
+  }
+
+  return { from: start.toISOString(), to: end.toISOString(), interval };
+};
+
+// The IST period a timestamp falls in: 2026-10-19 (day), 2026-10-19 (week, its Monday) or 2026-10 (month)
+const periodOf = (iso, interval) => {
+  const ist = new Date(new Date(iso).getTime() + IST_OFFSET_MS);
+
+  if (interval === 'month') return ist.toISOString().slice(0, 7);
+  if (interval === 'week') {
+    const daysSinceMonday = (ist.getUTCDay() + 6) % 7;
+    return new Date(ist.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return ist.toISOString().slice(0, 10);
+};
+
+const createdBetween = (field, { from, to }) => [[field, '>=', from], [field, '<', to]];
+
+// Group items by the key `keyOf` returns, starting each group from `init()`
+const groupBy = (items, keyOf, init, add) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, init(item));
+    add(groups.get(key), item);
+  });
+  return [...groups.values()];
+};
+
+const byColumns = (...columns) => (a, b) => {
+  for (const column of columns) {
+    if (a[column] !== b[column]) return a[column] < b[column] ? -1 : 1;
+  }
+  return 0;
+};
+
+// Revenue from payment records, one row per period, currency, provider and plan. Amounts in
+// different currencies are never added together; `totals` has one row per period and currency.
+const revenueReport = async (query) => {
+  const range = parseRange(query);
+  const records = await paymentRepository.listPaymentRecords({
+    where: createdBetween('transactionInfo.createdAt', range)
+  });
+
+  const payments = records.map(({ data }) => ({
+    period: periodOf(data.transactionInfo.createdAt, range.interval),
+    currency: data.transactionInfo.currency || 'INR',
+    provider: data.transactionInfo.paymentMethod || 'unknown',
+    ecommPlan: data.planDetails?.ecommPlan || '',
+    hostingPlan: data.planDetails?.hostingPlan || '',
+    amount: Number(data.transactionInfo.amount) || 0,
+    refunded: Number(data.refundSummary?.refundedAmount) || 0
+  }));
+
+  const sum = (group, payment) => {
+    group.payments += 1;
+    group.gross = roundAmount(group.gross + payment.amount, group.currency);
+    group.refunded = roundAmount(group.refunded + payment.refunded, group.currency);
+    group.net = roundAmount(group.gross - group.refunded, group.currency);
+  };
+
+  const rows = groupBy(
+    payments,
+    (payment) => [payment.period, payment.currency, payment.provider, payment.ecommPlan, payment.hostingPlan].join('|'),
+    ({ period, currency, provider, ecommPlan, hostingPlan }) => ({ period, currency, provider, ecommPlan, hostingPlan, payments: 0, gross: 0, refunded: 0, net: 0 }),
+    sum
+  ).sort(byColumns('period', 'currency', 'provider', 'ecommPlan', 'hostingPlan'));
+
+  const totals = groupBy(
+    payments,
+    (payment) => `${payment.period}|${payment.currency}`,
+    ({ period, currency }) => ({ period, currency, payments: 0, gross: 0, refunded: 0, net: 0 }),
+    sum
+  ).sort(byColumns('period', 'currency'));
+
+  return { ...range, rows, totals };
+};
+
+const ORDER_OUTCOMES = {
+  SUCCEEDED: 'succeeded',
+  REFUNDED: 'succeeded',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+const countOutcomes = () => ({ initiated: 0, succeeded: 0, failed: 0, expired: 0, pending: 0, conversionRate: 0 });
+
+const addOutcome = (group, order) => {
+  group.initiated += 1;
+  group[ORDER_OUTCOMES[order.status] || 'pending'] += 1;
+  group.conversionRate = percent(group.succeeded, group.initiated);
+};
+
+// Share of initiated checkouts that were paid, per period and provider. Orders abandoned
+// before reaching a final status are dropped by the order TTL, so they only count while live.
+const conversionReport = async (query) => {
+  const range = parseRange(query);
+  const entries = await paymentRepository.listOrders({ where: createdBetween('createdAt', range) });
+
+  const orders = entries.map(({ data }) => ({
+    period: periodOf(data.createdAt, range.interval),
+    provider: data.paymentMethod || 'unknown',
+    status: normalizeStatus(data.status)
+  }));
+
+  const rows = groupBy(
+    orders,
+    (order) => `${order.period}|${order.provider}`,
+    ({ period, provider }) => ({ period, provider, ...countOutcomes() }),
+    addOutcome
+  ).sort(byColumns('period', 'provider'));
+
+  const totals = groupBy(orders, (order) => order.provider, ({ provider }) => ({ provider, ...countOutcomes() }), addOutcome)
+    .sort(byColumns('provider'));
+
+  const overall = countOutcomes();
+  orders.forEach((order) => addOutcome(overall, order));
+
+  return { ...range, rows, totals, overall };
+};
+
+// Orders stored before failure codes were recorded only have the failureReason text:
+// "Error: <errorCode> - <detailedErrorCode>" (PhonePe) or "Status: <status>" (Cashfree, Stripe)
+const failureCodes = (order) => {
+  if (order.failureCode) {
+    return { failureCode: order.failureCode, failureDetail: order.failureDetail || '' };
+  }
+
+  const reason = order.failureReason || '';
+  const phonePe = reason.match(/^Error: (\S+) - (.*)$/);
+  if (phonePe) return { failureCode: phonePe[1], failureDetail: phonePe[2].trim() };
+
+  const status = reason.match(/^Status: (\S+)/);
+  if (status) return { failureCode: status[1], failureDetail: '' };
+
+  return { failureCode: 'UNKNOWN', failureDetail: reason };
+};
+
+// Why payments failed or expired, by provider and the gateway's own error codes, most common first
+const failureReport = async (query) => {
+  const range = parseRange(query);
+  const entries = await paymentRepository.listOrders({ where: createdBetween('createdAt', range) });
+
+  const failures = entries
+    .map(({ data }) => ({ ...data, status: normalizeStatus(data.status) }))
+    .filter((order) => order.status === 'FAILED' || order.status === 'EXPIRED')
+    .map((order) => ({ provider: order.paymentMethod || 'unknown', status: order.status, ...failureCodes(order) }));
+
+  const rows = groupBy(
+    failures,
+    (failure) => [failure.provider, failure.status, failure.failureCode, failure.failureDetail].join('|'),
+    ({ provider, status, failureCode, failureDetail }) => ({ provider, status, failureCode, failureDetail, count: 0, share: 0 }),
+    (group) => { group.count += 1; }
+  );
+  rows.forEach((row) => { row.share = percent(row.count, failures.length); });
+  rows.sort((a, b) => b.count - a.count || byColumns('provider', 'failureCode', 'failureDetail')(a, b));
+
+  return { from: range.from, to: range.to, total: failures.length, rows };
+};
+
+// Columns of each report's CSV export, in order
+const CSV_COLUMNS = {
+  revenue: ['period', 'currency', 'provider', 'ecommPlan', 'hostingPlan', 'payments', 'gross', 'refunded', 'net'],
+  conversion: ['period', 'provider', 'initiated', 'succeeded', 'failed', 'expired', 'pending', 'conversionRate'],
+  failures: ['provider', 'status', 'failureCode', 'failureDetail', 'count', 'share']
+};
+
+module.exports = { INTERVALS, revenueReport, conversionReport, failureReport, CSV_COLUMNS, periodOf };
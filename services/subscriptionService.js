@@ -0,0 +1,236 @@
+const subscriptionRepository = require('../repositories/subscriptionRepository');
+const outboxService = require('./outboxService');
+const { getProvider } = require('../providers');
+const { logger } = require('./logger');
+
+// Subscription statuses:
+//   CREATED   - stored, not yet set up with the gateway
+//   PENDING   - waiting for the customer to approve the mandate
+//   ACTIVE    - renewing automatically
+//   ON_HOLD   - a renewal charge failed and the gateway is retrying
+//   PAUSED
+//   CANCELLED, COMPLETED, EXPIRED, FAILED - final, no more charges
+const FINAL_SUBSCRIPTION_STATUSES = ['CANCELLED', 'COMPLETED', 'EXPIRED', 'FAILED'];
+
+const subscriptionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Move a subscription to a new status, recording the change in its status history.
+// Final statuses stick - late or out-of-order gateway updates can't revive a subscription.
+const setStatus = async (subscription, status, changes = {}, source = 'system') => {
+  const { subscriptionId } = subscription;
+
+  if (subscription.status === status) {
+    return Object.keys(changes).length ? subscriptionRepository.updateSubscription(subscriptionId, changes) : subscription;
+  }
+
+  if (FINAL_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+    logger.warn('Ignoring status for final subscription', { subscriptionId, status, current: subscription.status });
+    return Object.keys(changes).length ? subscriptionRepository.updateSubscription(subscriptionId, changes) : subscription;
+  }
+
+  const at = new Date().toISOString();
+  const patch = {
+    ...changes,
+    status,
+    statusHistory: [...(subscription.statusHistory || []), { from: subscription.status, to: status, at, source }],
+    updatedAt: at
+  };
+  if (status === 'ACTIVE' && !subscription.activatedAt) patch.activatedAt = at;
+
+  return subscriptionRepository.updateSubscription(subscriptionId, patch);
+};
+
+// Create a subscription for a priced plan and set it up with the gateway.
+// Resolves to { subscription, response } - `response` goes back to the frontend.
+const startSubscription = async (provider, { customer, customerId, quote }) => {
+  const subscriptionId = `SUB_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+  const hostingItem = quote.items.find((item) => item.type === 'hosting');
+
+  const subscription = await subscriptionRepository.createSubscription({
+    subscriptionId,
+    provider: provider.name,
+    customerId,
+    customerName: customer.name,
+    customerEmail: customer.email,
+    customerPhone: customer.phone,
+    hostingPlan: hostingItem ? hostingItem.planId : '',
+    billingPeriod: quote.billingPeriod,
+    amount: quote.total,
+    currency: quote.currency,
+    priceSnapshot: quote,
+    status: 'CREATED',
+    statusHistory: [],
+    cyclesPaid: 0,
+    failedCharges: 0,
+    createdAt: new Date().toISOString()
+  });
+
+  let result;
+  try {
+    result = await provider.createSubscription(subscription);
+  } catch (error) {
+    await setStatus(subscription, 'FAILED', {
+      failureReason: error.response?.data?.message || error.message
+    }, provider.name);
+    throw error;
+  }
+
+  const updated = await setStatus(subscription, result.status, {
+    providerSubscriptionId: result.providerSubscriptionId || null,
+    providerStatus: result.providerStatus || null,
+    ...result.details
+  }, provider.name);
+
+  return { subscription: updated, response: result.response };
+};
+
+// Store a successful renewal: count the cycle and write a payment record linked to the subscription
+const recordRenewal = async (subscription, providerName, event) => {
+  const { subscriptionId } = subscription;
+  const chargeId = `${subscriptionId}_${event.providerPaymentId}`;
+  const billingCycle = (subscription.cyclesPaid || 0) + 1;
+  const amount = event.amount ?? subscription.amount;
+
+  const claimed = await subscriptionRepository.claimCharge(chargeId, {
+    subscriptionId,
+    providerPaymentId: event.providerPaymentId,
+    billingCycle,
+    amount,
+    currency: subscription.currency
+  });
+  if (!claimed) {
+    logger.info('Renewal already recorded, skipping', { merchantTransactionId: chargeId });
+    return subscription;
+  }
+
+  const paidAt = new Date().toISOString();
+  const changes = { cyclesPaid: billingCycle, lastChargeId: chargeId, lastChargeAt: paidAt };
+
+  try {
+    // Same shape as one-off payments so renewals show up alongside them. The record is written
+    // by the outbox, which retries it until it sticks; the job is keyed by the charge.
+    await outboxService.dispatch('renewal.record', {
+      merchantTransactionId: chargeId,
+      customerId: subscription.customerId,
+      customerName: subscription.customerName,
+      customerEmail: subscription.customerEmail,
+      customerPhone: subscription.customerPhone,
+      amount,
+      currency: subscription.currency,
+      status: 'SUCCEEDED',
+      paymentMethod: providerName,
+      hostingPlan: subscription.hostingPlan,
+      createdAt: paidAt,
+      updatedAt: paidAt,
+      subscriptionId,
+      billingCycle,
+      providerPaymentId: event.providerPaymentId
+    }, { key: chargeId });
+
+    // A successful charge means the mandate is live, whatever status update we may have missed
+    return ['PENDING', 'ON_HOLD'].includes(subscription.status)
+      ? await setStatus(subscription, 'ACTIVE', changes, 'renewal')
+      : await subscriptionRepository.updateSubscription(subscriptionId, changes);
+  } catch (error) {
+    // Without the claim the webhook retry records the renewal again
+    await subscriptionRepository.releaseCharge(chargeId).catch((releaseError) => {
+      logger.error('Error releasing renewal charge', { merchantTransactionId: chargeId, reason: releaseError.message });
+    });
+    throw error;
+  }
+};
+
+// Apply a parsed subscription webhook event. Unknown subscriptions are logged and skipped.
+const applySubscriptionEvent = async (providerName, event) => {
+  const subscription = await subscriptionRepository.getSubscription(event.subscriptionId);
+
+  if (!subscription) {
+    logger.warn('Subscription webhook for unknown subscription', { provider: providerName, subscriptionId: event.subscriptionId });
+    return null;
+  }
+
+  if (event.type === 'status') {
+    return setStatus(subscription, event.status, {
+      providerStatus: event.providerStatus,
+      lastWebhookAt: new Date().toISOString()
+    }, 'webhook');
+  }
+
+  if (event.status === 'SUCCEEDED') {
+    return recordRenewal(subscription, providerName, event);
+  }
+
+  // The gateway retries failed charges itself and reports ON_HOLD through a status update
+  const failedAt = new Date().toISOString();
+  return subscriptionRepository.updateSubscription(subscription.subscriptionId, {
+    failedCharges: (subscription.failedCharges || 0) + 1,
+    lastFailure: {
+      providerPaymentId: event.providerPaymentId || null,
+      reason: event.failureReason || null,
+      at: failedAt
+    }
+  });
+};
+
+// What the subscription status page may show anyone holding the ID: the stored status and
+// plan, without customer details and without a gateway call
+const getPublicSubscription = async (subscriptionId) => {
+  const subscription = await subscriptionRepository.getSubscription(subscriptionId);
+  if (!subscription) {
+    throw subscriptionError('NOT_FOUND', 'Subscription not found');
+  }
+
+  const { status, hostingPlan, billingPeriod, amount, currency, activatedAt } = subscription;
+  return { subscriptionId, status, hostingPlan, billingPeriod, amount, currency, activatedAt: activatedAt || null };
+};
+
+// Pull the latest status from the gateway
+const refreshSubscription = async (subscriptionId) => {
+  const subscription = await subscriptionRepository.getSubscription(subscriptionId);
+  if (!subscription) {
+    throw subscriptionError('NOT_FOUND', 'Subscription not found');
+  }
+  if (FINAL_SUBSCRIPTION_STATUSES.includes(subscription.status) || subscription.status === 'CREATED') {
+    return subscription;
+  }
+
+  const result = await getProvider(subscription.provider).fetchSubscription(subscription);
+  return setStatus(subscription, result.status, {
+    providerStatus: result.providerStatus,
+    lastProviderSyncAt: new Date().toISOString()
+  }, 'verify');
+};
+
+// Cancel with the gateway first so we never mark a subscription cancelled that will still be charged
+const cancelSubscription = async (subscriptionId, { reason, source = 'admin' } = {}) => {
+  const subscription = await subscriptionRepository.getSubscription(subscriptionId);
+  if (!subscription) {
+    throw subscriptionError('NOT_FOUND', 'Subscription not found');
+  }
+  if (FINAL_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+    throw subscriptionError('CANCEL_NOT_ALLOWED', `Subscription is already ${subscription.status.toLowerCase()}`);
+  }
+
+  const result = subscription.status === 'CREATED'
+    ? { providerStatus: null }
+    : await getProvider(subscription.provider).cancelSubscription(subscription);
+
+  return setStatus(subscription, 'CANCELLED', {
+    providerStatus: result.providerStatus || null,
+    cancelledAt: new Date().toISOString(),
+    cancelReason: reason || ''
+  }, source);
+};
+
+module.exports = {
+  FINAL_SUBSCRIPTION_STATUSES,
+  startSubscription,
+  applySubscriptionEvent,
+  getPublicSubscription,
+  refreshSubscription,
+  cancelSubscription
+};
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const search = async (query) => {
+  const { status, body } = await h.admin.get(`/api/admin/payments?${new URLSearchParams(query)}`);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+};
+
+const ids = (body) => body.payments.map((payment) => payment.merchantTransactionId);
+
+test('payment search finds paid, failed and unpaid orders by status', async () => {
+  const paid = (await scenarios.checkout(h, 'cashfree')).merchantTransactionId;
+  await scenarios.webhookBeforeRedirect(h, 'cashfree', paid);
+  const failed = (await scenarios.checkout(h, 'cashfree')).merchantTransactionId;
+  await scenarios.fail(h, 'cashfree', failed);
+  const unpaid = (await scenarios.checkout(h, 'cashfree')).merchantTransactionId;
+  const unpaidStatus = await scenarios.orderStatus(h, unpaid);
+
+  assert.ok(ids(await search({ status: 'SUCCEEDED' })).includes(paid));
+
+  const failures = await search({ status: 'failed', provider: 'cashfree' });
+  assert.deepEqual(ids(failures), [failed]);
+  assert.equal(failures.payments[0].status, 'FAILED');
+  assert.match(failures.payments[0].customer.email, /@example\.com$/);
+
+  assert.ok(ids(await search({ status: unpaidStatus })).includes(unpaid));
+});
+
+test('unpaid orders page newest first with a cursor', async () => {
+  const created = [];
+  for (let i = 0; i < 3; i += 1) {
+    const { merchantTransactionId } = await scenarios.checkout(h, 'stripe');
+    await scenarios.fail(h, 'stripe', merchantTransactionId);
+    created.push(merchantTransactionId);
+  }
+
+  const first = await search({ status: 'FAILED', provider: 'stripe', limit: 2 });
+  assert.deepEqual(ids(first), [created[2], created[1]]);
+  assert.ok(first.nextCursor);
+
+  const second = await search({ status: 'FAILED', provider: 'stripe', limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(ids(second), [created[0]]);
+  assert.equal(second.nextCursor, null);
+});
+
+test('admin inputs are checked up front and reported as field errors', async () => {
+  const badSearch = await h.admin.get('/api/admin/payments?status=LOST&from=yesterday&limit=500');
+  assert.equal(badSearch.status, 422);
+  assert.deepEqual(badSearch.body.errors.map(({ field }) => field).sort(), ['from', 'limit', 'status']);
+
+  const badCursor = await h.admin.get('/api/admin/payments?cursor=bm90LWEtY3Vyc29y');
+  assert.equal(badCursor.status, 422);
+  assert.equal(badCursor.body.errors[0].field, 'cursor');
+
+  const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree');
+  const noNote = await h.admin.post(`/api/admin/payments/${merchantTransactionId}/notes`, {});
+  assert.equal(noNote.status, 422);
+  assert.equal(noNote.body.errors[0].field, 'note');
+  assert.equal((await h.admin.post(`/api/admin/payments/${merchantTransactionId}/notes`, { note: ' Called the customer ' })).status, 201);
+
+  const badReport = await h.admin.get('/api/admin/reports/revenue?interval=year&from=2026-05-01&to=2026-04-01');
+  assert.equal(badReport.status, 422);
+  assert.deepEqual(badReport.body.errors.map(({ field }) => field).sort(), ['interval']);
+
+  const backwards = await h.admin.get('/api/admin/reports/failures?from=2026-05-01&to=2026-04-01');
+  assert.equal(backwards.status, 422);
+  assert.equal(backwards.body.errors[0].field, 'from');
+
+  assert.equal((await h.admin.get('/api/admin/reports/revenue?from=2026-04-01&to=2026-05-01&interval=week')).status, 200);
+});
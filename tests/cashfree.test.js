@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const checkout = (details) => scenarios.checkout(h, 'cashfree', details);
+
+test('checkout creates a Cashfree order for the server-side price', async () => {
+  const order = await checkout({ ecommPlan: 'growth', couponCode: 'WELCOME10' });
+  const created = h.cashfree.orders.get(order.merchantTransactionId);
+
+  assert.ok(order.payment_session_id);
+  assert.equal(created.order_amount, 2249.1);
+  assert.equal(created.order_currency, 'INR');
+  assert.match(created.order_meta.notify_url, /\/api\/payment\/cashfree-webhook$/);
+});
+
+test('success: verified on return, then the webhook is a no-op', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.succeed(h, 'cashfree', merchantTransactionId);
+
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(webhook.status, 200);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('webhook before redirect: the webhook settles the order first', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.webhookBeforeRedirect(h, 'cashfree', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('webhook racing the redirect completes the order once', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.webhookRacingRedirect(h, 'cashfree', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('failure: the failed-payment webhook fails the order', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { webhook, verification } = await scenarios.fail(h, 'cashfree', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.success, false);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'FAILED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 0);
+});
+
+test('pending: the customer is back before paying', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification } = await scenarios.pending(h, 'cashfree', merchantTransactionId);
+
+  assert.equal(verification.body.status, 'PENDING');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'PENDING');
+});
+
+test('expiry: an order Cashfree expired is expired', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification } = await scenarios.expire(h, 'cashfree', merchantTransactionId);
+
+  assert.equal(verification.body.status, 'FAILED');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'EXPIRED');
+});
+
+test('a webhook with a bad signature is rejected', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.cashfree.pay(merchantTransactionId);
+  const webhook = await h.cashfree.notify(merchantTransactionId, { signature: 'forged' });
+
+  assert.equal(webhook.status, 401);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'INITIATED');
+});
+
+test('a correctly signed webhook with a stale timestamp is rejected', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.cashfree.pay(merchantTransactionId);
+  const webhook = await h.cashfree.notify(merchantTransactionId, { timestamp: String(Date.now() - 60 * 60 * 1000) });
+
+  assert.equal(webhook.status, 401);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'INITIATED');
+});
+
+test('a replayed webhook is refused', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.cashfree.pay(merchantTransactionId);
+
+  assert.equal((await h.cashfree.notify(merchantTransactionId)).status, 200);
+  assert.equal((await h.cashfree.replayLast()).status, 409);
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('a webhook that fails to process is accepted again when Cashfree retries it', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.cashfree.pay(merchantTransactionId);
+
+  const paymentRepository = h.require('repositories/paymentRepository');
+  const { getOrder } = paymentRepository;
+  paymentRepository.getOrder = async () => { throw new Error('store unavailable'); };
+  try {
+    assert.equal((await h.cashfree.notify(merchantTransactionId)).status, 500);
+  } finally {
+    paymentRepository.getOrder = getOrder;
+  }
+
+  assert.equal((await h.cashfree.replayLast()).status, 200);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal((await h.cashfree.replayLast()).status, 409);
+});
+
+test('an order Cashfree refuses fails with its message', async () => {
+  h.cashfree.rejectNextOrder('customer_phone is invalid');
+  const { status, body } = await h.post('/api/payment/initiate-cashfree', { ...scenarios.newCustomer(), ecommPlan: 'starter' });
+
+  assert.equal(status, 500);
+  assert.match(body.message, /customer_phone is invalid/);
+  assert.equal(await scenarios.orderStatus(h, h.cashfree.requests.at(-1).body.order_id), 'FAILED');
+});
+
+test('a retried checkout with the same Idempotency-Key returns the first order', async () => {
+  const details = { ...scenarios.newCustomer(), ecommPlan: 'starter' };
+  const headers = { 'Idempotency-Key': `checkout-${Date.now()}` };
+  const first = await h.post('/api/payment/initiate-cashfree', details, { headers });
+  const retry = await h.post('/api/payment/initiate-cashfree', details, { headers });
+
+  assert.equal(first.status, 200);
+  assert.equal(retry.body.merchantTransactionId, first.body.merchantTransactionId);
+  assert.equal([...h.cashfree.orders.keys()].filter((id) => id === first.body.merchantTransactionId).length, 1);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+test('health check answers', async () => {
+  const { status, body } = await h.get('/api/payment/health');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+});
+
+test('plans list the catalog and every configured gateway', async () => {
+  const { status, body } = await h.get('/api/payment/plans');
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.deepEqual([...body.providers].sort(), ['cashfree', 'phonepe', 'stripe']);
+});
+
+test('a coupon previews the discounted price', async () => {
+  const { status, body } = await h.post('/api/payment/apply-coupon', { ecommPlan: 'growth', couponCode: 'WELCOME10', customerEmail: 'asha@example.com' });
+  assert.equal(status, 200);
+  assert.equal(body.quote.discount.code, 'WELCOME10');
+  assert.equal(body.quote.subtotal, 2499);
+  assert.equal(body.quote.total, 2249.1);
+});
+
+test('a coupon used up by a customer is refused to them, from its running count', async () => {
+  const customerEmail = 'counted@example.com';
+  const preview = () => h.post('/api/payment/apply-coupon', { ecommPlan: 'growth', couponCode: 'WELCOME10', customerEmail });
+  assert.equal((await preview()).status, 200);
+
+  const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree', { couponCode: 'WELCOME10', customerEmail });
+  await scenarios.webhookBeforeRedirect(h, 'cashfree', merchantTransactionId);
+
+  const adapter = h.require('repositories/adapters').getAdapter();
+  const { list } = adapter;
+  const listed = [];
+  adapter.list = async (collection, options) => {
+    listed.push(collection);
+    return list.call(adapter, collection, options);
+  };
+  try {
+    const { status, body } = await preview();
+    assert.equal(status, 400);
+    assert.match(body.message, /already been used/);
+  } finally {
+    adapter.list = list;
+  }
+  assert.deepEqual(listed.filter((collection) => collection === 'couponRedemptions'), []);
+
+  // A retried redemption job doesn't count the order twice
+  const couponService = h.require('services/couponService');
+  await couponService.recordRedemption(await scenarios.getOrder(h, merchantTransactionId));
+  const couponRepository = h.require('repositories/couponRepository');
+  assert.equal(await couponRepository.countRedemptions('WELCOME10', customerEmail), 1);
+});
+
+test('an unknown coupon is rejected', async () => {
+  const { status, body } = await h.post('/api/payment/apply-coupon', { ecommPlan: 'growth', couponCode: 'NOPE' });
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('a coupon needs a plan to apply to', async () => {
+  const { status } = await h.post('/api/payment/apply-coupon', { couponCode: 'WELCOME10' });
+  assert.equal(status, 422);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const complete = (merchantTransactionId) => h.require('services/paymentCompletion').completePayment(merchantTransactionId, 'cashfree', {});
+const repository = () => h.require('repositories/paymentRepository');
+const store = () => h.require('repositories/adapters').getAdapter();
+
+const unpaidOrder = async () => (await scenarios.checkout(h, 'cashfree')).merchantTransactionId;
+
+test('concurrent completions run the side effects once', async () => {
+  const merchantTransactionId = await unpaidOrder();
+  const results = await Promise.all([complete(merchantTransactionId), complete(merchantTransactionId), complete(merchantTransactionId)]);
+
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+  assert.ok(results.every((result) => result.outboxJobs));
+
+  const again = await complete(merchantTransactionId);
+  assert.equal(again.alreadyCompleted, true);
+  assert.equal((await repository().getCompletion(merchantTransactionId)).status, 'DONE');
+});
+
+test('a completion that fails gives its claim back, so the next attempt completes the order', async () => {
+  const merchantTransactionId = await unpaidOrder();
+  const paymentRepository = repository();
+  const { transitionOrder } = paymentRepository;
+  paymentRepository.transitionOrder = async () => { throw new Error('store unavailable'); };
+  try {
+    await assert.rejects(complete(merchantTransactionId), /store unavailable/);
+  } finally {
+    paymentRepository.transitionOrder = transitionOrder;
+  }
+
+  assert.equal(await paymentRepository.getCompletion(merchantTransactionId), null);
+
+  const result = await complete(merchantTransactionId);
+  assert.equal(result.alreadyCompleted, false);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('a claim left behind by a dead instance is taken over once its lease runs out', async () => {
+  const merchantTransactionId = await unpaidOrder();
+  assert.equal(await repository().claimCompletion(merchantTransactionId, 'cashfree'), true);
+
+  // While the lease holds, the claim's owner is assumed to still be working on it
+  const busy = await complete(merchantTransactionId);
+  assert.equal(busy.inProgress, true);
+  assert.equal(busy.alreadyCompleted, false);
+  assert.notEqual(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+
+  await store().update('completions', merchantTransactionId, { expireAt: new Date(Date.now() - 1000).toISOString() });
+
+  const result = await complete(merchantTransactionId);
+  assert.equal(result.alreadyCompleted, false);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal((await repository().getCompletion(merchantTransactionId)).expireAt, null);
+});
+
+test('verify reports a payment as still processing while another instance is completing it', async () => {
+  const merchantTransactionId = await unpaidOrder();
+  assert.equal(await repository().claimCompletion(merchantTransactionId, 'cashfree'), true);
+  h.cashfree.pay(merchantTransactionId);
+
+  const busy = await h.get(`/api/payment/verify-cashfree/${merchantTransactionId}`);
+  assert.equal(busy.body.status, 'PENDING');
+  assert.equal(busy.body.success, false);
+
+  await store().update('completions', merchantTransactionId, { expireAt: new Date(Date.now() - 1000).toISOString() });
+
+  const done = await h.get(`/api/payment/verify-cashfree/${merchantTransactionId}`);
+  assert.equal(done.body.status, 'SUCCESS');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { startMockRates } = require('./support/mockRates');
+const scenarios = require('./support/scenarios');
+
+// Rates are quoted per EUR: 1 INR = 0.01 EUR = 1.6 JPY = 0.0033 KWD
+let h;
+let rates;
+before(async () => {
+  rates = await startMockRates();
+  h = await startHarness({ FX_RATES_URL: rates.url });
+});
+after(async () => {
+  await h.stop();
+  await rates.stop();
+});
+
+// Pick up rate changes now rather than after FX_RATES_CACHE_MINUTES
+const refreshRates = () => h.require('services/exchangeRates').resetRates();
+
+test('plans can be priced in another currency, listing only the gateways that take it', async () => {
+  const { status, body } = await h.get('/api/payment/plans?currency=eur');
+  assert.equal(status, 200);
+  assert.equal(body.currency, 'EUR');
+  assert.equal(body.exchangeRate.source, 'remote');
+
+  const growth = body.ecommercePlans.find((plan) => plan.id === 'growth');
+  assert.equal(growth.prices.monthly.EUR, 24.99);
+  assert.equal(growth.prices.monthly.USD, 35);
+  assert.deepEqual([...body.providers].sort(), ['cashfree', 'stripe']);
+});
+
+test('plans in a currency without a rate are refused', async () => {
+  assert.equal((await h.get('/api/payment/plans?currency=MXN')).status, 400);
+  assert.equal((await h.get('/api/payment/plans?currency=XYZ')).status, 422);
+});
+
+test('stripe: a zero-decimal currency is charged in whole units', async () => {
+  const order = await scenarios.checkout(h, 'stripe', { currency: 'JPY' });
+  const session = [...h.stripe.sessions.values()].find((item) => item.client_reference_id === order.merchantTransactionId);
+
+  assert.equal(session.currency, 'jpy');
+  assert.equal(session.amount_total, 3998);
+
+  const { verification } = await scenarios.succeed(h, 'stripe', order.merchantTransactionId);
+  assert.equal(verification.body.status, 'SUCCESS');
+
+  const stored = await scenarios.getOrder(h, order.merchantTransactionId);
+  assert.equal(stored.amount, 3998);
+
+  const refunded = await h.admin.post(`/api/payment/${order.merchantTransactionId}/refund`, { amount: 500 });
+  assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+  assert.equal(h.stripe.refunds.get(refunded.body.refund.providerRefundId).amount, 500);
+});
+
+test('cashfree: a three-decimal currency is priced to whole cents', async () => {
+  const order = await scenarios.checkout(h, 'cashfree', { currency: 'KWD' });
+  const created = h.cashfree.orders.get(order.merchantTransactionId);
+
+  assert.equal(created.order_currency, 'KWD');
+  assert.equal(created.order_amount, 8.25);
+  assert.equal((await scenarios.getOrder(h, order.merchantTransactionId)).amount, 8.25);
+});
+
+test('phonepe turns away other currencies and names the gateways that take them', async () => {
+  const { status, body } = await h.post('/api/payment/initiate-phonepe', { ...scenarios.newCustomer(), ecommPlan: 'growth', currency: 'USD' });
+  assert.equal(status, 422);
+  assert.equal(body.errors[0].field, 'currency');
+  assert.match(body.errors[0].message, /cashfree or stripe/);
+});
+
+test('an order keeps the price it was created with when the rate moves', async () => {
+  const first = await scenarios.checkout(h, 'cashfree', { currency: 'EUR' });
+
+  rates.setRates({ INR: 50 });
+  refreshRates();
+  try {
+    const second = await scenarios.checkout(h, 'cashfree', { currency: 'EUR' });
+    assert.equal(h.cashfree.orders.get(second.merchantTransactionId).order_amount, 49.98);
+
+    const stored = await scenarios.getOrder(h, first.merchantTransactionId);
+    assert.equal(stored.amount, 24.99);
+    assert.equal(stored.priceSnapshot.exchangeRate.rate, 0.01);
+
+    const { verification } = await scenarios.succeed(h, 'cashfree', first.merchantTransactionId);
+    assert.equal(verification.body.status, 'SUCCESS');
+  } finally {
+    rates.setRates({ INR: 100 });
+    refreshRates();
+  }
+});
+
+test('when the rates source is down, the rates file is used', async () => {
+  rates.goDown();
+  refreshRates();
+  try {
+    const { status, body } = await h.get('/api/payment/plans?currency=JPY');
+    assert.equal(status, 200);
+    assert.equal(body.exchangeRate.source, 'file');
+
+    const growth = body.ecommercePlans.find((plan) => plan.id === 'growth');
+    assert.equal(growth.prices.monthly.JPY, 4223);
+  } finally {
+    rates.comeBack();
+    refreshRates();
+  }
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const paidCheckout = async (details) => {
+  const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree', details);
+  await scenarios.webhookBeforeRedirect(h, 'cashfree', merchantTransactionId);
+  return merchantTransactionId;
+};
+
+const history = (user) => h.get('/api/customer/payments', { headers: h.asCustomer(user) });
+
+test('a signed-in customer sees their own payments', async () => {
+  const merchantTransactionId = await paidCheckout({ customerEmail: 'meera@example.com', customerPhone: '9812345670' });
+
+  const { status, body } = await history({ uid: 'uid-meera', email: 'meera@example.com' });
+  assert.equal(status, 200);
+  assert.equal(body.customer.phone, '+919812345670');
+  assert.deepEqual(body.payments.map((payment) => payment.merchantTransactionId), [merchantTransactionId]);
+});
+
+test('a checkout with someone else\'s phone number does not reach their history', async () => {
+  const victimOrder = await paidCheckout({ customerName: 'Ravi Kumar', customerEmail: 'ravi@example.com', customerPhone: '9811122233' });
+  const attackerOrder = await paidCheckout({ customerName: 'Someone Else', customerEmail: 'attacker@example.com', customerPhone: '9811122233' });
+
+  const attacker = await history({ uid: 'uid-attacker', email: 'attacker@example.com' });
+  assert.equal(attacker.status, 200);
+  assert.deepEqual(attacker.body.payments.map((payment) => payment.merchantTransactionId), [attackerOrder]);
+  assert.equal(attacker.body.customer.email, 'attacker@example.com');
+
+  const victim = await history({ uid: 'uid-ravi', email: 'ravi@example.com' });
+  assert.deepEqual(victim.body.payments.map((payment) => payment.merchantTransactionId), [victimOrder]);
+  assert.equal(victim.body.customer.name, 'Ravi Kumar');
+  assert.equal(victim.body.customer.email, 'ravi@example.com');
+});
+
+test('payments are found whatever the case of the email typed, older ones once the backfill has run', async () => {
+  const paymentRepository = h.require('repositories/paymentRepository');
+  const { getAdapter } = h.require('repositories/adapters');
+  const legacyPayment = async (merchantTransactionId, customerEmail, createdAt) => {
+    await paymentRepository.savePaymentRecord({ merchantTransactionId, customerName: 'Old Buyer', customerEmail, amount: 499, status: 'SUCCEEDED', paymentMethod: 'phonepe', createdAt });
+    // Saved before records had an emailKey
+    await getAdapter().update(paymentRepository.PAYMENTS_COLLECTION, merchantTransactionId, { customerInfo: { name: 'Old Buyer', email: customerEmail, phone: '' } });
+  };
+  await legacyPayment('CMS_LEGACY_1', 'Old.Buyer@Example.com', '2024-01-05T10:00:00.000Z');
+  await legacyPayment('CMS_LEGACY_2', 'old.buyer@example.com', '2024-02-05T10:00:00.000Z');
+  const newer = await paidCheckout({ customerEmail: 'OLD.BUYER@example.com' });
+
+  const before = await history({ uid: 'uid-old-buyer', email: 'old.buyer@example.com' });
+  assert.deepEqual(before.body.payments.map((payment) => payment.merchantTransactionId), [newer, 'CMS_LEGACY_2']);
+
+  let cursor = null;
+  do {
+    const { status, body } = await h.admin.post(`/api/admin/maintenance/email-keys?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(status, 200);
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  const after = await history({ uid: 'uid-old-buyer', email: 'old.buyer@example.com' });
+  assert.deepEqual(after.body.payments.map((payment) => payment.merchantTransactionId), [newer, 'CMS_LEGACY_2', 'CMS_LEGACY_1']);
+});
+
+test('an unverified email address is refused', async () => {
+  await paidCheckout({ customerEmail: 'unverified@example.com' });
+
+  const { status } = await history({ uid: 'uid-unverified', email: 'unverified@example.com', emailVerified: false });
+  assert.equal(status, 403);
+  assert.equal((await h.get('/api/customer/payments')).status, 401);
+});
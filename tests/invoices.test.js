@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const paidOrder = async () => {
+  const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree');
+  await scenarios.webhookBeforeRedirect(h, 'cashfree', merchantTransactionId);
+  return merchantTransactionId;
+};
+
+const invoiceOf = async (merchantTransactionId) => {
+  return (await h.require('repositories/paymentRepository').getPaymentRecord(merchantTransactionId)).invoice;
+};
+
+const sequenceOf = (invoice) => Number(invoice.invoiceNumber.split('/').pop());
+
+test('paid orders get consecutive invoice numbers', async () => {
+  const first = await invoiceOf(await paidOrder());
+  const second = await invoiceOf(await paidOrder());
+
+  assert.equal(sequenceOf(second), sequenceOf(first) + 1);
+});
+
+test('an invoice retried after a failed save keeps its number, and the series has no gap', async () => {
+  const before = sequenceOf(await invoiceOf(await paidOrder()));
+
+  // The first attempt allocates a number but can't store the invoice
+  const paymentRepository = h.require('repositories/paymentRepository');
+  const { updatePaymentRecord } = paymentRepository;
+  paymentRepository.updatePaymentRecord = async (id, changes) => {
+    if (changes.invoice) throw new Error('store unavailable');
+    return updatePaymentRecord(id, changes);
+  };
+  let merchantTransactionId;
+  try {
+    merchantTransactionId = await paidOrder();
+  } finally {
+    paymentRepository.updatePaymentRecord = updatePaymentRecord;
+  }
+  assert.equal(await invoiceOf(merchantTransactionId), undefined);
+
+  // ...and the outbox retry issues it with the number the first attempt reserved
+  const invoiceService = h.require('services/invoiceService');
+  const { invoice } = await invoiceService.issueInvoice(await scenarios.getOrder(h, merchantTransactionId));
+  assert.equal(sequenceOf(invoice), before + 1);
+
+  const next = await invoiceOf(await paidOrder());
+  assert.equal(sequenceOf(next), before + 2);
+});
+
+test('two workers issuing the same invoice at once get one number between them', async () => {
+  const merchantTransactionId = await paidOrder();
+  const { reserveInvoiceNumber } = h.require('repositories/invoiceRepository');
+  const series = { seriesKey: 'TEST-RACE', issuedAt: new Date().toISOString() };
+
+  const results = await Promise.allSettled([
+    reserveInvoiceNumber(`${merchantTransactionId}_race`, series),
+    reserveInvoiceNumber(`${merchantTransactionId}_race`, series)
+  ]);
+  const reserved = results.filter((result) => result.status === 'fulfilled').map((result) => result.value.sequence);
+  const busy = results.filter((result) => result.status === 'rejected').map((result) => result.reason.code);
+
+  assert.ok(reserved.length >= 1);
+  assert.ok(busy.every((code) => code === 'RESERVATION_BUSY'));
+  assert.equal((await reserveInvoiceNumber(`${merchantTransactionId}_race`, series)).sequence, reserved[0]);
+  assert.equal((await reserveInvoiceNumber('another-order', series)).sequence, reserved[0] + 1);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact } = require('../services/logger');
+
+test('a customer\'s name is masked inside customer and billing details, not elsewhere', () => {
+  const logged = redact({
+    body: {
+      data: {
+        object: {
+          customer_details: { name: 'Asha Rao', email: 'asha@example.com', phone: '+919876543210' },
+          payment_method: { billing_details: { name: 'Asha Rao' } },
+          metadata: { plan: { name: 'growth' } }
+        }
+      }
+    }
+  });
+
+  const { customer_details: customer, payment_method: method, metadata } = logged.body.data.object;
+  assert.equal(customer.name, '[REDACTED]');
+  assert.equal(customer.email, 'a***@example.com');
+  assert.equal(customer.phone, '***3210');
+  assert.equal(method.billing_details.name, '[REDACTED]');
+  assert.equal(metadata.plan.name, 'growth');
+});
+
+test('a customer name in a status page link is masked', () => {
+  const logged = redact({
+    request: { success_url: 'https://shop.example/payment-status?merchantTransactionId=CMS_1&customer=Asha%20Rao&session_id={CHECKOUT_SESSION_ID}' }
+  });
+
+  assert.equal(logged.request.success_url, 'https://shop.example/payment-status?merchantTransactionId=CMS_1&customer=[REDACTED]&session_id={CHECKOUT_SESSION_ID}');
+});
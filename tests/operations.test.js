@@ -0,0 +1,180 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+// Two attempts a second apart, so a failed job is due again almost straight away and dead after one retry
+before(async () => { h = await startHarness({ OUTBOX_MAX_ATTEMPTS: '2', OUTBOX_RETRY_BASE_SECONDS: '1' }); });
+after(() => h.stop());
+
+const paidOrder = async (gateway = 'cashfree', details) => {
+  const { merchantTransactionId } = await scenarios.checkout(h, gateway, details);
+  await scenarios.webhookBeforeRedirect(h, gateway, merchantTransactionId);
+  return scenarios.getOrder(h, merchantTransactionId);
+};
+
+test('a paid order gets a GST invoice; unpaid ones have none', async () => {
+  const order = await paidOrder('cashfree', { customerGstin: '29ABCDE1234F1Z5' });
+  const { status, headers, body } = await h.admin.get(`/api/payment/${order.merchantTransactionId}/invoice`);
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'application/pdf');
+  assert.equal(body.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(h.smtp.to(order.customerEmail).some((message) => /invoice/i.test(message.subject)), true);
+
+  const unpaid = await scenarios.checkout(h, 'cashfree');
+  assert.equal((await h.admin.get(`/api/payment/${unpaid.merchantTransactionId}/invoice`)).status, 404);
+});
+
+test('an invoice is only for the admin and the customer who paid', async () => {
+  const order = await paidOrder('cashfree');
+  const url = `/api/payment/${order.merchantTransactionId}/invoice`;
+  assert.equal((await h.get(url)).status, 401);
+
+  const customerUrl = `/api/customer/payments/${order.merchantTransactionId}/invoice`;
+  const owner = await h.get(customerUrl, { headers: h.asCustomer({ uid: 'uid-owner', email: order.customerEmail }) });
+  assert.equal(owner.status, 200);
+  assert.equal(owner.body.subarray(0, 5).toString(), '%PDF-');
+
+  const { body: history } = await h.get('/api/customer/payments', { headers: h.asCustomer({ uid: 'uid-owner', email: order.customerEmail }) });
+  assert.equal(history.payments[0].invoice.downloadUrl, customerUrl);
+
+  const other = await paidOrder('cashfree');
+  const stranger = await h.get(customerUrl, { headers: h.asCustomer({ uid: 'uid-stranger', email: other.customerEmail }) });
+  assert.equal(stranger.status, 404);
+  assert.equal((await h.get(customerUrl)).status, 401);
+});
+
+for (const gateway of ['phonepe', 'cashfree', 'stripe']) {
+  test(`${gateway}: a partial refund is issued, then settled by the gateway webhook`, async () => {
+    const order = await paidOrder(gateway);
+    const refundUrl = `/api/payment/${order.merchantTransactionId}/refund`;
+
+    assert.equal((await h.post(refundUrl, { amount: 5 })).status, 401);
+
+    const { status, body } = await h.admin.post(refundUrl, { amount: 5, reason: 'Goodwill credit' });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.refund.status, 'PENDING');
+    const { refundId, providerRefundId } = body.refund;
+    assert.equal(h.smtp.to(order.customerEmail).some((message) => message.raw.includes(refundId)), true);
+
+    const completed = gateway === 'phonepe' ? await h.phonepe.completeRefund(refundId)
+      : gateway === 'cashfree' ? await h.cashfree.completeRefund(order.merchantTransactionId, refundId)
+        : await h.stripe.completeRefund(providerRefundId);
+    assert.equal(completed.status, 200);
+
+    const refreshed = await h.admin.get(`/api/payment/${order.merchantTransactionId}/refunds/${refundId}`);
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.body.refund.status, 'SUCCEEDED');
+  });
+}
+
+test('refunds are limited to the amount paid', async () => {
+  const order = await paidOrder();
+  const { status } = await h.admin.post(`/api/payment/${order.merchantTransactionId}/refund`, { amount: order.amount + 1 });
+  assert.equal(status, 400);
+
+  const unpaid = await scenarios.checkout(h, 'cashfree');
+  assert.equal((await h.admin.post(`/api/payment/${unpaid.merchantTransactionId}/refund`, {})).status, 400);
+  assert.equal((await h.admin.get(`/api/payment/${order.merchantTransactionId}/refunds/RFD_UNKNOWN`)).status, 404);
+});
+
+test('a notification that fails is retried by the outbox drain', async () => {
+  h.smtp.refuseNext(1, h.adminEmail);
+  const order = await paidOrder();
+  assert.equal(scenarios.adminAlerts(h, order.merchantTransactionId).length, 0);
+
+  assert.equal((await h.get('/api/payment/outbox/drain')).status, 401);
+
+  await sleep(1500);
+  const { status, body } = await h.get('/api/payment/outbox/drain', { headers: h.asCron });
+  assert.equal(status, 200);
+  assert.equal(body.done, 1);
+  assert.equal(scenarios.adminAlerts(h, order.merchantTransactionId).length, 1);
+});
+
+test('a notification that keeps failing is dead-lettered and can be replayed', async () => {
+  h.smtp.refuseNext(2, h.adminEmail);
+  const order = await paidOrder();
+
+  await sleep(1500);
+  const drained = await h.post('/api/payment/outbox/drain', {}, { headers: h.asCron });
+  assert.equal(drained.body.dead, 1);
+
+  assert.equal((await h.get('/api/payment/outbox/dead-letters')).status, 401);
+  const { body } = await h.admin.get('/api/payment/outbox/dead-letters');
+  const job = body.jobs.find((item) => JSON.stringify(item).includes(order.merchantTransactionId));
+  assert.ok(job, 'dead letter for the order');
+
+  const replayed = await h.admin.post(`/api/payment/outbox/${encodeURIComponent(job.id)}/replay`);
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.body.job.status, 'DONE');
+  assert.equal(scenarios.adminAlerts(h, order.merchantTransactionId).length, 1);
+
+  assert.equal((await h.admin.post(`/api/payment/outbox/${encodeURIComponent(job.id)}/replay`)).status, 409);
+});
+
+test('reconciliation settles a payment nobody reported', async () => {
+  const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree');
+  h.cashfree.pay(merchantTransactionId);
+  await scenarios.ageOrder(h, merchantTransactionId, 30);
+
+  assert.equal((await h.get('/api/payment/reconcile')).status, 401);
+
+  const { status, body } = await h.get('/api/payment/reconcile', { headers: h.asCron });
+  assert.equal(status, 200);
+  assert.equal(body.run.moved.SUCCEEDED, 1);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('reconciliation batches move through the backlog and leave held orders out', async () => {
+  const failed = [];
+  for (let i = 0; i < 3; i += 1) {
+    const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree');
+    await scenarios.fail(h, 'cashfree', merchantTransactionId);
+    await scenarios.ageOrder(h, merchantTransactionId, 40 * 60 - i);
+    failed.push(merchantTransactionId);
+  }
+  const { merchantTransactionId: held } = await scenarios.checkout(h, 'cashfree');
+  await scenarios.fail(h, 'cashfree', held);
+  await scenarios.ageOrder(h, held, 40 * 60 + 1);
+
+  const paymentRepository = h.require('repositories/paymentRepository');
+  await paymentRepository.updateOrder(held, {
+    reconciliationHold: true,
+    reconciliationIssues: [{ type: 'AMOUNT_MISMATCH', expected: 499, reported: 1, currency: 'INR' }]
+  });
+
+  const { listOrders } = paymentRepository;
+  const checked = new Set();
+  paymentRepository.listOrders = async (options) => {
+    const entries = await listOrders(options);
+    entries.forEach(({ id }) => checked.add(id));
+    return entries;
+  };
+  try {
+    const { runReconciliation } = h.require('services/reconciliationService');
+    for (let run = 0; run < 3; run += 1) {
+      await runReconciliation({ limit: 2 });
+    }
+  } finally {
+    paymentRepository.listOrders = listOrders;
+  }
+
+  assert.deepEqual(failed.filter((id) => !checked.has(id)), []);
+  assert.equal(checked.has(held), false);
+});
+
+test('reconciliation expires a checkout the customer abandoned', async () => {
+  const { merchantTransactionId } = await scenarios.checkout(h, 'phonepe');
+  const order = await scenarios.getOrder(h, merchantTransactionId);
+  await scenarios.ageOrder(h, merchantTransactionId, 180);
+
+  const { status } = await h.post('/api/payment/reconcile', {}, { headers: h.asCron });
+  assert.equal(status, 200);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'EXPIRED');
+  assert.equal(h.smtp.to(order.customerEmail).some((message) => message.raw.includes(merchantTransactionId)), true);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const checkout = (details) => scenarios.checkout(h, 'phonepe', details);
+
+test('checkout creates a PhonePe order for the server-side price', async () => {
+  const order = await checkout({ ecommPlan: 'growth' });
+
+  assert.match(order.redirectUrl, /^http:\/\/127\.0\.0\.1:\d+\/checkout\//);
+  assert.equal(h.phonepe.orders.get(order.merchantTransactionId).amount, 249900);
+  assert.equal(await scenarios.orderStatus(h, order.merchantTransactionId), 'INITIATED');
+});
+
+test('success: verified on return, then the callback is a no-op', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { landing, verification, webhook } = await scenarios.succeed(h, 'phonepe', merchantTransactionId);
+
+  assert.match(landing, /^https:\/\/shop\.craftmystore\.test\//);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(webhook.status, 200);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('webhook before redirect: the callback settles the order first', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.webhookBeforeRedirect(h, 'phonepe', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('webhook racing the redirect completes the order once', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.webhookRacingRedirect(h, 'phonepe', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('failure: the order is failed with the gateway reason', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification } = await scenarios.fail(h, 'phonepe', merchantTransactionId);
+
+  assert.equal(verification.body.success, false);
+  assert.equal(verification.body.status, 'FAILED');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'FAILED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 0);
+});
+
+test('pending: the customer is back before paying', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification } = await scenarios.pending(h, 'phonepe', merchantTransactionId);
+
+  assert.equal(verification.body.status, 'PENDING');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'PENDING');
+});
+
+test('expiry: an unpaid order PhonePe auto-failed is failed', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification } = await scenarios.expire(h, 'phonepe', merchantTransactionId);
+
+  assert.equal(verification.body.status, 'FAILED');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'FAILED');
+});
+
+test('a callback with the wrong credentials is rejected', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.phonepe.pay(merchantTransactionId);
+  const webhook = await h.phonepe.notify(merchantTransactionId, { authorization: 'forged' });
+
+  assert.equal(webhook.status, 401);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'INITIATED');
+});
+
+test('a checkout PhonePe refuses fails the order', async () => {
+  h.phonepe.rejectNextPay('Invalid merchant');
+  const { status, body } = await h.post('/api/payment/initiate-phonepe', { ...scenarios.newCustomer(), ecommPlan: 'starter' });
+
+  assert.equal(status, 500);
+  assert.match(body.message, /Invalid merchant/);
+  assert.equal(await scenarios.orderStatus(h, h.phonepe.calls.at(-1).request.merchantOrderId), 'FAILED');
+});
+
+test('PhonePe needs an Indian mobile number', async () => {
+  const { status, body } = await h.post('/api/payment/initiate-phonepe', { ...scenarios.newCustomer(), customerPhone: '+1 415 555 0100', ecommPlan: 'starter' });
+
+  assert.equal(status, 422);
+  assert.equal(body.errors[0].field, 'customerPhone');
+});
+
+test('verifying an unknown transaction is a 404', async () => {
+  const { status } = await h.get('/api/payment/verify-phonepe/CMS_0_UNKNOWN');
+  assert.equal(status, 404);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const paidOrder = async () => {
+  const { merchantTransactionId } = await scenarios.checkout(h, 'cashfree');
+  await scenarios.webhookBeforeRedirect(h, 'cashfree', merchantTransactionId);
+  return scenarios.getOrder(h, merchantTransactionId);
+};
+
+const refund = (order, body) => h.admin.post(`/api/payment/${order.merchantTransactionId}/refund`, body);
+
+test('concurrent refunds cannot take more than the balance', async () => {
+  const order = await paidOrder();
+  const responses = await Promise.all([refund(order, { amount: 2000 }), refund(order, { amount: 2000 })]);
+
+  assert.deepEqual(responses.map(({ status }) => status).sort(), [200, 400]);
+  const stored = await scenarios.getOrder(h, order.merchantTransactionId);
+  assert.equal(stored.refunds.length, 1);
+  assert.equal(stored.refunds[0].amount, 2000);
+});
+
+test('concurrent partial refunds are both kept in the history', async () => {
+  const order = await paidOrder();
+  const responses = await Promise.all([refund(order, { amount: 500 }), refund(order, { amount: 600 })]);
+
+  assert.deepEqual(responses.map(({ status }) => status), [200, 200]);
+  const stored = await scenarios.getOrder(h, order.merchantTransactionId);
+  assert.deepEqual(stored.refunds.map(({ amount }) => amount).sort(), [500, 600]);
+  assert.ok(stored.refunds.every(({ providerRefundId }) => providerRefundId));
+
+  const rest = await refund(order, {});
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.refund.amount, 1399);
+  assert.equal((await refund(order, { amount: 1 })).status, 400);
+});
+
+test('a refund webhook arriving during the gateway call is not overwritten', async () => {
+  const order = await paidOrder();
+  const provider = h.require('providers').getProvider('cashfree');
+  const refundService = h.require('services/refundService');
+  const { refund: requestRefund } = provider;
+
+  // The gateway settles the refund and tells us before its API call returns
+  provider.refund = async (target, details) => {
+    const response = await requestRefund.call(provider, target, details);
+    await refundService.applyRefundUpdate(target.merchantTransactionId, details.refundId, { status: 'SUCCEEDED' });
+    return response;
+  };
+  try {
+    const { status, body } = await refund(order, { amount: 100 });
+    assert.equal(status, 200);
+    assert.equal(body.refund.status, 'SUCCEEDED');
+  } finally {
+    provider.refund = requestRefund;
+  }
+
+  const stored = await scenarios.getOrder(h, order.merchantTransactionId);
+  assert.equal(stored.refunds[0].status, 'SUCCEEDED');
+  assert.equal(stored.refundSummary.refundedAmount, 100);
+});
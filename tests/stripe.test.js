@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const scenarios = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const checkout = (details) => scenarios.checkout(h, 'stripe', details);
+
+test('checkout creates a Checkout Session in USD cents', async () => {
+  const order = await checkout({ ecommPlan: 'growth' });
+  const session = [...h.stripe.sessions.values()].find((item) => item.client_reference_id === order.merchantTransactionId);
+
+  assert.equal(session.amount_total, 3500);
+  assert.equal(session.currency, 'usd');
+  assert.equal(await scenarios.orderStatus(h, order.merchantTransactionId), 'INITIATED');
+});
+
+test('success: verified on return, then the webhook is a no-op', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { landing, verification, webhook } = await scenarios.succeed(h, 'stripe', merchantTransactionId);
+
+  assert.match(landing, /session_id=cs_test_/);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(webhook.status, 200);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('webhook before redirect: checkout.session.completed settles the order first', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.webhookBeforeRedirect(h, 'stripe', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('webhook racing the redirect completes the order once', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification, webhook } = await scenarios.webhookRacingRedirect(h, 'stripe', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'SUCCESS');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('pending then paid: a bank debit clears after the customer is back', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { verification } = await scenarios.pending(h, 'stripe', merchantTransactionId);
+
+  assert.equal(verification.body.status, 'PENDING');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'PENDING');
+
+  h.stripe.pay(merchantTransactionId);
+  assert.equal((await h.stripe.notify(merchantTransactionId)).status, 200);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'SUCCEEDED');
+});
+
+test('failure: async_payment_failed fails the order with the decline reason', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.stripe.payLater(merchantTransactionId);
+  const { verification, webhook } = await scenarios.fail(h, 'stripe', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.success, false);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'FAILED');
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 0);
+});
+
+test('expiry: checkout.session.expired expires the order', async () => {
+  const { merchantTransactionId } = await checkout();
+  const { webhook, verification } = await scenarios.expire(h, 'stripe', merchantTransactionId);
+
+  assert.equal(webhook.status, 200);
+  assert.equal(verification.body.status, 'FAILED');
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'EXPIRED');
+});
+
+test('a webhook signed with another secret is rejected', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.stripe.pay(merchantTransactionId);
+  const webhook = await h.stripe.notify(merchantTransactionId, { secret: 'whsec_other' });
+
+  assert.equal(webhook.status, 401);
+  assert.equal(await scenarios.orderStatus(h, merchantTransactionId), 'INITIATED');
+});
+
+test('a replayed webhook is refused', async () => {
+  const { merchantTransactionId } = await checkout();
+  h.stripe.pay(merchantTransactionId);
+
+  assert.equal((await h.stripe.notify(merchantTransactionId)).status, 200);
+  assert.equal((await h.stripe.replayLast()).status, 409);
+  assert.equal(scenarios.adminAlerts(h, merchantTransactionId).length, 1);
+});
+
+test('a currency Stripe is asked for is charged in it', async () => {
+  const order = await checkout({ ecommPlan: 'growth', currency: 'INR' });
+  const session = [...h.stripe.sessions.values()].find((item) => item.client_reference_id === order.merchantTransactionId);
+
+  assert.equal(session.currency, 'inr');
+  assert.equal(session.amount_total, 249900);
+});
@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { newCustomer } = require('./support/scenarios');
+
+let h;
+before(async () => { h = await startHarness(); });
+after(() => h.stop());
+
+const subscribe = async (details = {}) => {
+  const { status, body } = await h.post('/api/payment/subscriptions/initiate-cashfree', { ...newCustomer(), hostingPlan: 'business', ...details });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+};
+
+const getSubscription = async (subscriptionId) => (await h.admin.get(`/api/payment/subscriptions/${subscriptionId}`)).body.subscription;
+
+test('setup creates a Cashfree subscription for the hosting plan', async () => {
+  const { subscriptionId, currency } = await subscribe();
+
+  assert.equal(currency, 'INR');
+  assert.ok(h.cashfree.subscriptions.has(subscriptionId));
+  assert.equal((await getSubscription(subscriptionId)).status, 'PENDING');
+});
+
+test('the mandate activating and renewals are recorded from webhooks', async () => {
+  const { subscriptionId } = await subscribe();
+
+  assert.equal((await h.cashfree.setSubscriptionStatus(subscriptionId, 'ACTIVE')).status, 200);
+  assert.equal((await getSubscription(subscriptionId)).status, 'ACTIVE');
+
+  assert.equal((await h.cashfree.chargeSubscription(subscriptionId)).status, 200);
+  assert.equal((await h.cashfree.chargeSubscription(subscriptionId, { succeed: false })).status, 200);
+
+  const subscription = await getSubscription(subscriptionId);
+  assert.equal(subscription.cyclesPaid, 1);
+  assert.equal(subscription.failedCharges, 1);
+});
+
+const renewal = (subscriptionId, providerPaymentId) => ({ type: 'charge', status: 'SUCCEEDED', subscriptionId, providerPaymentId, amount: 999 });
+const applyEvent = (event) => h.require('services/subscriptionService').applySubscriptionEvent('cashfree', event);
+const paymentRecord = (id) => h.require('repositories/paymentRepository').getPaymentRecord(id);
+
+test('a renewal is counted once and stored as a payment linked to the subscription', async () => {
+  const { subscriptionId } = await subscribe();
+  await h.cashfree.setSubscriptionStatus(subscriptionId, 'ACTIVE');
+
+  await applyEvent(renewal(subscriptionId, 'PAY_1'));
+  await applyEvent(renewal(subscriptionId, 'PAY_1'));
+
+  const subscription = await getSubscription(subscriptionId);
+  assert.equal(subscription.cyclesPaid, 1);
+
+  const record = await paymentRecord(`${subscriptionId}_PAY_1`);
+  assert.equal(record.transactionInfo.status, 'SUCCEEDED');
+  assert.equal(record.transactionInfo.amount, 999);
+  assert.deepEqual(record.subscriptionInfo, { id: subscriptionId, billingCycle: 1, providerPaymentId: 'PAY_1' });
+});
+
+test('a renewal that fails to save is recorded by the webhook retry', async () => {
+  const { subscriptionId } = await subscribe();
+  await h.cashfree.setSubscriptionStatus(subscriptionId, 'ACTIVE');
+
+  const subscriptionRepository = h.require('repositories/subscriptionRepository');
+  const { updateSubscription } = subscriptionRepository;
+  subscriptionRepository.updateSubscription = async () => { throw new Error('store unavailable'); };
+  try {
+    await assert.rejects(applyEvent(renewal(subscriptionId, 'PAY_2')), /store unavailable/);
+  } finally {
+    subscriptionRepository.updateSubscription = updateSubscription;
+  }
+
+  await applyEvent(renewal(subscriptionId, 'PAY_2'));
+  assert.equal((await getSubscription(subscriptionId)).cyclesPaid, 1);
+  assert.equal((await paymentRecord(`${subscriptionId}_PAY_2`)).subscriptionInfo.billingCycle, 1);
+});
+
+test('a subscription webhook with a bad signature is rejected', async () => {
+  const { subscriptionId } = await subscribe();
+  const { status } = await h.cashfree.deliver('/api/payment/subscriptions/cashfree-webhook', {
+    type: 'SUBSCRIPTION_STATUS_CHANGED',
+    data: { subscription_details: { subscription_id: subscriptionId, subscription_status: 'ACTIVE' } }
+  }, { signature: 'forged' });
+
+  assert.equal(status, 401);
+  assert.equal((await getSubscription(subscriptionId)).status, 'PENDING');
+});
+
+test('cancelling needs the admin key and cancels the mandate', async () => {
+  const { subscriptionId } = await subscribe();
+  await h.cashfree.setSubscriptionStatus(subscriptionId, 'ACTIVE');
+
+  assert.equal((await h.post(`/api/payment/subscriptions/${subscriptionId}/cancel`, {})).status, 401);
+
+  const { status, body } = await h.admin.post(`/api/payment/subscriptions/${subscriptionId}/cancel`);
+  assert.equal(status, 200);
+  assert.equal(body.subscription.status, 'CANCELLED');
+  assert.equal(h.cashfree.subscriptions.get(subscriptionId).subscription_status, 'CANCELLED');
+
+  assert.equal((await h.admin.post(`/api/payment/subscriptions/${subscriptionId}/cancel`)).status, 400);
+});
+
+test('without the admin key the status is shown without customer details or a gateway call', async () => {
+  const { subscriptionId } = await subscribe();
+  const calls = h.cashfree.requests.length;
+
+  const { status, body } = await h.get(`/api/payment/subscriptions/${subscriptionId}`);
+  assert.equal(status, 200);
+  assert.equal(body.subscription.status, 'PENDING');
+  assert.equal(body.subscription.hostingPlan, 'business');
+  assert.equal(body.subscription.customerEmail, undefined);
+  assert.equal(body.subscription.customerPhone, undefined);
+  assert.equal(h.cashfree.requests.length, calls);
+
+  const full = await h.admin.get(`/api/payment/subscriptions/${subscriptionId}`);
+  assert.match(full.body.subscription.customerEmail, /@example\.com$/);
+});
+
+test('an unknown subscription is a 404', async () => {
+  const { status } = await h.get('/api/payment/subscriptions/SUB_UNKNOWN');
+  assert.equal(status, 404);
+});
+
+test('subscriptions are for hosting plans only', async () => {
+  const { status } = await h.post('/api/payment/subscriptions/initiate-cashfree', { ...newCustomer(), ecommPlan: 'growth' });
+  assert.equal(status, 422);
+});
@@ -0,0 +1,63 @@
+const http = require('http');
+
+// Small HTTP helpers shared by the gateway mocks
+
+// Start a server on a free local port. `handle(req, res, body)` gets the raw body as a string.
+const startServer = async (handle) => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      Promise.resolve(handle(req, res, body)).catch((error) => {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ message: error.message }));
+      });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// POST a JSON body exactly as given and resolve to { status, body }
+const postRaw = async (url, rawBody, headers = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: rawBody
+  });
+  const text = await response.text();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    body = text;
+  }
+  return { status: response.status, body };
+};
+
+// Match "/orders/:id/refunds" style paths; resolves to the params or null
+const matchPath = (pattern, path) => {
+  const names = [];
+  const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  })}$`);
+  const match = path.match(regex);
+  return match ? Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])])) : null;
+};
+
+module.exports = { startServer, sendJson, postRaw, matchPath };
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { startServer, sendJson, postRaw, matchPath } = require('./http');
+
+// Local stand-in for the Cashfree PG and Subscriptions APIs. The real cashfree-pg SDK talks to it
+// through CASHFREE_API_BASE. Orders and subscriptions live in memory; tests move them along with
+// pay/fail/expire and push the matching webhook with notify(), signed like Cashfree signs them.
+
+const startMockCashfree = async ({ clientId, clientSecret }) => {
+  const orders = new Map();
+  const refunds = new Map();
+  const subscriptions = new Map();
+  const requests = [];
+  let appUrl = null;
+  let rejectNextOrder = null;
+  let lastDelivery = null;
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}${++sequence}`;
+  const apiError = (res, status, code, message) => sendJson(res, status, { message, code, type: 'invalid_request_error' });
+
+  const routes = [
+    ['POST', '/orders', (res, params, body) => {
+      if (rejectNextOrder) {
+        const message = rejectNextOrder;
+        rejectNextOrder = null;
+        return apiError(res, 400, 'request_invalid', message);
+      }
+      if (orders.has(body.order_id)) {
+        return apiError(res, 409, 'order_already_exists', 'order with same id is already present');
+      }
+      const order = {
+        cf_order_id: nextId('CF_ORDER_'),
+        order_id: body.order_id,
+        order_amount: Number(body.order_amount),
+        order_currency: body.order_currency,
+        order_status: 'ACTIVE',
+        payment_session_id: `session_${crypto.randomBytes(8).toString('hex')}`,
+        customer_details: body.customer_details,
+        order_meta: body.order_meta,
+        order_note: body.order_note,
+        payments: []
+      };
+      orders.set(order.order_id, order);
+      return sendJson(res, 200, order);
+    }],
+    ['GET', '/orders/:orderId', (res, { orderId }) => {
+      const order = orders.get(orderId);
+      if (!order) return apiError(res, 404, 'order_not_found', 'order not found');
+      const { payments, ...view } = order;
+      return sendJson(res, 200, view);
+    }],
+    ['POST', '/orders/:orderId/refunds', (res, { orderId }, body) => {
+      const order = orders.get(orderId);
+      if (!order) return apiError(res, 404, 'order_not_found', 'order not found');
+      if (order.order_status !== 'PAID') return apiError(res, 400, 'refund_invalid', 'order is not paid');
+      const refund = {
+        cf_refund_id: nextId('CF_REFUND_'),
+        refund_id: body.refund_id,
+        order_id: orderId,
+        refund_amount: Number(body.refund_amount),
+        refund_note: body.refund_note || null,
+        refund_status: 'PENDING'
+      };
+      refunds.set(`${orderId}/${refund.refund_id}`, refund);
+      return sendJson(res, 200, refund);
+    }],
+    ['GET', '/orders/:orderId/refunds/:refundId', (res, { orderId, refundId }) => {
+      const refund = refunds.get(`${orderId}/${refundId}`);
+      return refund ? sendJson(res, 200, refund) : apiError(res, 404, 'refund_not_found', 'refund not found');
+    }],
+    ['POST', '/subscriptions', (res, params, body) => {
+      const subscription = {
+        cf_subscription_id: nextId('CF_SUB_'),
+        subscription_id: body.subscription_id,
+        subscription_session_id: `sub_session_${crypto.randomBytes(8).toString('hex')}`,
+        subscription_status: 'INITIALIZED',
+        customer_details: body.customer_details,
+        plan_details: body.plan_details,
+        subscription_meta: body.subscription_meta
+      };
+      subscriptions.set(subscription.subscription_id, subscription);
+      return sendJson(res, 200, subscription);
+    }],
+    ['GET', '/subscriptions/:subscriptionId', (res, { subscriptionId }) => {
+      const subscription = subscriptions.get(subscriptionId);
+      return subscription ? sendJson(res, 200, subscription) : apiError(res, 404, 'subscription_not_found', 'subscription not found');
+    }],
+    ['POST', '/subscriptions/:subscriptionId/manage', (res, { subscriptionId }, body) => {
+      const subscription = subscriptions.get(subscriptionId);
+      if (!subscription) return apiError(res, 404, 'subscription_not_found', 'subscription not found');
+      if (body.action === 'CANCEL') subscription.subscription_status = 'CANCELLED';
+      return sendJson(res, 200, subscription);
+    }]
+  ];
+
+  const mock = await startServer((req, res, rawBody) => {
+    const path = req.url.split('?')[0];
+    const body = rawBody ? JSON.parse(rawBody) : {};
+    requests.push({ method: req.method, path, body });
+
+    if (req.headers['x-client-id'] !== clientId || req.headers['x-client-secret'] !== clientSecret) {
+      return sendJson(res, 401, { message: 'authentication Failed', code: 'request_failed', type: 'authentication_error' });
+    }
+
+    for (const [method, pattern, handle] of routes) {
+      const params = method === req.method && matchPath(pattern, path);
+      if (params) return handle(res, params, body);
+    }
+    return apiError(res, 404, 'not_found', `No mock for ${req.method} ${path}`);
+  });
+
+  const getOrder = (orderId) => {
+    const order = orders.get(orderId);
+    if (!order) throw new Error(`Mock Cashfree has no order ${orderId}`);
+    return order;
+  };
+
+  const attempt = (order, paymentStatus, paymentMessage) => {
+    const payment = {
+      cf_payment_id: nextId('CF_PAYMENT_'),
+      payment_status: paymentStatus,
+      payment_amount: order.order_amount,
+      payment_currency: order.order_currency,
+      payment_message: paymentMessage,
+      payment_group: 'upi'
+    };
+    order.payments.push(payment);
+    return payment;
+  };
+
+  // Sign and deliver a webhook the way Cashfree does: base64(HMAC-SHA256(timestamp + body))
+  const deliver = async (path, payload, { timestamp = String(Date.now()), signature } = {}) => {
+    if (!appUrl) throw new Error('Mock Cashfree is not connected to the app');
+    const rawBody = JSON.stringify(payload);
+    const expected = crypto.createHmac('sha256', clientSecret).update(timestamp + rawBody).digest('base64');
+    lastDelivery = [`${appUrl}${path}`, rawBody, {
+      'x-webhook-signature': signature || expected,
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-version': '2025-01-01'
+    }];
+    return postRaw(...lastDelivery);
+  };
+
+  const paymentWebhook = (order) => {
+    const payment = order.payments[order.payments.length - 1];
+    const type = { SUCCESS: 'PAYMENT_SUCCESS_WEBHOOK', FAILED: 'PAYMENT_FAILED_WEBHOOK', USER_DROPPED: 'PAYMENT_USER_DROPPED_WEBHOOK' }[payment.payment_status];
+    return {
+      type,
+      event_time: new Date().toISOString(),
+      data: {
+        order: { order_id: order.order_id, order_amount: order.order_amount, order_currency: order.order_currency },
+        payment: { ...payment, payment_time: new Date().toISOString() },
+        customer_details: order.customer_details
+      }
+    };
+  };
+
+  return {
+    url: mock.url,
+    orders,
+    refunds,
+    subscriptions,
+    requests,
+
+    // Webhooks go to the app's notify URLs under this base
+    connect: (url) => { appUrl = url; },
+
+    // The next order creation fails with a 400 carrying this message
+    rejectNextOrder: (message) => { rejectNextOrder = message; },
+
+    // Where the hosted checkout sends the customer back, with {order_id} filled in
+    returnUrl: (orderId) => getOrder(orderId).order_meta.return_url.replace('{order_id}', orderId),
+
+    pay: (orderId) => {
+      const order = getOrder(orderId);
+      attempt(order, 'SUCCESS', 'Transaction successful');
+      order.order_status = 'PAID';
+      return order;
+    },
+    // A failed attempt leaves the order open for another try, as on Cashfree
+    fail: (orderId, message = 'Insufficient funds') => {
+      const order = getOrder(orderId);
+      attempt(order, 'FAILED', message);
+      return order;
+    },
+    expire: (orderId) => {
+      const order = getOrder(orderId);
+      order.order_status = 'EXPIRED';
+      return order;
+    },
+
+    // Payment webhook for the order's latest attempt
+    notify: (orderId, options) => deliver('/api/payment/cashfree-webhook', paymentWebhook(getOrder(orderId)), options),
+    deliver,
+    // Send the last webhook again, byte for byte, as a retry or replay would
+    replayLast: () => postRaw(...lastDelivery),
+
+    completeRefund: (orderId, refundId, status = 'SUCCESS') => {
+      const refund = refunds.get(`${orderId}/${refundId}`);
+      if (!refund) throw new Error(`Mock Cashfree has no refund ${refundId}`);
+      refund.refund_status = status;
+      return deliver('/api/payment/cashfree-webhook', {
+        type: 'REFUND_STATUS_WEBHOOK',
+        event_time: new Date().toISOString(),
+        data: { refund }
+      });
+    },
+
+    setSubscriptionStatus: (subscriptionId, status) => {
+      const subscription = subscriptions.get(subscriptionId);
+      if (!subscription) throw new Error(`Mock Cashfree has no subscription ${subscriptionId}`);
+      subscription.subscription_status = status;
+      return deliver('/api/payment/subscriptions/cashfree-webhook', {
+        type: 'SUBSCRIPTION_STATUS_CHANGED',
+        event_time: new Date().toISOString(),
+        data: { subscription_details: { subscription_id: subscriptionId, cf_subscription_id: subscription.cf_subscription_id, subscription_status: status } }
+      });
+    },
+
+    // A renewal charge on an active mandate
+    chargeSubscription: (subscriptionId, { succeed = true, amount } = {}) => {
+      const subscription = subscriptions.get(subscriptionId);
+      if (!subscription) throw new Error(`Mock Cashfree has no subscription ${subscriptionId}`);
+      return deliver('/api/payment/subscriptions/cashfree-webhook', {
+        type: succeed ? 'SUBSCRIPTION_PAYMENT_SUCCESS' : 'SUBSCRIPTION_PAYMENT_FAILED',
+        event_time: new Date().toISOString(),
+        data: {
+          subscription_id: subscriptionId,
+          cf_payment_id: nextId('CF_PAYMENT_'),
+          payment_type: 'CHARGE',
+          payment_status: succeed ? 'SUCCESS' : 'FAILED',
+          payment_amount: amount ?? subscription.plan_details.plan_amount,
+          failure_details: succeed ? null : { failure_reason: 'Mandate debit declined' }
+        }
+      });
+    },
+
+    stop: mock.stop
+  };
+};
+
+module.exports = { startMockCashfree };
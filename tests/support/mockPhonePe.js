@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { PhonePeException } = require('pg-sdk-node');
+const { startServer, postRaw } = require('./http');
+
+// Local stand-in for PhonePe Standard Checkout. The SDK has no way to point it at another
+// host, so the app gets `client` - the SDK calls the app makes, answered from this mock's
+// orders - through setDependencies({ phonepe }). The HTTP side is the hosted checkout page:
+// /checkout/<orderId> sends the customer back to the merchant's redirect URL, and notify()
+// posts the S2S callback with the Authorization header PhonePe computes.
+
+const callbackAuthorization = (username, password) => crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+
+const startMockPhonePe = async ({ callbackUsername, callbackPassword }) => {
+  const orders = new Map();
+  const refunds = new Map();
+  const calls = [];
+  let appUrl = null;
+  let rejectNextPay = null;
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}${Date.now()}${++sequence}`;
+
+  // Errors as the SDK throws them for an error response. They are built without the response
+  // body argument, which the installed SDK can't map (its class-transformer lacks plainToClass)
+  const sdkError = (message, httpStatusCode, code) => Object.assign(new PhonePeException(message, httpStatusCode), { code });
+
+  const checkout = await startServer((req, res) => {
+    const orderId = req.url.split('?')[0].replace(/^\/checkout\//, '');
+    const order = [...orders.values()].find((item) => item.orderId === orderId);
+    if (!order) {
+      res.statusCode = 404;
+      return res.end('Unknown order');
+    }
+    res.writeHead(302, { Location: order.redirectUrl });
+    return res.end();
+  });
+
+  const getOrder = (merchantOrderId) => {
+    const order = orders.get(merchantOrderId);
+    if (!order) throw new Error(`Mock PhonePe has no order ${merchantOrderId}`);
+    return order;
+  };
+
+  const notFound = () => sdkError('Order not found', 404, 'ORDER_NOT_FOUND');
+
+  const client = {
+    pay: async (request) => {
+      calls.push({ method: 'pay', request });
+      if (rejectNextPay) {
+        const message = rejectNextPay;
+        rejectNextPay = null;
+        throw sdkError(message, 400, 'BAD_REQUEST');
+      }
+      const order = {
+        orderId: nextId('OMO'),
+        merchantOrderId: request.merchantOrderId,
+        amount: request.amount,
+        redirectUrl: request.paymentFlow.merchantUrls.redirectUrl,
+        metaInfo: request.metaInfo,
+        state: 'PENDING',
+        expireAt: Date.now() + 20 * 60 * 1000,
+        paymentDetails: []
+      };
+      orders.set(order.merchantOrderId, order);
+      return { orderId: order.orderId, state: order.state, expireAt: order.expireAt, redirectUrl: `${checkout.url}/checkout/${order.orderId}` };
+    },
+
+    getOrderStatus: async (merchantOrderId) => {
+      calls.push({ method: 'getOrderStatus', merchantOrderId });
+      const order = orders.get(merchantOrderId);
+      if (!order) throw notFound();
+      const { redirectUrl, merchantOrderId: ignored, ...status } = order;
+      return status;
+    },
+
+    refund: async (request) => {
+      calls.push({ method: 'refund', request });
+      const order = orders.get(request.originalMerchantOrderId);
+      if (!order) throw notFound();
+      const refund = {
+        refundId: nextId('OMR'),
+        merchantRefundId: request.merchantRefundId,
+        originalMerchantOrderId: request.originalMerchantOrderId,
+        amount: request.amount,
+        state: 'PENDING'
+      };
+      refunds.set(refund.merchantRefundId, refund);
+      return { refundId: refund.refundId, amount: refund.amount, state: refund.state };
+    },
+
+    getRefundStatus: async (merchantRefundId) => {
+      calls.push({ method: 'getRefundStatus', merchantRefundId });
+      const refund = refunds.get(merchantRefundId);
+      if (!refund) throw sdkError('Refund not found', 404, 'REFUND_NOT_FOUND');
+      return refund;
+    },
+
+    // Same check as the SDK: the header is sha256("<username>:<password>")
+    validateCallback: (username, password, authorization, responseBody) => {
+      if (callbackAuthorization(username, password) !== authorization) {
+        throw sdkError('Invalid Callback', 417);
+      }
+      return JSON.parse(responseBody);
+    }
+  };
+
+  const attempt = (order, state, failure = {}) => {
+    order.paymentDetails.push({
+      paymentMode: 'UPI_QR',
+      transactionId: nextId('OM'),
+      timestamp: Date.now(),
+      amount: order.amount,
+      state,
+      ...failure
+    });
+  };
+
+  // POST a callback to the app; `authorization` overrides the header, e.g. to send a forged one
+  const deliver = async (body, { authorization } = {}) => {
+    if (!appUrl) throw new Error('Mock PhonePe is not connected to the app');
+    return postRaw(`${appUrl}/api/payment/phonepe-callback`, JSON.stringify(body), {
+      Authorization: authorization || callbackAuthorization(callbackUsername, callbackPassword)
+    });
+  };
+
+  return {
+    url: checkout.url,
+    client,
+    orders,
+    refunds,
+    calls,
+
+    connect: (url) => { appUrl = url; },
+
+    // The next pay() call fails the way the SDK reports a rejected request
+    rejectNextPay: (message) => { rejectNextPay = message; },
+
+    // Hosted checkout page for an order - it redirects the customer back to the merchant
+    checkoutUrl: (merchantOrderId) => `${checkout.url}/checkout/${getOrder(merchantOrderId).orderId}`,
+
+    pay: (merchantOrderId) => {
+      const order = getOrder(merchantOrderId);
+      attempt(order, 'COMPLETED');
+      order.state = 'COMPLETED';
+      return order;
+    },
+    fail: (merchantOrderId, { errorCode = 'PAYMENT_ERROR', detailedErrorCode = 'INSUFFICIENT_FUNDS' } = {}) => {
+      const order = getOrder(merchantOrderId);
+      attempt(order, 'FAILED', { errorCode, detailedErrorCode });
+      Object.assign(order, { state: 'FAILED', errorCode, detailedErrorCode });
+      return order;
+    },
+    // PhonePe fails orders nobody paid once they pass expireAt
+    expire: (merchantOrderId) => {
+      const order = getOrder(merchantOrderId);
+      Object.assign(order, { state: 'FAILED', errorCode: 'TXN_AUTO_FAILED', detailedErrorCode: 'ORDER_EXPIRED', expireAt: Date.now() });
+      return order;
+    },
+
+    // S2S callback for the order's current state
+    notify: (merchantOrderId, options) => {
+      const order = getOrder(merchantOrderId);
+      const event = order.state === 'COMPLETED' ? 'checkout.order.completed' : 'checkout.order.failed';
+      const { redirectUrl, metaInfo, ...payload } = order;
+      return deliver({ event, payload }, options);
+    },
+    deliver,
+
+    completeRefund: (merchantRefundId, state = 'COMPLETED') => {
+      const refund = refunds.get(merchantRefundId);
+      if (!refund) throw new Error(`Mock PhonePe has no refund ${merchantRefundId}`);
+      refund.state = state;
+      return deliver({ event: state === 'COMPLETED' ? 'pg.refund.completed' : 'pg.refund.failed', payload: refund });
+    },
+
+    stop: checkout.stop
+  };
+};
+
+module.exports = { startMockPhonePe, callbackAuthorization };
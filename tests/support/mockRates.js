@@ -0,0 +1,31 @@
+const { startServer, sendJson } = require('./http');
+
+// Stand-in for the FX_RATES_URL endpoint. Quotes in EUR, so the app has to rebase the rates
+// onto INR the way it would with a real provider.
+const startMockRates = async (rates = { INR: 100, JPY: 160, KWD: 0.33, USD: 1.1 }) => {
+  let current = { ...rates };
+  let down = false;
+  let requests = 0;
+
+  const mock = await startServer((req, res) => {
+    requests += 1;
+    if (down) return sendJson(res, 503, { message: 'rates unavailable' });
+    return sendJson(res, 200, { base: 'EUR', date: '2026-10-19', rates: { EUR: 1, ...current } });
+  });
+
+  return {
+    url: `${mock.url}/latest`,
+    get requests() { return requests; },
+
+    // Quote new rates from now on
+    setRates: (next) => { current = { ...current, ...next }; },
+
+    // Answer 503 until brought back up
+    goDown: () => { down = true; },
+    comeBack: () => { down = false; },
+
+    stop: mock.stop
+  };
+};
+
+module.exports = { startMockRates };
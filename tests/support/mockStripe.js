@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { startServer, sendJson, postRaw, matchPath } = require('./http');
+
+// Local stand-in for the parts of the Stripe API the app uses (Checkout Sessions and Refunds),
+// reached through STRIPE_API_BASE. Webhooks carry a Stripe-Signature made with the endpoint secret.
+
+// "line_items[0][price_data][currency]=usd" -> nested objects and arrays
+const parseForm = (body) => {
+  const result = {};
+  new URLSearchParams(body).forEach((value, name) => {
+    const keys = name.replace(/\]/g, '').split('[');
+    let target = result;
+    keys.forEach((key, index) => {
+      if (index === keys.length - 1) {
+        target[key] = value;
+      } else {
+        target[key] = target[key] || (/^\d+$/.test(keys[index + 1]) ? [] : {});
+        target = target[key];
+      }
+    });
+  });
+  return result;
+};
+
+const startMockStripe = async ({ secretKey, webhookSecret }) => {
+  const sessions = new Map();
+  const refunds = new Map();
+  const idempotent = new Map();
+  const requests = [];
+  let appUrl = null;
+  let lastDelivery = null;
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}_test_${crypto.randomBytes(6).toString('hex')}${++sequence}`;
+  const apiError = (res, status, message, code = 'resource_missing') => sendJson(res, status, { error: { type: 'invalid_request_error', code, message } });
+
+  // Expanded payment intents carry the last error, as Stripe returns them with expand[]=payment_intent
+  const sessionView = (session, expand) => {
+    if (!expand || !session.payment_intent) return session;
+    return { ...session, payment_intent: { id: session.payment_intent, last_payment_error: session.last_payment_error || null } };
+  };
+
+  const routes = [
+    ['POST', '/v1/checkout/sessions', (res, params, body, mock) => {
+      const lineItem = body.line_items[0];
+      const session = {
+        id: nextId('cs'),
+        object: 'checkout.session',
+        mode: body.mode,
+        status: 'open',
+        payment_status: 'unpaid',
+        client_reference_id: body.client_reference_id,
+        customer_email: body.customer_email,
+        amount_total: Number(lineItem.price_data.unit_amount) * Number(lineItem.quantity),
+        currency: lineItem.price_data.currency,
+        success_url: body.success_url,
+        cancel_url: body.cancel_url,
+        metadata: body.metadata || {},
+        payment_intent: null
+      };
+      session.url = `${mock.url}/pay/${session.id}`;
+      sessions.set(session.id, session);
+      return sendJson(res, 200, session);
+    }],
+    ['GET', '/v1/checkout/sessions/:sessionId', (res, { sessionId }, body, mock, query) => {
+      const session = sessions.get(sessionId);
+      return session ? sendJson(res, 200, sessionView(session, query.has('expand[]'))) : apiError(res, 404, `No such checkout.session: '${sessionId}'`);
+    }],
+    ['POST', '/v1/refunds', (res, params, body) => {
+      const session = [...sessions.values()].find((item) => item.payment_intent === body.payment_intent);
+      if (!session || session.payment_status !== 'paid') {
+        return apiError(res, 400, 'This PaymentIntent does not have a successful charge to refund.', 'charge_not_refundable');
+      }
+      const refund = {
+        id: nextId('re'),
+        object: 'refund',
+        amount: Number(body.amount),
+        currency: session.currency,
+        payment_intent: body.payment_intent,
+        reason: body.reason,
+        metadata: body.metadata || {},
+        status: 'pending'
+      };
+      refunds.set(refund.id, refund);
+      return sendJson(res, 200, refund);
+    }],
+    ['GET', '/v1/refunds/:refundId', (res, { refundId }) => {
+      const refund = refunds.get(refundId);
+      return refund ? sendJson(res, 200, refund) : apiError(res, 404, `No such refund: '${refundId}'`);
+    }]
+  ];
+
+  const mock = await startServer((req, res, rawBody) => {
+    const [path, search] = req.url.split('?');
+    const query = new URLSearchParams(search || '');
+    const body = parseForm(rawBody);
+    requests.push({ method: req.method, path, body });
+
+    // The hosted checkout page sends the customer to the success URL
+    const page = matchPath('/pay/:sessionId', path);
+    if (req.method === 'GET' && page) {
+      const session = sessions.get(page.sessionId);
+      if (!session) return apiError(res, 404, 'No such checkout page');
+      res.writeHead(302, { Location: session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id) });
+      return res.end();
+    }
+
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return sendJson(res, 401, { error: { type: 'invalid_request_error', message: 'Invalid API Key provided' } });
+    }
+
+    // Replays with the same Idempotency-Key get the first response back
+    const key = req.method === 'POST' && req.headers['idempotency-key'];
+    if (key && idempotent.has(key)) {
+      return sendJson(res, 200, idempotent.get(key)());
+    }
+
+    for (const [method, pattern, handle] of routes) {
+      const params = method === req.method && matchPath(pattern, path);
+      if (!params) continue;
+      if (key) {
+        const end = res.end.bind(res);
+        res.end = (data) => {
+          if (res.statusCode === 200) {
+            const { id, object } = JSON.parse(data);
+            idempotent.set(key, () => (object === 'refund' ? refunds.get(id) : sessions.get(id)));
+          }
+          return end(data);
+        };
+      }
+      return handle(res, params, body, mock, query);
+    }
+    return apiError(res, 404, `Unrecognized request URL (${req.method}: ${path})`);
+  });
+
+  const findSession = (merchantTransactionId) => {
+    const session = [...sessions.values()].find((item) => item.client_reference_id === merchantTransactionId);
+    if (!session) throw new Error(`Mock Stripe has no session for ${merchantTransactionId}`);
+    return session;
+  };
+
+  // Sign and deliver an event: Stripe-Signature "t=<seconds>,v1=hex(HMAC-SHA256(t.body))"
+  const deliver = async (type, object, { timestamp = Math.floor(Date.now() / 1000), secret = webhookSecret } = {}) => {
+    if (!appUrl) throw new Error('Mock Stripe is not connected to the app');
+    const rawBody = JSON.stringify({ id: nextId('evt'), object: 'event', type, created: timestamp, data: { object } });
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    lastDelivery = [`${appUrl}/api/payment/stripe-webhook`, rawBody, { 'Stripe-Signature': `t=${timestamp},v1=${signature}` }];
+    return postRaw(...lastDelivery);
+  };
+
+  // Event types for each state a session can be left in
+  const sessionEvent = (session) => {
+    if (session.status === 'expired') return 'checkout.session.expired';
+    if (session.async_result === 'paid') return 'checkout.session.async_payment_succeeded';
+    if (session.async_result === 'failed') return 'checkout.session.async_payment_failed';
+    return 'checkout.session.completed';
+  };
+
+  return {
+    url: mock.url,
+    sessions,
+    refunds,
+    requests,
+
+    connect: (url) => { appUrl = url; },
+
+    checkoutUrl: (merchantTransactionId) => findSession(merchantTransactionId).url,
+
+    pay: (merchantTransactionId) => {
+      const session = findSession(merchantTransactionId);
+      Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: session.payment_intent || nextId('pi') });
+      if (session.async_result) session.async_result = 'paid';
+      return session;
+    },
+    // Delayed payment methods (bank debits) complete the session before the money arrives
+    payLater: (merchantTransactionId) => {
+      const session = findSession(merchantTransactionId);
+      Object.assign(session, { status: 'complete', payment_status: 'unpaid', payment_intent: nextId('pi'), async_result: 'pending' });
+      return session;
+    },
+    fail: (merchantTransactionId, code = 'insufficient_funds') => {
+      const session = findSession(merchantTransactionId);
+      Object.assign(session, {
+        status: 'complete',
+        payment_status: 'unpaid',
+        payment_intent: session.payment_intent || nextId('pi'),
+        async_result: 'failed',
+        last_payment_error: { code, message: 'Your account has insufficient funds.' }
+      });
+      return session;
+    },
+    expire: (merchantTransactionId) => {
+      const session = findSession(merchantTransactionId);
+      session.status = 'expired';
+      return session;
+    },
+
+    // Webhook for the session's current state
+    notify: (merchantTransactionId, options) => {
+      const session = findSession(merchantTransactionId);
+      const { async_result: ignored, last_payment_error: lastError, ...object } = session;
+      return deliver(sessionEvent(session), object, options);
+    },
+    deliver,
+    // Send the last webhook again, byte for byte, as a retry or replay would
+    replayLast: () => postRaw(...lastDelivery),
+
+    completeRefund: (stripeRefundId, status = 'succeeded') => {
+      const refund = refunds.get(stripeRefundId);
+      if (!refund) throw new Error(`Mock Stripe has no refund ${stripeRefundId}`);
+      refund.status = status;
+      return deliver(status === 'failed' ? 'refund.failed' : 'refund.updated', refund);
+    },
+
+    stop: mock.stop
+  };
+};
+
+module.exports = { startMockStripe };
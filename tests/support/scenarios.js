@@ -0,0 +1,143 @@
+const assert = require('node:assert/strict');
+
+// Payment scenarios shared by the gateway tests. Each drives a checkout through the gateway mock
+// the way it happens in production - the gateway settles the payment, its webhook arrives, the
+// customer comes back to the status page and the frontend calls the verify route - in the order
+// the scenario is about. They resolve to what the app answered at each step.
+
+const GATEWAYS = {
+  phonepe: { initiate: '/api/payment/initiate-phonepe', verify: '/api/payment/verify-phonepe' },
+  cashfree: { initiate: '/api/payment/initiate-cashfree', verify: '/api/payment/verify-cashfree' },
+  stripe: { initiate: '/api/payment/initiate-stripe', verify: '/api/payment/verify-stripe' }
+};
+
+const CUSTOMER = {
+  customerName: 'Asha Rao',
+  customerEmail: 'asha@example.com',
+  customerPhone: '9876543210'
+};
+
+// Each checkout gets its own customer unless the test says otherwise, so rate limits and
+// duplicate detection don't join unrelated tests together
+let customers = 0;
+const newCustomer = () => {
+  customers += 1;
+  return {
+    ...CUSTOMER,
+    customerEmail: `customer${customers}@example.com`,
+    customerPhone: `98765${String(43210 + customers).padStart(5, '0')}`
+  };
+};
+
+// Start a checkout; resolves to the initiate response body
+const checkout = async (h, gateway, details = {}) => {
+  const { status, body } = await h.post(GATEWAYS[gateway].initiate, { ...newCustomer(), ecommPlan: 'growth', ...details });
+  assert.equal(status, 200, `initiate-${gateway} failed: ${JSON.stringify(body)}`);
+  return body;
+};
+
+// Where the gateway sends the customer when they leave its checkout page
+const landingUrl = async (h, gateway, merchantTransactionId) => {
+  if (gateway === 'cashfree') return h.cashfree.returnUrl(merchantTransactionId);
+
+  const response = await fetch(h[gateway].checkoutUrl(merchantTransactionId), { redirect: 'manual' });
+  assert.equal(response.status, 302);
+  return response.headers.get('location');
+};
+
+// The customer lands on the payment status page, which asks the backend to verify the payment
+const returnToSite = async (h, gateway, merchantTransactionId) => {
+  const landing = await landingUrl(h, gateway, merchantTransactionId);
+  const landedFor = new URL(landing).searchParams.get('merchantTransactionId');
+  assert.equal(landedFor, merchantTransactionId);
+
+  const verification = await h.get(`${GATEWAYS[gateway].verify}/${landedFor}`);
+  return { landing, verification };
+};
+
+// Paid, then the customer comes back, then the webhook arrives
+const succeed = async (h, gateway, merchantTransactionId) => {
+  h[gateway].pay(merchantTransactionId);
+  const { landing, verification } = await returnToSite(h, gateway, merchantTransactionId);
+  const webhook = await h[gateway].notify(merchantTransactionId);
+  return { landing, verification, webhook };
+};
+
+// Paid, and the webhook settles the order before the customer is back
+const webhookBeforeRedirect = async (h, gateway, merchantTransactionId) => {
+  h[gateway].pay(merchantTransactionId);
+  const webhook = await h[gateway].notify(merchantTransactionId);
+  const { landing, verification } = await returnToSite(h, gateway, merchantTransactionId);
+  return { landing, verification, webhook };
+};
+
+// Paid, and the webhook and the customer's return hit the backend at the same time
+const webhookRacingRedirect = async (h, gateway, merchantTransactionId) => {
+  h[gateway].pay(merchantTransactionId);
+  const [webhook, { landing, verification }] = await Promise.all([
+    h[gateway].notify(merchantTransactionId),
+    returnToSite(h, gateway, merchantTransactionId)
+  ]);
+  return { landing, verification, webhook };
+};
+
+// The payment attempt fails; the gateway reports it and the customer comes back
+const fail = async (h, gateway, merchantTransactionId) => {
+  h[gateway].fail(merchantTransactionId);
+  const webhook = await h[gateway].notify(merchantTransactionId);
+  const { landing, verification } = await returnToSite(h, gateway, merchantTransactionId);
+  return { landing, verification, webhook };
+};
+
+// The customer comes back before paying - or, on Stripe, with a bank debit still clearing
+const pending = async (h, gateway, merchantTransactionId) => {
+  if (gateway === 'stripe') h.stripe.payLater(merchantTransactionId);
+  return returnToSite(h, gateway, merchantTransactionId);
+};
+
+// The gateway gives up on the order; Stripe tells us by webhook, the others when asked
+const expire = async (h, gateway, merchantTransactionId) => {
+  h[gateway].expire(merchantTransactionId);
+  const webhook = gateway === 'stripe' ? await h.stripe.notify(merchantTransactionId) : null;
+  const verification = await h.get(`${GATEWAYS[gateway].verify}/${merchantTransactionId}`);
+  return { verification, webhook };
+};
+
+// Move an order's creation time back, so reconciliation treats it as stale or abandoned
+const ageOrder = async (h, merchantTransactionId, minutes) => {
+  const paymentRepository = h.require('repositories/paymentRepository');
+  await paymentRepository.updateOrder(merchantTransactionId, {
+    createdAt: new Date(Date.now() - minutes * 60 * 1000).toISOString()
+  });
+};
+
+const getOrder = (h, merchantTransactionId) => h.require('repositories/paymentRepository').getOrder(merchantTransactionId);
+
+// Canonical status of a stored order (SUCCEEDED, FAILED, ...)
+const orderStatus = async (h, merchantTransactionId) => {
+  const { normalizeStatus } = h.require('services/orderStateMachine');
+  return normalizeStatus((await getOrder(h, merchantTransactionId)).status);
+};
+
+// Payment alerts the admin got for an order - exactly one means it was completed once
+const adminAlerts = (h, merchantTransactionId) => {
+  return h.smtp.to(h.adminEmail).filter((message) => message.raw.includes(merchantTransactionId));
+};
+
+module.exports = {
+  GATEWAYS,
+  CUSTOMER,
+  newCustomer,
+  checkout,
+  returnToSite,
+  succeed,
+  webhookBeforeRedirect,
+  webhookRacingRedirect,
+  fail,
+  pending,
+  expire,
+  ageOrder,
+  getOrder,
+  orderStatus,
+  adminAlerts
+};
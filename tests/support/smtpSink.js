@@ -0,0 +1,92 @@
+const net = require('net');
+
+// In-process SMTP server that keeps the messages it accepts in memory - every message, unless
+// told to refuse the next few. It speaks just enough SMTP for nodemailer: no TLS and no auth, so
+// leave EMAIL_USER unset when pointing at it.
+
+const parseMessage = ({ from, to, data }) => {
+  const [head, ...body] = data.split('\r\n\r\n');
+  const headers = {};
+  head.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach((line) => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  return { from, to, subject: headers.subject || '', headers, raw: data, body: body.join('\r\n\r\n') };
+};
+
+const startSmtpSink = async () => {
+  const messages = [];
+  const refusals = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let readingData = false;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          const data = buffer.slice(0, end).replace(/\r\n\.\./g, '\r\n.');
+          buffer = buffer.slice(end + 5);
+          readingData = false;
+          const refusal = refusals.find((item) => item.count > 0 && (!item.address || envelope.to.includes(item.address)));
+          if (refusal) {
+            refusal.count -= 1;
+            reply('554 Transaction failed');
+          } else {
+            messages.push(parseMessage({ ...envelope, data }));
+            reply('250 OK: queued');
+          }
+          envelope = { from: null, to: [] };
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') reply('250 sink');
+        else if (command === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          readingData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('250 OK');
+      }
+    });
+    socket.on('error', () => {});
+
+    reply('220 sink ESMTP');
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    // Messages sent to an address, oldest first
+    to: (address) => messages.filter((message) => message.to.includes(address)),
+    clear: () => messages.splice(0, messages.length),
+    // Refuse the next `count` messages - only those to `address`, when given - with a
+    // permanent error, as a broken mail server would
+    refuseNext: (count = 1, address = null) => { refusals.push({ count, address }); },
+    stop: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+module.exports = { startSmtpSink };
@@ -0,0 +1,162 @@
+// Field rules for request schemas. A rule takes the raw value and returns it normalized,
+// or throws fieldError(message) when it can't be accepted. Rules never see missing values -
+// validateRequest handles those using the rule's `required` flag.
+
+const { minorUnits } = require('../config/currencies');
+
+const fieldError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FIELD';
+  return error;
+};
+
+const required = (rule) => Object.assign((value) => rule(value), { required: true });
+
+const string = ({ max = 200, min = 1, pattern, message, uppercase = false } = {}) => (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw fieldError('must be text');
+  }
+  const text = uppercase ? String(value).trim().toUpperCase() : String(value).trim();
+  if (text.length < min || text.length > max) {
+    throw fieldError(`must be ${min} to ${max} characters`);
+  }
+  if (pattern && !pattern.test(text)) {
+    throw fieldError(message || 'has an invalid format');
+  }
+  return text;
+};
+
+// Deliberately loose - one @, no spaces, a dot in the domain. Mailbox names are case
+// sensitive in theory, so only the domain is lower-cased.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@.]{2,}$/;
+
+const email = () => (value) => {
+  const text = string({ max: 254 })(value);
+  if (!EMAIL_PATTERN.test(text)) {
+    throw fieldError('must be a valid email address');
+  }
+  const at = text.lastIndexOf('@');
+  return text.slice(0, at + 1) + text.slice(at + 1).toLowerCase();
+};
+
+// Indian mobile numbers are 10 digits starting 6-9
+const INDIAN_MOBILE = /^[6-9]\d{9}$/;
+
+// Normalize a phone number to E.164. Numbers without a country code are taken as Indian:
+// "98765 43210", "098765-43210", "91 9876543210" and "+91 98765 43210" all become +919876543210.
+const normalizePhone = (value) => {
+  let digits = String(value).trim().replace(/[\s\-().]/g, '');
+  if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+
+  if (!digits.startsWith('+')) {
+    if (/^0\d{10}$/.test(digits)) digits = digits.slice(1);
+    if (/^91\d{10}$/.test(digits)) digits = digits.slice(2);
+    digits = `+91${digits}`;
+  }
+
+  if (!/^\+[1-9]\d{7,14}$/.test(digits)) return null;
+  if (digits.startsWith('+91') && !INDIAN_MOBILE.test(digits.slice(3))) return null;
+  return digits;
+};
+
+const phone = () => (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw fieldError('must be a phone number');
+  }
+  const normalized = normalizePhone(value);
+  if (!normalized) {
+    throw fieldError('must be a valid phone number, e.g. 9876543210 or +919876543210');
+  }
+  return normalized;
+};
+
+// The 10-digit national number of an Indian E.164 number, null for any other country
+const indianNationalNumber = (e164) => {
+  return typeof e164 === 'string' && e164.startsWith('+91') ? e164.slice(3) : null;
+};
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const currency = () => (value) => {
+  const code = String(value).trim().toUpperCase();
+  if (!ISO_CURRENCIES.has(code)) {
+    throw fieldError('must be an ISO 4217 currency code, e.g. INR');
+  }
+  return code;
+};
+
+// Decimal places a currency allows: 2 for INR and USD, 0 for JPY, 3 for KWD (ISO 4217 minor units)
+const currencyDecimals = (code) => minorUnits(code);
+
+const decimalPlaces = (value) => {
+  const [, fraction = ''] = String(value).split('.');
+  return fraction.length;
+};
+
+// A positive amount in major units. Numeric strings are accepted; exponents and
+// thousands separators are not, so "1e3" and "1,000" are rejected rather than guessed at.
+const amount = ({ decimals = 2 } = {}) => (value) => {
+  const text = typeof value === 'number' ? String(value) : String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text) || Number(text) <= 0) {
+    throw fieldError('must be a positive amount');
+  }
+  if (decimalPlaces(text) > decimals) {
+    throw fieldError(decimals ? `must have at most ${decimals} decimal places` : 'must be a whole amount');
+  }
+  return Number(text);
+};
+
+// With ignoreCase, "failed" matches FAILED and comes back as it is written in `values`
+const oneOf = (values, { ignoreCase = false } = {}) => (value) => {
+  const text = String(value).trim();
+  const match = ignoreCase ? values.find((item) => item.toLowerCase() === text.toLowerCase()) : values.find((item) => item === text);
+  if (match === undefined) {
+    throw fieldError(`must be one of: ${values.join(', ')}`);
+  }
+  return match;
+};
+
+// A calendar date (2026-04-01) or a full ISO timestamp
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const date = () => (value) => {
+  const text = String(value).trim();
+  if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(text).getTime())) {
+    throw fieldError('must be a date, e.g. 2026-04-01');
+  }
+  return text;
+};
+
+const integer = ({ min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => (value) => {
+  const text = String(value).trim();
+  const number = Number(text);
+  if (!/^\d+$/.test(text) || number < min || number > max) {
+    throw fieldError(`must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+// Webhook payloads are checked by the provider adapter; all we insist on is an object
+const object = () => (value) => {
+  if (typeof value !== 'object' || Array.isArray(value) || !Object.keys(value).length) {
+    throw fieldError('must be a non-empty object');
+  }
+  return value;
+};
+
+module.exports = {
+  fieldError,
+  required,
+  string,
+  email,
+  phone,
+  normalizePhone,
+  indianNationalNumber,
+  currency,
+  currencyDecimals,
+  amount,
+  oneOf,
+  date,
+  integer,
+  object
+};
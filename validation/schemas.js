@@ -0,0 +1,194 @@
+const rules = require('./rules');
+const { required } = rules;
+const { ECOMMERCE_PLANS, HOSTING_PLANS, BILLING_PERIODS } = require('../config/plans');
+const { GSTIN_PATTERN, STATE_CODES } = require('../config/invoice');
+const { ORDER_STATUSES } = require('../services/orderStateMachine');
+const { INTERVALS } = require('../services/reportService');
+
+// Request schemas for the payment routes, one per route. Each lists the body, params and
+// query fields the handler reads; fields not listed are passed through untouched.
+// `check` runs after the field rules pass and returns cross-field errors.
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const id = (max = 64) => required(rules.string({ max, pattern: ID_PATTERN, message: 'has an invalid format' }));
+
+const customer = {
+  customerName: required(rules.string({ max: 100 })),
+  customerEmail: required(rules.email()),
+  customerPhone: required(rules.phone())
+};
+
+const plans = {
+  ecommPlan: rules.oneOf(Object.keys(ECOMMERCE_PLANS)),
+  hostingPlan: rules.oneOf(Object.keys(HOSTING_PLANS)),
+  billingPeriod: rules.oneOf(Object.keys(BILLING_PERIODS)),
+  couponCode: rules.string({ max: 40 })
+};
+
+const stateCode = (value) => {
+  const code = String(value).trim().padStart(2, '0');
+  if (!STATE_CODES[code]) {
+    throw rules.fieldError('must be a GST state code, e.g. 27');
+  }
+  return code;
+};
+
+const atLeastOnePlan = (body) => (body.ecommPlan || body.hostingPlan
+  ? []
+  : [{ field: 'ecommPlan', in: 'body', message: 'choose an ecommPlan, a hostingPlan or both' }]);
+
+const planCatalog = {
+  query: { currency: rules.currency() }
+};
+
+const initiatePayment = {
+  body: {
+    ...customer,
+    ...plans,
+    currency: rules.currency(),
+    customerGstin: rules.string({ max: 15, uppercase: true, pattern: GSTIN_PATTERN, message: 'must be a valid GSTIN' }),
+    customerStateCode: stateCode
+  },
+  check: atLeastOnePlan
+};
+
+const applyCoupon = {
+  body: {
+    ...plans,
+    couponCode: required(plans.couponCode),
+    currency: rules.currency(),
+    customerEmail: rules.email()
+  },
+  check: atLeastOnePlan
+};
+
+const initiateSubscription = {
+  body: {
+    ...customer,
+    hostingPlan: required(plans.hostingPlan),
+    billingPeriod: plans.billingPeriod
+  }
+};
+
+const byTransaction = { params: { merchantTransactionId: id() } };
+const bySubscription = { params: { subscriptionId: id() } };
+
+const refundPayment = {
+  ...byTransaction,
+  body: {
+    // The order's currency decides the allowed precision - refundService checks that
+    amount: rules.amount({ decimals: 3 }),
+    reason: rules.string({ max: 500 })
+  }
+};
+
+const refundStatus = { params: { merchantTransactionId: id(), refundId: id() } };
+
+const cancelSubscription = { ...bySubscription, body: { reason: rules.string({ max: 500 }) } };
+
+// Webhook payloads are authenticated and parsed by the provider; this only turns away empty ones
+const webhook = { body: required(rules.object()) };
+
+const limitQuery = (max) => ({ query: { limit: rules.integer({ min: 1, max }) } });
+
+// Job IDs are `<type>_<key>`, and job types contain dots
+const replayJob = { params: { jobId: required(rules.string({ max: 200, pattern: /^[A-Za-z0-9_.:-]+$/ })) } };
+
+// Delivery IDs are `<event>_<key>_<endpoint>`, and events contain dots
+const webhookDelivery = { params: { deliveryId: required(rules.string({ max: 200, pattern: /^[A-Za-z0-9_.-]+$/ })) } };
+
+const webhookDeliveries = {
+  query: {
+    merchantTransactionId: rules.string({ max: 64, pattern: ID_PATTERN }),
+    status: rules.oneOf(['PENDING', 'RETRYING', 'DELIVERED', 'FAILED']),
+    limit: rules.integer({ min: 1, max: 100 })
+  }
+};
+
+// Admin API
+
+// from is inclusive and to exclusive, so they can't be the same moment
+const fromBeforeTo = (body, { query = {} }) => (query.from && query.to && new Date(query.from) >= new Date(query.to)
+  ? [{ field: 'from', in: 'query', message: 'must be before to' }]
+  : []);
+
+const dateRange = { from: rules.date(), to: rules.date() };
+
+const adminPayments = {
+  query: {
+    status: rules.oneOf(Object.keys(ORDER_STATUSES), { ignoreCase: true }),
+    provider: rules.string({ max: 20, pattern: /^[a-z]+$/i }),
+    ecommPlan: plans.ecommPlan,
+    hostingPlan: plans.hostingPlan,
+    email: rules.email(),
+    ...dateRange,
+    limit: rules.integer({ min: 1, max: 100 }),
+    cursor: rules.string({ max: 300, pattern: /^[A-Za-z0-9_-]+$/, message: 'is not a cursor from a previous page' })
+  },
+  check: fromBeforeTo
+};
+
+const backfillEmailKeys = {
+  query: {
+    limit: rules.integer({ min: 1, max: 100 }),
+    cursor: adminPayments.query.cursor
+  }
+};
+
+const adminNote = {
+  ...byTransaction,
+  body: {
+    note: required(rules.string({ max: 2000 })),
+    author: rules.string({ max: 100 })
+  }
+};
+
+const fulfilOrder = {
+  ...byTransaction,
+  body: {
+    note: rules.string({ max: 2000 }),
+    author: rules.string({ max: 100 })
+  }
+};
+
+const reportFormat = rules.oneOf(['json', 'csv']);
+
+const periodReport = {
+  query: { ...dateRange, interval: rules.oneOf(INTERVALS), format: reportFormat },
+  check: fromBeforeTo
+};
+
+const rangeReport = {
+  query: { ...dateRange, format: reportFormat },
+  check: fromBeforeTo
+};
+
+const reconciliationRun = { params: { runId: id() } };
+
+module.exports = {
+  planCatalog,
+  initiatePayment,
+  applyCoupon,
+  initiateSubscription,
+  byTransaction,
+  bySubscription,
+  refundPayment,
+  refundStatus,
+  cancelSubscription,
+  webhook,
+  drainOutbox: limitQuery(100),
+  deadLetters: limitQuery(100),
+  replayJob,
+  reconcile: limitQuery(200),
+  customerPayments: limitQuery(100),
+  webhookDeliveries,
+  webhookDelivery,
+  adminPayments,
+  backfillEmailKeys,
+  adminNote,
+  fulfilOrder,
+  periodReport,
+  rangeReport,
+  reconciliationRuns: limitQuery(100),
+  reconciliationRun
+};